@@ -0,0 +1,20 @@
+// /api/auth/logout.js
+import { auth } from '../../lib/auth/vercel.js';
+
+export default async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, sessionId');
+  
+  if (req.method === 'OPTIONS') return res.status(200).end();
+  if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+
+  try {
+    await auth.destroySession(req.headers.sessionid);
+    return res.json({ success: true });
+    
+  } catch (error) {
+    console.error('Logout Error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+}
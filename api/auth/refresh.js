@@ -0,0 +1,26 @@
+// /api/auth/refresh.js
+import { auth, clientDevice } from '../../lib/auth/vercel.js';
+
+export default async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, sessionId');
+  
+  if (req.method === 'OPTIONS') return res.status(200).end();
+  if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+
+  try {
+    const result = await auth.refreshSession(req.headers.sessionid, {
+      device: clientDevice(req)
+    });
+    return res.json(result);
+    
+  } catch (error) {
+    if (error.status) {
+      if (error.details?.retryAfter) res.setHeader('Retry-After', String(error.details.retryAfter));
+      return res.status(error.status).json(error.toJSON ? error.toJSON() : { error: error.message });
+    }
+    console.error('Refresh Error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+}
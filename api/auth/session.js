@@ -0,0 +1,25 @@
+// /api/auth/session.js
+import { auth } from '../../lib/auth/vercel.js';
+
+export default async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, sessionId');
+  
+  if (req.method === 'OPTIONS') return res.status(200).end();
+  if (req.method !== 'GET') return res.status(405).json({ error: 'Method not allowed' });
+
+  try {
+    const session = await auth.getSession(req.headers.sessionid);
+    
+    if (!session) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+    
+    return res.json({ success: true, user: session });
+    
+  } catch (error) {
+    console.error('Session Error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+}
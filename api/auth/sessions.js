@@ -0,0 +1,42 @@
+// /api/auth/sessions.js
+import { auth } from '../../lib/auth/vercel.js';
+
+export default async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, sessionId');
+  
+  if (req.method === 'OPTIONS') return res.status(200).end();
+  if (!['GET', 'DELETE'].includes(req.method)) {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const session = await auth.getSession(req.headers.sessionid);
+    if (!session) return res.status(401).json({ error: 'Unauthorized' });
+    
+    const sessions = await auth.listSessions(session.id);
+    
+    if (req.method === 'GET') {
+      return res.json(sessions.map(s => ({ ...s, current: s.sessionId === session.sessionId })));
+    }
+    
+    // DELETE: one device ({ sessionId }) or every other device
+    const { sessionId } = req.body || {};
+    
+    if (sessionId) {
+      if (!sessions.some(s => s.sessionId === sessionId)) {
+        return res.status(404).json({ error: 'Session not found' });
+      }
+      await auth.destroySession(sessionId);
+      return res.json({ success: true, revoked: [sessionId] });
+    }
+    
+    const revoked = await auth.revokeUserSessions(session.id, { except: session.sessionId });
+    return res.json({ success: true, revoked });
+    
+  } catch (error) {
+    console.error('Sessions Error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+}
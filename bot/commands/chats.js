@@ -0,0 +1,125 @@
+/**
+ * Admin commands for chats and users: blocking, bot bans and chat state.
+ */
+
+const { PERMISSIONS } = require('../../lib/auth/roles');
+
+const jid = (number) => `${number}@s.whatsapp.net`;
+
+module.exports = (api) => {
+    // Quoted message the command replies to, for /delete and /react
+    const quotedId = (msg) => msg.message.extendedTextMessage?.contextInfo?.stanzaId;
+
+    // The chatModify commands only differ by the change and the reply
+    // (a key in the catalog's `chats` section)
+    const modify = (name, description, change, reply) => ({
+        name,
+        description,
+        usage: '[nomor]',
+        permission: PERMISSIONS.MANAGE_CHATS,
+        minArgs: 1,
+        run: async (ctx) => {
+            await api.sock.chatModify(change, jid(ctx.args[0]));
+            return ctx.reply(ctx.t(`chats.${reply}`, { number: ctx.args[0] }));
+        }
+    });
+
+    return [
+        {
+            name: 'block',
+            description: 'Blokir user',
+            usage: '[nomor]',
+            permission: PERMISSIONS.BLOCK,
+            minArgs: 1,
+            run: async (ctx) => {
+                await api.sock.updateBlockStatus(jid(ctx.args[0]), 'block');
+                return ctx.reply(ctx.t('chats.blocked', { number: ctx.args[0] }));
+            }
+        },
+        {
+            name: 'unblock',
+            description: 'Buka blokir',
+            usage: '[nomor]',
+            permission: PERMISSIONS.BLOCK,
+            minArgs: 1,
+            run: async (ctx) => {
+                await api.sock.updateBlockStatus(jid(ctx.args[0]), 'unblock');
+                return ctx.reply(ctx.t('chats.unblocked', { number: ctx.args[0] }));
+            }
+        },
+        {
+            name: 'ban',
+            description: 'Blokir dari bot',
+            usage: '[nomor] [30m|2h|1d|perm] [alasan]',
+            permission: PERMISSIONS.BLOCK,
+            run: (ctx) => api.cmdBan(ctx.chat, ctx.author, ctx.args, ctx.msg, ctx.language)
+        },
+        {
+            name: 'unban',
+            description: 'Buka blokir bot',
+            usage: '[nomor]',
+            permission: PERMISSIONS.BLOCK,
+            run: (ctx) => api.cmdUnban(ctx.chat, ctx.author, ctx.args, ctx.msg, ctx.language)
+        },
+        {
+            name: 'banlist',
+            description: 'Daftar user diblokir',
+            permission: PERMISSIONS.BLOCK,
+            run: (ctx) => api.cmdBanList(ctx.chat, ctx.language)
+        },
+        modify('clearchat', 'Hapus chat', { delete: true, lastMessages: [] }, 'cleared'),
+        modify('archive', 'Arsipkan', { archive: true }, 'archived'),
+        modify('unarchive', 'Buka arsip', { archive: false }, 'unarchived'),
+        {
+            name: 'mute',
+            description: 'Bisukan',
+            usage: '[nomor] [hari]',
+            permission: PERMISSIONS.MANAGE_CHATS,
+            minArgs: 2,
+            run: async (ctx) => {
+                const [number, days] = ctx.args;
+                if (!(parseInt(days) > 0)) return ctx.usage();
+
+                await api.sock.chatModify({ mute: parseInt(days) * 24 * 60 * 60 * 1000 }, jid(number));
+                return ctx.reply(ctx.t('chats.muted', { number, days }));
+            }
+        },
+        modify('unmute', 'Buka bisu', { mute: null }, 'unmuted'),
+        modify('pin', 'Sematkan', { pin: true }, 'pinned'),
+        modify('unpin', 'Lepas semat', { pin: false }, 'unpinned'),
+        {
+            name: 'delete',
+            description: 'Hapus pesan yang dibalas',
+            usage: '[nomor pengirim] (balas pesan)',
+            permission: PERMISSIONS.MANAGE_CHATS,
+            minArgs: 1,
+            run: async (ctx) => {
+                const id = quotedId(ctx.msg);
+                if (!id) return ctx.usage();
+
+                await api.sock.sendMessage(ctx.chat, { delete: {
+                    remoteJid: ctx.chat,
+                    fromMe: false,
+                    id,
+                    participant: ctx.args[0]
+                }});
+                return ctx.reply(ctx.t('chats.deleted'));
+            }
+        },
+        {
+            name: 'react',
+            description: 'Beri reaksi ke pesan yang dibalas',
+            usage: '[emoji] (balas pesan)',
+            permission: PERMISSIONS.MANAGE_CHATS,
+            minArgs: 1,
+            run: async (ctx) => {
+                const id = quotedId(ctx.msg);
+                if (!id) return ctx.usage();
+
+                await api.sock.sendMessage(ctx.chat, {
+                    react: { text: ctx.args[0], key: { remoteJid: ctx.chat, id } }
+                });
+            }
+        }
+    ];
+};
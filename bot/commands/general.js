@@ -0,0 +1,133 @@
+/**
+ * Commands for everyone: /menu and /help are generated from the registry.
+ */
+
+const moment = require('moment-timezone');
+const { hasPermission } = require('../../lib/auth/roles');
+const { LANGUAGES, t, normalizeLanguage } = require('../../lib/i18n');
+const { COMMAND_CATEGORIES, GROUP_ADMIN } = require('./index');
+
+// Commands switched off in the group and admin commands the caller lacks are left out
+function listed(command, ctx) {
+    if (ctx.group && !command.required && !ctx.group.commands.includes(command.category)) return false;
+    if (!command.permission || command.permission === GROUP_ADMIN) return true;
+    return !!ctx.admin && hasPermission(ctx.admin.role, command.permission);
+}
+
+module.exports = (api) => {
+    const { commands } = api;
+
+    function menu(ctx) {
+        const sections = COMMAND_CATEGORIES.map(category => {
+            const lines = commands.list()
+                .filter(command => command.category === category && listed(command, ctx))
+                .map(command => `• ${commands.usage(command, ctx.language)} - ${commands.describe(command, ctx.language).description}`);
+            return lines.length > 0 ? `*${ctx.t(`menu.sections.${category}`)}:*\n${lines.join('\n')}` : null;
+        }).filter(Boolean);
+
+        return `${ctx.t('menu.title')}\n\n${sections.join('\n\n')}\n\n${ctx.t('menu.footer')}`;
+    }
+
+    function help(command, ctx) {
+        const access = !command.permission ? ctx.t('help.everyone') :
+            command.permission === GROUP_ADMIN ? ctx.t('help.groupAdmin') :
+            ctx.t('help.botAdmin', { permission: command.permission });
+
+        const lines = [
+            `📖 */${command.name}*`,
+            commands.describe(command, ctx.language).description,
+            '',
+            ctx.t('help.format', { usage: commands.usage(command, ctx.language) })
+        ];
+        if (command.aliases.length > 0) {
+            lines.push(ctx.t('help.aliases', { aliases: command.aliases.map(alias => `/${alias}`).join(', ') }));
+        }
+        lines.push(ctx.t('help.access', { access }));
+        lines.push(ctx.t('help.scope', { scope: ctx.t(`help.scopes.${command.scope}`) }));
+        if (command.cooldown) lines.push(ctx.t('help.cooldown', { seconds: command.cooldown }));
+        return lines.join('\n');
+    }
+
+    return [
+        {
+            name: 'menu',
+            category: 'general',
+            description: 'Tampilkan menu ini',
+            cooldown: 5,
+            run: (ctx) => ctx.reply(menu(ctx))
+        },
+        {
+            name: 'help',
+            category: 'general',
+            description: 'Detail sebuah perintah',
+            usage: '[perintah]',
+            cooldown: 3,
+            run: (ctx) => {
+                if (!ctx.args[0]) return ctx.reply(menu(ctx));
+
+                const name = ctx.args[0].replace(/^\//, '').toLowerCase();
+                const command = commands.get(name);
+                if (!command) return ctx.reply(ctx.t('help.unknownCommand', { command: name }));
+                return ctx.reply(help(command, ctx));
+            }
+        },
+        {
+            name: 'ping',
+            category: 'general',
+            description: 'Cek latency',
+            cooldown: 5,
+            run: (ctx) => ctx.reply(ctx.t('ping', { latency: Date.now() - ctx.msg.messageTimestamp * 1000 }))
+        },
+        {
+            name: 'info',
+            aliases: ['status'],
+            category: 'general',
+            description: 'Info bot',
+            cooldown: 5,
+            run: (ctx) => api.sendBotInfo(ctx.chat, ctx.language)
+        },
+        {
+            name: 'waktu',
+            aliases: ['time'],
+            category: 'general',
+            description: 'Waktu sekarang',
+            run: (ctx) => {
+                const timezone = ctx.group ? ctx.group.timezone : api.defaultTimezone;
+                return ctx.reply(`🕐 ${moment().tz(timezone).format('dddd, DD MMMM YYYY HH:mm:ss')}`);
+            }
+        },
+        {
+            name: 'owner',
+            aliases: ['creator'],
+            category: 'general',
+            description: 'Info pembuat',
+            run: (ctx) => ctx.reply(ctx.t('owner'))
+        },
+        {
+            // The caller's own language, used in private chats; groups have /groupset language
+            name: 'lang',
+            aliases: ['bahasa', 'language'],
+            category: 'general',
+            description: 'Bahasa kamu',
+            usage: `[${LANGUAGES.join('|')}]`,
+            cooldown: 3,
+            run: (ctx) => {
+                const options = LANGUAGES.join('|');
+                const note = ctx.isGroup ? ctx.t('lang.groupNote') : '';
+
+                if (!ctx.args[0]) {
+                    const current = api.userLanguage(ctx.author);
+                    return ctx.reply(ctx.t('lang.current', { language: t(current, 'languageName'), options }) + note);
+                }
+
+                const language = normalizeLanguage(ctx.args[0]);
+                if (!language) return ctx.reply(ctx.t('lang.invalid', { language: ctx.args[0], options }));
+
+                api.setUserLanguage(ctx.author, language);
+                // Confirmed in the new language, unless the group's language applies here
+                const reply = ctx.isGroup ? ctx.t : (key, params) => t(language, key, params);
+                return ctx.reply(reply('lang.changed', { language: t(language, 'languageName') }) + note);
+            }
+        }
+    ];
+};
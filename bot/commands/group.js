@@ -0,0 +1,89 @@
+/**
+ * Group administration and moderation. The context carries the group's
+ * metadata, fetched for the group admin check.
+ */
+
+const { GROUP_ADMIN } = require('./index');
+
+module.exports = (api) => {
+    const group = (command) => ({ category: 'group', scope: 'group', permission: GROUP_ADMIN, ...command });
+    const participants = (name) => (ctx) => api.cmdParticipants(ctx.chat, ctx.metadata, name, ctx.args, ctx.msg, ctx.language);
+
+    return [
+        group({
+            name: 'groupinfo',
+            description: 'Info grup',
+            run: (ctx) => api.cmdGroupInfo(ctx.chat, ctx.metadata, ctx.language)
+        }),
+        group({
+            name: 'tagall',
+            description: 'Mention semua anggota',
+            usage: '[pesan]',
+            cooldown: 30,
+            run: (ctx) => api.cmdTagAll(ctx.chat, ctx.metadata, ctx.input, false, ctx.language)
+        }),
+        group({
+            name: 'hidetag',
+            description: 'Mention semua tanpa daftar',
+            usage: '[pesan]',
+            cooldown: 30,
+            run: (ctx) => api.cmdTagAll(ctx.chat, ctx.metadata, ctx.input || api.quotedText(ctx.msg), true, ctx.language)
+        }),
+        group({
+            name: 'kick',
+            description: 'Keluarkan anggota',
+            usage: '@user',
+            run: participants('kick')
+        }),
+        group({
+            name: 'add',
+            description: 'Tambah anggota',
+            usage: '[nomor]',
+            run: participants('add')
+        }),
+        group({
+            name: 'promote',
+            description: 'Jadikan admin',
+            usage: '@user',
+            run: participants('promote')
+        }),
+        group({
+            name: 'demote',
+            description: 'Cabut admin',
+            usage: '@user',
+            run: participants('demote')
+        }),
+        group({
+            name: 'groupset',
+            description: 'Pengaturan grup',
+            usage: '[key] [value]',
+            // Always available so switching commands off can be undone
+            required: true,
+            run: (ctx) => api.cmdGroupSet(ctx.chat, ctx.args[0], ctx.input.replace(/^\S+\s*/, ''), ctx.language)
+        }),
+        group({
+            name: 'warn',
+            description: 'Beri peringatan',
+            usage: '@user [alasan]',
+            run: (ctx) => api.cmdWarn(ctx.chat, ctx.author, ctx.args, ctx.msg, ctx.language)
+        }),
+        group({
+            name: 'warnings',
+            description: 'Daftar peringatan',
+            usage: '[@user]',
+            run: (ctx) => api.cmdWarnings(ctx.chat, ctx.args, ctx.msg, ctx.language)
+        }),
+        group({
+            name: 'resetwarn',
+            description: 'Hapus peringatan',
+            usage: '@user',
+            run: (ctx) => api.cmdResetWarn(ctx.chat, ctx.author, ctx.args, ctx.msg, ctx.language)
+        }),
+        group({
+            name: 'modlog',
+            description: 'Log moderasi',
+            usage: '[jumlah]',
+            run: (ctx) => api.cmdModLog(ctx.chat, ctx.args[0], ctx.language)
+        })
+    ];
+};
@@ -0,0 +1,147 @@
+/**
+ * Command registry - the bot's slash commands and their metadata.
+ *
+ * Every other file in this directory (and in COMMANDS_DIR, if set) exports
+ * a function that receives the command API built in bot/index.js and
+ * returns a list of definitions:
+ *   name         - what follows the slash, lowercase
+ *   aliases      - other names for the same command
+ *   category     - a COMMAND_CATEGORIES entry; groups switch categories
+ *                  off with /groupset commands and /menu is sectioned by it
+ *   description  - one line for /menu
+ *   usage        - arguments as shown in /menu, /help and format errors
+ *                  (both in Indonesian; other languages translate them
+ *                  in the commandHelp section of lib/i18n)
+ *   permission   - null for everyone, GROUP_ADMIN for admins of the group
+ *                  (or bot admins with manage_groups), otherwise the
+ *                  lib/auth/roles.js permission a bot admin needs
+ *   scope        - 'all', 'group' or 'private'
+ *   cooldown     - seconds between uses per user, bot admins are exempt
+ *   minArgs      - fewer arguments answer with the usage
+ *   required     - cannot be switched off by a group
+ *   run(ctx)     - see processCommand for the context
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { t, has } = require('../../lib/i18n');
+
+const COMMAND_CATEGORIES = ['general', 'media', 'group', 'admin'];
+const COMMAND_SCOPES = ['all', 'group', 'private'];
+const GROUP_ADMIN = 'group_admin';
+
+const DEFAULTS = {
+    aliases: [],
+    category: 'admin',
+    description: '',
+    usage: '',
+    permission: null,
+    scope: 'all',
+    cooldown: 0,
+    minArgs: 0,
+    required: false
+};
+
+class CommandRegistry {
+    constructor({ logger = console } = {}) {
+        this.logger = logger;
+        this.commands = new Map();
+        // Names and aliases to their command
+        this.names = new Map();
+        // `${name}|${user}` -> timestamp the command may be used again
+        this.cooldowns = new Map();
+    }
+
+    register(definition, source = 'registry') {
+        const command = { ...DEFAULTS, ...definition };
+        const problem =
+            !/^[a-z0-9]+$/.test(command.name || '') ? 'needs a lowercase name' :
+            typeof command.run !== 'function' ? 'needs a run function' :
+            !COMMAND_CATEGORIES.includes(command.category) ? `has unknown category ${command.category}` :
+            !COMMAND_SCOPES.includes(command.scope) ? `has unknown scope ${command.scope}` :
+            null;
+        if (problem) {
+            throw new Error(`Command ${command.name || '(unnamed)'} in ${source} ${problem}`);
+        }
+
+        for (const name of [command.name, ...command.aliases]) {
+            const existing = this.names.get(name);
+            if (existing) {
+                throw new Error(`Command /${name} in ${source} is already defined by /${existing.name}`);
+            }
+        }
+
+        this.commands.set(command.name, command);
+        [command.name, ...command.aliases].forEach(name => this.names.set(name, command));
+        return command;
+    }
+
+    // Registers the definitions of every .js file in `dir`, in file name order
+    load(dir, api) {
+        const files = fs.readdirSync(dir)
+            .filter(file => file.endsWith('.js') && file !== 'index.js')
+            .sort();
+
+        for (const file of files) {
+            const factory = require(path.resolve(dir, file));
+            if (typeof factory !== 'function') {
+                throw new Error(`${file} in ${dir} must export a function returning commands`);
+            }
+            factory(api).forEach(definition => this.register(definition, file));
+        }
+
+        this.logger.info(`🧩 ${this.commands.size} commands loaded from ${dir}`);
+    }
+
+    // By name or alias
+    get(name) {
+        return this.names.get(name) || null;
+    }
+
+    list() {
+        return [...this.commands.values()];
+    }
+
+    // Milliseconds `user` still has to wait, or 0 after starting a new cooldown
+    cooldown(command, user) {
+        if (!command.cooldown) return 0;
+
+        const now = Date.now();
+        const key = `${command.name}|${user}`;
+        const until = this.cooldowns.get(key) || 0;
+        if (until > now) return until - now;
+
+        if (this.cooldowns.size > 1000) {
+            for (const [k, expires] of this.cooldowns) {
+                if (expires <= now) this.cooldowns.delete(k);
+            }
+        }
+        this.cooldowns.set(key, now + command.cooldown * 1000);
+        return 0;
+    }
+
+    // Description and usage in `language`
+    describe(command, language) {
+        const key = `commandHelp.${command.name}`;
+        return {
+            description: has(language, `${key}.description`) ? t(language, `${key}.description`) : command.description,
+            usage: has(language, `${key}.usage`) ? t(language, `${key}.usage`) : command.usage
+        };
+    }
+
+    // "/name args", as in /menu and format errors
+    usage(command, language) {
+        const { usage } = this.describe(command, language);
+        return `/${command.name}${usage ? ` ${usage}` : ''}`;
+    }
+
+    usageError(command, language) {
+        return t(language, 'commands.format', { usage: this.usage(command, language), command: command.name });
+    }
+}
+
+function createCommandRegistry(options) {
+    return new CommandRegistry(options);
+}
+
+module.exports = { createCommandRegistry, COMMAND_CATEGORIES, GROUP_ADMIN };
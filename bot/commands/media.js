@@ -0,0 +1,40 @@
+/**
+ * Media conversions, see CONVERSIONS in bot/index.js and ../media/convert.js.
+ */
+
+module.exports = (api) => {
+    const convert = (name) => (ctx) => api.cmdConvert(ctx.chat, ctx.author, name, ctx.input, ctx.msg, ctx.language);
+
+    return [
+        {
+            name: 'sticker',
+            aliases: ['s'],
+            category: 'media',
+            description: 'Gambar/video jadi sticker',
+            usage: '[pack] | [author]',
+            cooldown: 10,
+            run: convert('sticker')
+        },
+        {
+            name: 'toimg',
+            category: 'media',
+            description: 'Sticker jadi gambar',
+            cooldown: 10,
+            run: convert('toimg')
+        },
+        {
+            name: 'tomp3',
+            category: 'media',
+            description: 'Video jadi audio',
+            cooldown: 10,
+            run: convert('tomp3')
+        },
+        {
+            name: 'tovn',
+            category: 'media',
+            description: 'Audio jadi voice note',
+            cooldown: 10,
+            run: convert('tovn')
+        }
+    ];
+};
@@ -0,0 +1,100 @@
+/**
+ * Admin commands that send messages: broadcasts, notifications, OTPs,
+ * message templates, scheduled messages and the message queue.
+ */
+
+const { PERMISSIONS } = require('../../lib/auth/roles');
+
+module.exports = (api) => [
+    {
+        name: 'broadcast',
+        aliases: ['bc'],
+        description: 'Kirim ke semua',
+        usage: '[opsi |] [pesan]',
+        permission: PERMISSIONS.BROADCAST,
+        run: (ctx) => api.cmdBroadcast(ctx.chat, ctx.author, ctx.input, ctx.language)
+    },
+    {
+        name: 'campaigns',
+        description: 'Daftar broadcast',
+        permission: PERMISSIONS.BROADCAST,
+        run: (ctx) => api.cmdListCampaigns(ctx.chat, ctx.language)
+    },
+    {
+        name: 'campaign',
+        description: 'Status atau kontrol broadcast',
+        usage: '[pause|resume|cancel] [id]',
+        permission: PERMISSIONS.BROADCAST,
+        minArgs: 1,
+        run: (ctx) => {
+            const [action, id] = ctx.args;
+            if (['pause', 'resume', 'cancel'].includes(action)) {
+                return id ? api.cmdControlCampaign(ctx.chat, id, action, ctx.language) : ctx.usage();
+            }
+            return api.cmdCampaignStatus(ctx.chat, action, ctx.language);
+        }
+    },
+    {
+        name: 'otp',
+        description: 'Kirim OTP',
+        usage: '[nomor] [kode]',
+        permission: PERMISSIONS.SEND_OTP,
+        minArgs: 2,
+        run: async (ctx) => {
+            const [phone, code] = ctx.args;
+            await api.cmdSendOTP(phone, code);
+            // Lets the auth module accept this code for web login
+            api.botEvents.emit('otp_issued', { phone, code });
+        }
+    },
+    {
+        name: 'notify',
+        description: 'Notifikasi',
+        usage: '[nomor] [pesan]',
+        permission: PERMISSIONS.SEND_MESSAGE,
+        minArgs: 2,
+        run: (ctx) => api.cmdNotify(ctx.args[0], ctx.input.replace(/^\S+\s*/, ''))
+    },
+    {
+        name: 'templates',
+        description: 'Daftar template pesan',
+        permission: PERMISSIONS.SETTINGS,
+        run: (ctx) => api.cmdListTemplates(ctx.chat, ctx.language)
+    },
+    {
+        name: 'template',
+        description: 'Lihat, ubah atau reset template',
+        usage: '[nama] [id|en|reset] | [teks]',
+        permission: PERMISSIONS.SETTINGS,
+        minArgs: 1,
+        run: (ctx) => api.cmdTemplate(ctx.chat, ctx.author, ctx.input, ctx.language)
+    },
+    {
+        name: 'schedule',
+        description: 'Jadwalkan pesan',
+        usage: '[nomor] [waktu] | [pesan]',
+        permission: PERMISSIONS.SEND_MESSAGE,
+        run: (ctx) => api.cmdSchedule(ctx.chat, ctx.author, ctx.text, ctx.msg, ctx.language)
+    },
+    {
+        name: 'schedules',
+        description: 'Daftar pesan terjadwal',
+        permission: PERMISSIONS.SEND_MESSAGE,
+        run: (ctx) => api.cmdListSchedules(ctx.chat, ctx.language)
+    },
+    {
+        name: 'unschedule',
+        description: 'Batalkan jadwal',
+        usage: '[id]',
+        permission: PERMISSIONS.SEND_MESSAGE,
+        minArgs: 1,
+        run: (ctx) => api.cmdUnschedule(ctx.chat, ctx.args[0], ctx.language)
+    },
+    {
+        name: 'queue',
+        description: 'Antrian pesan',
+        usage: '[pause|resume|dead|retry|purge]',
+        permission: PERMISSIONS.MANAGE_QUEUE,
+        run: (ctx) => api.cmdQueue(ctx.chat, ctx.args, ctx.language)
+    }
+];
@@ -0,0 +1,76 @@
+/**
+ * Admin commands for the bot's profile, statuses and contacts.
+ */
+
+const { PERMISSIONS } = require('../../lib/auth/roles');
+
+module.exports = (api) => [
+    {
+        name: 'getstatus',
+        aliases: ['getstory'],
+        description: 'Lihat status',
+        usage: '[nomor]',
+        permission: PERMISSIONS.VIEW_USERS,
+        run: (ctx) => api.cmdGetStatus(ctx.chat, ctx.args[0], ctx.language)
+    },
+    {
+        name: 'sendstatus',
+        aliases: ['sendstory'],
+        description: 'Kirim status',
+        usage: '[teks]',
+        permission: PERMISSIONS.MANAGE_PROFILE,
+        minArgs: 1,
+        run: (ctx) => api.cmdSendStatus(ctx.chat, ctx.input, ctx.language)
+    },
+    {
+        name: 'save',
+        description: 'Simpan kontak yang dibalas',
+        usage: '(balas kontak)',
+        permission: PERMISSIONS.VIEW_USERS,
+        run: (ctx) => api.cmdSaveContact(ctx.msg)
+    },
+    {
+        name: 'getcontact',
+        description: 'Cek nomor di WhatsApp',
+        usage: '[nomor]',
+        permission: PERMISSIONS.VIEW_USERS,
+        minArgs: 1,
+        run: (ctx) => api.cmdGetContact(ctx.chat, ctx.args[0])
+    },
+    {
+        name: 'setpp',
+        description: 'Ubah foto chat ini',
+        usage: '(balas gambar)',
+        permission: PERMISSIONS.MANAGE_PROFILE,
+        run: (ctx) => api.cmdSetProfilePicture(ctx.msg)
+    },
+    {
+        name: 'setppbot',
+        description: 'Ubah foto profil bot',
+        usage: '(balas gambar)',
+        permission: PERMISSIONS.MANAGE_PROFILE,
+        run: (ctx) => api.cmdSetBotPP(ctx.msg, ctx.language)
+    },
+    {
+        name: 'setname',
+        description: 'Ubah nama bot',
+        usage: '[nama]',
+        permission: PERMISSIONS.MANAGE_PROFILE,
+        minArgs: 1,
+        run: async (ctx) => {
+            await api.sock.updateProfileName(ctx.input);
+            return ctx.reply(ctx.t('profile.nameUpdated', { name: ctx.input }));
+        }
+    },
+    {
+        name: 'setstatus',
+        description: 'Ubah status bot',
+        usage: '[teks]',
+        permission: PERMISSIONS.MANAGE_PROFILE,
+        minArgs: 1,
+        run: async (ctx) => {
+            await api.sock.updateProfileStatus(ctx.input);
+            return ctx.reply(ctx.t('profile.statusUpdated'));
+        }
+    }
+];
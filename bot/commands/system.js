@@ -0,0 +1,70 @@
+/**
+ * Admin commands for the bot itself: stats, groups it is in, settings and
+ * restarting.
+ */
+
+const { PERMISSIONS } = require('../../lib/auth/roles');
+
+module.exports = (api) => [
+    {
+        name: 'stats',
+        description: 'Statistik bot',
+        permission: PERMISSIONS.VIEW_STATS,
+        run: (ctx) => api.cmdStats(ctx.chat, ctx.language)
+    },
+    {
+        name: 'getgroups',
+        description: 'Daftar grup',
+        permission: PERMISSIONS.MANAGE_GROUPS,
+        run: (ctx) => api.cmdGetGroups(ctx.chat, ctx.language)
+    },
+    {
+        name: 'joingroup',
+        description: 'Join grup',
+        usage: '[link]',
+        permission: PERMISSIONS.MANAGE_GROUPS,
+        minArgs: 1,
+        run: (ctx) => api.cmdJoinGroup(ctx.args[0])
+    },
+    {
+        name: 'leave',
+        description: 'Keluar grup',
+        usage: '[groupId]',
+        permission: PERMISSIONS.MANAGE_GROUPS,
+        minArgs: 1,
+        run: (ctx) => api.cmdLeaveGroup(ctx.args[0])
+    },
+    {
+        name: 'settings',
+        description: 'Lihat settings bot',
+        permission: PERMISSIONS.SETTINGS,
+        run: (ctx) => api.cmdSettings(ctx.chat, ctx.language)
+    },
+    {
+        name: 'set',
+        description: 'Ubah setting, /settings untuk daftar key',
+        usage: '[key] [value]',
+        permission: PERMISSIONS.SETTINGS,
+        minArgs: 2,
+        // Keeps the value's own spacing and newlines (welcome message)
+        run: (ctx) => api.cmdSet(ctx.chat, ctx.admin, ctx.args[0], ctx.input.replace(/^\S+\s*/, ''), ctx.language)
+    },
+    {
+        name: 'restart',
+        description: 'Restart bot',
+        permission: PERMISSIONS.RESTART,
+        run: async (ctx) => {
+            await ctx.reply(ctx.t('system.restarting'));
+            process.exit(0);
+        }
+    },
+    {
+        name: 'shutdown',
+        description: 'Matikan bot',
+        permission: PERMISSIONS.RESTART,
+        run: async (ctx) => {
+            await ctx.reply(ctx.t('system.shuttingDown'));
+            process.exit(1);
+        }
+    }
+];
@@ -21,6 +21,7 @@ const {
     DisconnectReason, 
     useMultiFileAuthState,
     jidDecode,
+    jidNormalizedUser,
     delay,
     fetchLatestBaileysVersion,
     makeInMemoryStore,
@@ -37,8 +38,16 @@ const cron = require('node-cron');
 const moment = require('moment-timezone');
 const { v4: uuidv4 } = require('uuid');
 const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { createStorage, FILES } = require('./storage');
+const { createMediaArchive } = require('./media');
+const { createMediaConverter } = require('./media/convert');
+const { createCommandRegistry, COMMAND_CATEGORIES, GROUP_ADMIN } = require('./commands');
+const { createWebhookDispatcher, WEBHOOK_EVENTS, DELIVERY_STATUSES: WEBHOOK_DELIVERY_STATUSES } = require('./webhooks');
+const { PERMISSIONS, hasPermission } = require('../lib/auth/roles');
+const { t, LANGUAGES, DEFAULT_LANGUAGE, normalizeLanguage, languageForPhone } = require('../lib/i18n');
+const { renderTemplate, checkTemplate, templateVariables } = require('../lib/templates');
 const axios = require('axios');
-const ffmpeg = require('fluent-ffmpeg');
 
 // Logger setup
 const logger = pino({ 
@@ -64,22 +73,6 @@ const TEMP_DIR = './temp';
     if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
 });
 
-// Data files
-const FILES = {
-    USERS: path.join(DATA_DIR, 'users.json'),
-    OTP: path.join(DATA_DIR, 'otp.json'),
-    MESSAGES: path.join(DATA_DIR, 'messages.json'),
-    SETTINGS: path.join(DATA_DIR, 'settings.json'),
-    GROUPS: path.join(DATA_DIR, 'groups.json'),
-    QUEUE: path.join(DATA_DIR, 'queue.json'),
-    STATS: path.join(DATA_DIR, 'stats.json')
-};
-
-// Initialize data files
-Object.values(FILES).forEach(file => {
-    if (!fs.existsSync(file)) fs.writeJsonSync(file, {});
-});
-
 // In-memory store
 const store = makeInMemoryStore({ logger });
 const msgRetryCounterCache = new Map();
@@ -92,6 +85,9 @@ let reconnectAttempts = 0;
 const MAX_RECONNECT_ATTEMPTS = 10;
 const RECONNECT_INTERVAL = 5000;
 
+// Bot events consumed by server.js (e.g. to push messages to web clients)
+const botEvents = new EventEmitter();
+
 // Readline interface
 const rl = readline.createInterface({
     input: process.stdin,
@@ -104,481 +100,1614 @@ const question = (text) => new Promise((resolve) => rl.question(text, resolve));
 // DATABASE HELPERS
 // =====================================================
 
-const DB = {
-    get: (file) => {
-        try {
-            return fs.readJsonSync(file);
-        } catch {
-            return {};
-        }
-    },
-    
-    set: (file, data) => {
-        fs.writeJsonSync(file, data, { spaces: 2 });
-    },
-    
-    update: (file, key, value) => {
-        const data = DB.get(file);
-        data[key] = value;
-        DB.set(file, data);
-    },
-    
-    delete: (file, key) => {
-        const data = DB.get(file);
-        delete data[key];
-        DB.set(file, data);
-    }
-};
+// Pluggable storage, see ./storage (STORAGE_DRIVER=json|sqlite|postgres)
+const DB = createStorage({
+    dataDir: DATA_DIR,
+    collections: Object.values(FILES),
+    logger
+});
+
+// Downloaded attachments, deduplicated by content hash (see ./media)
+const mediaArchive = createMediaArchive({
+    dir: MEDIA_DIR,
+    db: DB,
+    collection: FILES.MEDIA,
+    logger
+});
+
+// /sticker, /toimg, /tomp3 and /tovn
+const mediaConverter = createMediaConverter({ tempDir: TEMP_DIR, logger });
+
+// Events POSTed to the URLs admins subscribe (see ./webhooks)
+const webhooks = createWebhookDispatcher({
+    db: DB,
+    collection: FILES.WEBHOOKS,
+    logCollection: FILES.WEBHOOK_LOG,
+    logger
+});
 
 // =====================================================
-// MESSAGE QUEUE SYSTEM
+// SETTINGS
 // =====================================================
 
-class MessageQueue {
-    constructor() {
-        this.queue = [];
-        this.processing = false;
-        this.load();
-    }
-    
-    load() {
-        this.queue = DB.get(FILES.QUEUE).messages || [];
-    }
-    
-    save() {
-        DB.set(FILES.QUEUE, { messages: this.queue });
+// Schedules, /waktu and groups without a timezone of their own
+const DEFAULT_TIMEZONE = 'Asia/Jakarta';
+
+// Bot settings editable at runtime from the dashboard (/api/admin/settings)
+// or with /set. welcomeMessage is the default of the `welcome` template
+// (see MESSAGE TEMPLATES) and gets the same variables.
+const SETTINGS_SCHEMA = {
+    adminNumber: { type: 'phone', default: '' },
+    autoReplyEnabled: { type: 'boolean', default: false },
+    reminderInterval: { type: 'integer', min: 1, max: 30, default: 3 },
+    // Anti-spam: messages allowed per user within spamWindowSeconds
+    spamWindowSeconds: { type: 'integer', min: 1, max: 300, default: 10 },
+    spamDmLimit: { type: 'integer', min: 1, max: 1000, default: 10 },
+    spamGroupLimit: { type: 'integer', min: 1, max: 1000, default: 20 },
+    spamCommandLimit: { type: 'integer', min: 1, max: 1000, default: 5 },
+    welcomeMessage: {
+        type: 'string',
+        template: true,
+        max: 1000,
+        default: '👋 Selamat datang @{user}!\n\n📌 *{group}*\n👥 Member ke-{count}\n\nKetik /menu untuk bantuan.'
     }
+};
+
+function getSettings() {
+    const saved = DB.get(FILES.SETTINGS);
+    const settings = {};
     
-    add(message) {
-        this.queue.push({
-            id: uuidv4(),
-            ...message,
-            addedAt: Date.now(),
-            attempts: 0
-        });
-        this.save();
-        this.process();
+    for (const [key, field] of Object.entries(SETTINGS_SCHEMA)) {
+        settings[key] = saved[key] !== undefined ? saved[key] : field.default;
     }
+    return settings;
+}
+
+// A patterns entry written as /regex/flags rather than a plain word
+const REGEX_ENTRY_PATTERN = /^\/(.+)\/([a-z]*)$/;
+
+// Coerces form/command input to the schema types, collecting errors per key
+// (from the catalog's settings.errors; English unless chat asks otherwise).
+// `allowRegex` lets patterns fields take /regex/ entries (bot admins only).
+function validateSettings(patch, schema = SETTINGS_SCHEMA, { allowRegex = false, language = 'en' } = {}) {
+    const values = {};
+    const errors = {};
+    const error = (key, params) => t(language, `settings.errors.${key}`, params);
     
-    async process() {
-        if (this.processing || this.queue.length === 0 || !isBotReady) return;
-        
-        this.processing = true;
-        const msg = this.queue[0];
-        
-        try {
-            await this.send(msg);
-            this.queue.shift();
-            this.save();
-            logger.info(`✅ Message sent: ${msg.id}`);
-        } catch (err) {
-            msg.attempts++;
-            if (msg.attempts >= 3) {
-                logger.error(`❌ Message failed after 3 attempts: ${msg.id}`);
-                this.queue.shift();
-            } else {
-                logger.warn(`⚠️ Message retry ${msg.attempts}: ${msg.id}`);
-            }
-            this.save();
-            await delay(2000);
+    for (const [key, raw] of Object.entries(patch || {})) {
+        const field = schema[key];
+        if (!field) {
+            errors[key] = error('unknown');
+            continue;
         }
         
-        this.processing = false;
-        if (this.queue.length > 0) {
-            setTimeout(() => this.process(), 1000);
-        }
-    }
-    
-    async send(msg) {
-        const jid = msg.to.includes('@') ? msg.to : `${msg.to}@s.whatsapp.net`;
-        
-        switch (msg.type) {
-            case 'text':
-                await ndii.sendMessage(jid, { text: msg.content });
+        switch (field.type) {
+            case 'phone': {
+                const digits = String(raw ?? '').replace(/[^0-9]/g, '');
+                if (digits && (digits.length < 8 || digits.length > 15)) {
+                    errors[key] = error('phone');
+                } else {
+                    values[key] = digits;
+                }
                 break;
-            case 'image':
-                await ndii.sendMessage(jid, { 
-                    image: fs.readFileSync(msg.mediaPath),
-                    caption: msg.caption 
-                });
+            }
+            case 'boolean': {
+                const text = String(raw).toLowerCase();
+                if (['true', 'on', '1', 'yes', 'ya'].includes(text)) values[key] = true;
+                else if (['false', 'off', '0', 'no', 'tidak'].includes(text)) values[key] = false;
+                else errors[key] = error('boolean');
                 break;
-            case 'video':
-                await ndii.sendMessage(jid, { 
-                    video: fs.readFileSync(msg.mediaPath),
-                    caption: msg.caption 
-                });
+            }
+            case 'integer': {
+                const number = Number(raw);
+                if (!Number.isInteger(number) || number < field.min || number > field.max) {
+                    errors[key] = error('integer', { min: field.min, max: field.max });
+                } else {
+                    values[key] = number;
+                }
                 break;
-            case 'audio':
-                await ndii.sendMessage(jid, { 
-                    audio: fs.readFileSync(msg.mediaPath),
-                    mimetype: 'audio/mp4',
-                    ptt: msg.ptt || false
-                });
+            }
+            case 'string': {
+                const text = String(raw ?? '').trim();
+                if (!text) errors[key] = error('empty');
+                else if (text.length > field.max) errors[key] = error('tooLong', { max: field.max });
+                else if (field.template && checkTemplate(text)) errors[key] = error('template', { error: checkTemplate(text) });
+                else values[key] = text;
                 break;
-            case 'document':
-                await ndii.sendMessage(jid, { 
-                    document: fs.readFileSync(msg.mediaPath),
-                    fileName: msg.fileName,
-                    mimetype: msg.mimetype
-                });
+            }
+            case 'enum': {
+                const text = String(raw ?? '').trim().toLowerCase();
+                if (!field.options.includes(text)) errors[key] = error('enum', { options: field.options.join(', ') });
+                else values[key] = text;
                 break;
-            case 'location':
-                await ndii.sendMessage(jid, { 
-                    location: msg.location 
-                });
+            }
+            case 'timezone': {
+                const zone = moment.tz.zone(String(raw ?? '').trim());
+                if (!zone) errors[key] = error('timezone');
+                else values[key] = zone.name;
                 break;
-            case 'button':
-                await ndii.sendMessage(jid, {
-                    buttons: msg.buttons,
-                    text: msg.content,
-                    footer: msg.footer,
-                    headerType: 1
-                });
+            }
+            case 'list': {
+                // An array, or "a, b" from chat; "all" picks every option, "none" none
+                const items = Array.isArray(raw) ? raw : String(raw ?? '').split(',');
+                const list = items.map(item => String(item).trim().toLowerCase()).filter(item => item && item !== 'none');
+                const unknown = list.filter(item => item !== 'all' && !field.options.includes(item));
+                if (unknown.length > 0) errors[key] = error('list', { options: field.options.join(', ') });
+                else values[key] = list.includes('all') ? [...field.options] : [...new Set(list)];
                 break;
-            case 'template':
-                await ndii.sendMessage(jid, {
-                    templateButtons: msg.templateButtons,
-                    text: msg.content,
-                    footer: msg.footer
+            }
+            case 'patterns': {
+                // Words, or /regex/flags; one per line, or comma separated
+                const text = Array.isArray(raw) ? raw.join('\n') : String(raw ?? '');
+                const list = text.split(text.includes('\n') ? '\n' : ',').map(item => item.trim()).filter(item => item && item !== 'none');
+                const regex = allowRegex ? null : list.find(item => REGEX_ENTRY_PATTERN.test(item));
+                const invalid = list.find(item => {
+                    try {
+                        compilePattern(item);
+                        return item.length > 100;
+                    } catch (err) {
+                        return true;
+                    }
                 });
+                if (list.length > field.max) errors[key] = error('tooMany', { max: field.max });
+                else if (regex) errors[key] = error('regex', { entry: regex });
+                else if (invalid) errors[key] = error('invalidEntry', { entry: invalid });
+                else values[key] = [...new Set(list)];
                 break;
-            default:
-                await ndii.sendMessage(jid, { text: msg.content });
+            }
         }
     }
+    
+    return { values, errors };
 }
 
-const messageQueue = new MessageQueue();
+/**
+ * Validates and saves a partial settings object, then applies it to the
+ * running bot. Returns { success, settings } or { success: false, errors },
+ * the errors in `language`.
+ */
+function updateSettings(patch, { language = 'en' } = {}) {
+    const { values, errors } = validateSettings(patch, SETTINGS_SCHEMA, { language });
+    if (Object.keys(errors).length > 0) {
+        return { success: false, errors };
+    }
+    
+    const previous = getSettings();
+    DB.set(FILES.SETTINGS, { ...DB.get(FILES.SETTINGS), ...values });
+    
+    const settings = getSettings();
+    if (settings.reminderInterval !== previous.reminderInterval && scheduledTasks.reminder) {
+        scheduleReminder();
+    }
+    
+    logger.info(`⚙️ Settings updated: ${Object.keys(values).join(', ')}`);
+    botEvents.emit('settings_changed', settings);
+    return { success: true, settings };
+}
 
 // =====================================================
-// ANTI-SPAM SYSTEM
+// GROUP SETTINGS
 // =====================================================
 
-class AntiSpam {
-    constructor() {
-        this.messages = new Map();
-        this.banned = new Set();
-        this.limits = {
-            messages: 10,      // max messages
-            window: 10000,     // per 10 seconds
-            blockDuration: 300000 // 5 minutes block
-        };
+// What a moderation rule does with an offending message, mildest first
+const MODERATION_ACTIONS = ['off', 'delete', 'warn', 'mute', 'kick'];
+
+// Per-group overrides stored by group id in FILES.GROUPS, edited with
+// /groupset or /api/admin/groups/:id/settings. welcomeMessage and
+// goodbyeMessage replace the `welcome` and `goodbye` templates in this
+// group and get the same variables; null uses the templates.
+// `language` is used for everything the bot says in the group.
+// `commands` lists the enabled command categories (see ./commands).
+// The moderation keys are described with GroupModerator.
+const GROUP_SETTINGS_SCHEMA = {
+    welcomeEnabled: { type: 'boolean', default: true },
+    welcomeMessage: { type: 'string', template: true, max: 1000, default: null },
+    goodbyeEnabled: { type: 'boolean', default: true },
+    goodbyeMessage: { type: 'string', template: true, max: 1000, default: null },
+    autoReplyEnabled: { type: 'boolean', default: true },
+    commands: { type: 'list', options: COMMAND_CATEGORIES, default: COMMAND_CATEGORIES },
+    language: { type: 'enum', options: LANGUAGES, default: DEFAULT_LANGUAGE },
+    timezone: { type: 'timezone', default: DEFAULT_TIMEZONE },
+    moderation: { type: 'boolean', default: false },
+    inviteLinkAction: { type: 'enum', options: MODERATION_ACTIONS, default: 'delete' },
+    linkAction: { type: 'enum', options: MODERATION_ACTIONS, default: 'off' },
+    bannedWords: { type: 'patterns', max: 100, default: [] },
+    bannedWordsAction: { type: 'enum', options: MODERATION_ACTIONS, default: 'warn' },
+    massMentionLimit: { type: 'integer', min: 2, max: 1024, default: 10 },
+    massMentionAction: { type: 'enum', options: MODERATION_ACTIONS, default: 'off' },
+    forwardedLimit: { type: 'integer', min: 1, max: 127, default: 5 },
+    forwardedAction: { type: 'enum', options: MODERATION_ACTIONS, default: 'off' },
+    maxWarnings: { type: 'integer', min: 1, max: 20, default: 3 },
+    muteMinutes: { type: 'integer', min: 1, max: 1440, default: 10 }
+};
+
+function getGroupSettings(groupId) {
+    const saved = DB.get(FILES.GROUPS)[groupId] || {};
+    const settings = {};
+    
+    for (const [key, field] of Object.entries(GROUP_SETTINGS_SCHEMA)) {
+        settings[key] = saved[key] !== undefined ? saved[key] : field.default;
+    }
+    return settings;
+}
+
+/**
+ * Validates and saves a partial group config; null (or "reset" from chat)
+ * puts a key back to its default. Returns { success, settings } or
+ * { success: false, errors } like updateSettings. Only bot admins (the
+ * dashboard) pass `allowRegex`; group admins are limited to plain words.
+ */
+function updateGroupSettings(groupId, patch, { allowRegex = false, language = 'en' } = {}) {
+    if (!/@g\.us$/.test(groupId)) {
+        return { success: false, errors: { groupId: t(language, 'settings.errors.groupId') } };
     }
     
-    check(userId) {
-        if (this.banned.has(userId)) {
-            const remaining = this.getRemainingBlock(userId);
-            if (remaining > 0) return { allowed: false, reason: 'banned', remaining };
-            this.banned.delete(userId);
-        }
-        
-        const now = Date.now();
-        const userMessages = this.messages.get(userId) || [];
-        
-        // Clean old messages
-        const recent = userMessages.filter(time => now - time < this.limits.window);
-        recent.push(now);
-        this.messages.set(userId, recent);
-        
-        if (recent.length > this.limits.messages) {
-            this.ban(userId);
-            return { allowed: false, reason: 'spam_detected', blockDuration: this.limits.blockDuration };
+    const resets = Object.keys(patch || {}).filter(key =>
+        patch[key] === null || ['reset', 'default'].includes(String(patch[key]).trim().toLowerCase())
+    );
+    const changes = Object.fromEntries(Object.entries(patch || {}).filter(([key]) => !resets.includes(key)));
+    
+    const { values, errors } = validateSettings(changes, GROUP_SETTINGS_SCHEMA, { allowRegex, language });
+    resets.filter(key => !GROUP_SETTINGS_SCHEMA[key]).forEach(key => { errors[key] = t(language, 'settings.errors.unknown'); });
+    if (Object.keys(errors).length > 0) {
+        return { success: false, errors };
+    }
+    
+    const saved = { ...DB.get(FILES.GROUPS)[groupId], ...values };
+    resets.forEach(key => delete saved[key]);
+    DB.update(FILES.GROUPS, groupId, saved);
+    
+    logger.info(`⚙️ Group ${groupId} settings updated: ${[...Object.keys(values), ...resets].join(', ')}`);
+    return { success: true, settings: getGroupSettings(groupId) };
+}
+
+// Group ids with saved overrides and their effective settings
+function listGroupSettings() {
+    return Object.keys(DB.get(FILES.GROUPS)).map(id => ({ id, settings: getGroupSettings(id) }));
+}
+
+// =====================================================
+// MESSAGE TEMPLATES
+// =====================================================
+
+// Named texts rendered with lib/templates, stored by name in
+// FILES.TEMPLATES as { name, description, texts: { [language]: text } }.
+// The built-in ones are what the bot sends on its own; a language without
+// a saved text uses the catalog in lib/i18n (settings.welcomeMessage for
+// `welcome`). Any other name is an admin's own template, usable for
+// broadcasts (/broadcast template=name) and dashboard notifications.
+// Besides the `variables` listed here, every template gets the recipient's
+// {name}, {phone} and {language} and the current {date} and {time}.
+// Built-in descriptions are in the catalog under templates.descriptions.
+const TEMPLATE_NAME_PATTERN = /^[a-z0-9_-]{1,40}$/;
+const TEMPLATE_MAX_LENGTH = 4000;
+const TEMPLATE_COMMON_VARIABLES = ['name', 'phone', 'language', 'date', 'time'];
+const GROUP_TEMPLATE_VARIABLES = ['user', 'group', 'memberCount', 'count'];
+
+const BUILTIN_TEMPLATES = {
+    otp: { variables: ['code'], text: (language) => t(language, 'otp.message') },
+    notify: { variables: ['message'], text: (language) => t(language, 'notify.message') },
+    broadcast: { variables: ['message'], text: (language) => t(language, 'broadcast.message') },
+    welcome: { variables: GROUP_TEMPLATE_VARIABLES, text: () => getSettings().welcomeMessage },
+    goodbye: { variables: GROUP_TEMPLATE_VARIABLES, text: (language) => t(language, 'group.goodbye') },
+    reminder: { variables: [], text: (language) => t(language, 'reminder.message') }
+};
+
+// Stand-ins for the preview when the caller gives no recipient or values
+const TEMPLATE_SAMPLES = {
+    name: 'Andi',
+    phone: '6281234567890',
+    code: '123456',
+    message: 'Contoh pesan',
+    user: '6281234567890',
+    group: 'NdiiClouD Community',
+    memberCount: 42,
+    count: 42
+};
+
+// Text for `language`: the saved one, the built-in default, then a saved
+// text in another language. Null if there is no such template
+function getTemplateText(name, language = DEFAULT_LANGUAGE) {
+    const saved = DB.get(FILES.TEMPLATES)[name];
+    const builtin = BUILTIN_TEMPLATES[name];
+    
+    if (saved?.texts[language]) return saved.texts[language];
+    if (builtin) return builtin.text(language);
+    if (!saved) return null;
+    return saved.texts[DEFAULT_LANGUAGE] || Object.values(saved.texts)[0];
+}
+
+// `language` is only used for the description of built-ins
+function getTemplate(name, language = DEFAULT_LANGUAGE) {
+    const saved = DB.get(FILES.TEMPLATES)[name];
+    const builtin = BUILTIN_TEMPLATES[name];
+    if (!saved && !builtin) return null;
+    
+    const texts = Object.fromEntries(LANGUAGES.map(textLanguage => [textLanguage, getTemplateText(name, textLanguage)]));
+    return {
+        name,
+        description: saved?.description || (builtin ? t(language, `templates.descriptions.${name}`) : ''),
+        builtin: !!builtin,
+        customized: !!saved,
+        variables: [...new Set([
+            ...TEMPLATE_COMMON_VARIABLES,
+            ...(builtin?.variables || []),
+            ...Object.values(texts).flatMap(text => templateVariables(text))
+        ])],
+        texts,
+        // Only what an admin saved; `texts` includes the defaults
+        savedTexts: saved?.texts || {},
+        updatedAt: saved?.updatedAt || null,
+        updatedBy: saved?.updatedBy || null
+    };
+}
+
+function listTemplates(language = DEFAULT_LANGUAGE) {
+    const names = new Set([...Object.keys(BUILTIN_TEMPLATES), ...Object.keys(DB.get(FILES.TEMPLATES))]);
+    return [...names].sort().map(name => getTemplate(name, language));
+}
+
+// Empty texts are dropped, so a built-in falls back to its default there
+function validateTemplate(input = {}) {
+    const errors = {};
+    const template = {
+        description: String(input.description || '').trim(),
+        texts: {}
+    };
+    
+    if (template.description.length > 200) errors.description = 'must be at most 200 characters';
+    if (input.texts !== undefined && (typeof input.texts !== 'object' || Array.isArray(input.texts))) {
+        errors.texts = 'must be an object of language: text';
+    }
+    
+    for (const [key, value] of Object.entries(errors.texts ? {} : input.texts || {})) {
+        const language = normalizeLanguage(key);
+        const text = String(value ?? '').trim();
+        if (!language) {
+            errors.texts = `languages must be one of ${LANGUAGES.join(', ')}`;
+            continue;
         }
+        if (!text) continue;
         
-        return { allowed: true };
+        const problem = text.length > TEMPLATE_MAX_LENGTH ?
+            `must be at most ${TEMPLATE_MAX_LENGTH} characters` :
+            checkTemplate(text);
+        if (problem) errors[`texts.${language}`] = problem;
+        template.texts[language] = text;
     }
     
-    ban(userId) {
-        this.banned.add(userId);
-        setTimeout(() => this.banned.delete(userId), this.limits.blockDuration);
-        logger.warn(`🚫 User banned for spam: ${userId}`);
+    return { template, errors };
+}
+
+/**
+ * Creates or replaces template `name`. Built-ins only need the languages
+ * that differ from their defaults. Returns { success, template } or
+ * { success: false, errors }.
+ */
+function saveTemplate(name, input, updatedBy = null) {
+    if (!TEMPLATE_NAME_PATTERN.test(name || '')) {
+        return { success: false, errors: { name: 'must be 1-40 lowercase letters, digits, - or _' } };
     }
     
-    getRemainingBlock(userId) {
-        // Simplified - in real implementation, track ban time
-        return this.limits.blockDuration;
+    const { template, errors } = validateTemplate(input);
+    if (!BUILTIN_TEMPLATES[name] && Object.keys(template.texts).length === 0 && !errors.texts) {
+        errors.texts = 'needs a text in at least one language';
     }
+    if (Object.keys(errors).length > 0) return { success: false, errors };
+    
+    const existing = DB.get(FILES.TEMPLATES)[name];
+    const now = Date.now();
+    DB.update(FILES.TEMPLATES, name, {
+        name,
+        ...template,
+        createdAt: existing?.createdAt || now,
+        updatedAt: now,
+        updatedBy
+    });
+    
+    logger.info(`📝 Template ${name} saved (${Object.keys(template.texts).join(', ') || 'defaults'})`);
+    return { success: true, template: getTemplate(name) };
 }
 
-const antiSpam = new AntiSpam();
+// Deletes an admin's template, or puts a built-in back to its defaults
+function deleteTemplate(name) {
+    if (!DB.get(FILES.TEMPLATES)[name]) return false;
+    
+    DB.delete(FILES.TEMPLATES, name);
+    logger.info(`📝 Template ${name} ${BUILTIN_TEMPLATES[name] ? 'reset' : 'deleted'}`);
+    return true;
+}
+
+// The variables every template gets for `user` (a jid, number or email)
+function recipientVariables(user, language) {
+    const key = userKey(user);
+    const record = (key && DB.get(FILES.USERS)[key]) || {};
+    const now = moment().tz(DEFAULT_TIMEZONE);
+    
+    return {
+        name: record.name || '',
+        phone: key.includes('@') ? '' : key,
+        language,
+        date: now.format('DD/MM/YYYY'),
+        time: now.format('HH:mm')
+    };
+}
+
+// Template `name` for `user`, in their language unless `language` is given.
+// `variables` are added to (and override) the recipient's. Null for
+// unknown templates
+function renderMessageTemplate(name, user, variables = {}, language = userLanguage(user)) {
+    const text = getTemplateText(name, language);
+    if (text === null) return null;
+    return renderTemplate(text, { ...recipientVariables(user, language), ...variables });
+}
+
+/**
+ * Sends `message` to a number or group, filled with the recipient's
+ * variables (so it can say "Halo {name}") and `variables`. With `template`
+ * the message goes into that template as {message}. Returns what
+ * sendMessage returns, or false for unknown templates.
+ */
+async function sendTemplateMessage(to, message, { template = null, variables = {} } = {}) {
+    const isGroup = to.endsWith('@g.us');
+    const language = chatLanguage(to);
+    const values = { ...recipientVariables(isGroup ? '' : to, language), ...variables };
+    
+    const personal = renderTemplate(message || '', values);
+    const text = template ? renderMessageTemplate(template, isGroup ? '' : to, { ...values, message: personal }, language) : personal;
+    if (text === null) return false;
+    
+    return sendMessage(to, text);
+}
+
+/**
+ * Renders a saved template (`name`) or a draft (`text`) for the dashboard.
+ * With `phone` the variables are that user's, otherwise samples; `variables`
+ * override both. Returns { success, text, language, variables },
+ * { success: false, errors } or { notFound }.
+ */
+function previewTemplate({ name, text, language, phone, variables = {} } = {}) {
+    const previewLanguage = normalizeLanguage(language) || (phone ? userLanguage(phone) : DEFAULT_LANGUAGE);
+    const source = text ? String(text) : getTemplateText(name, previewLanguage);
+    if (source === null) return { success: false, notFound: true };
+    
+    const problem = checkTemplate(source);
+    if (problem) return { success: false, errors: { text: problem } };
+    
+    const recipient = phone ?
+        recipientVariables(phone, previewLanguage) :
+        { ...recipientVariables('', previewLanguage), name: TEMPLATE_SAMPLES.name, phone: TEMPLATE_SAMPLES.phone };
+    const values = { ...TEMPLATE_SAMPLES, ...recipient, ...variables };
+    
+    return { success: true, text: renderTemplate(source, values), language: previewLanguage, variables: values };
+}
 
 // =====================================================
-// AUTO-RESPONDER AI
+// DELIVERY TRACKING
 // =====================================================
 
-class AutoResponder {
+// Every message sent through sendMessage, the queue or a campaign has a
+// delivery record in FILES.DELIVERIES: queued messages under their queue id,
+// direct sends under a new one. Once WhatsApp accepts the message the record
+// holds its key id and follows the messages.update and
+// message-receipt.update events. A status only moves forward, except when a
+// dead letter is put back in the queue.
+const DELIVERY_STATUSES = ['pending', 'server_ack', 'delivered', 'read', 'failed'];
+// proto.WebMessageInfo.Status; a played voice note counts as read
+const WA_DELIVERY_STATUS = { 0: 'failed', 1: 'pending', 2: 'server_ack', 3: 'delivered', 4: 'read', 5: 'read' };
+const DELIVERY_RETENTION = 7 * 24 * 60 * 60 * 1000;
+
+// Lists and socket events; get() adds the history and group receipts
+function summarizeDelivery(record) {
+    const { history, receipts, meta, ...summary } = record;
+    return {
+        ...summary,
+        clientId: meta.clientId || null,
+        campaignId: meta.campaignId || null,
+        receiptCount: Object.keys(receipts).length
+    };
+}
+
+class DeliveryTracker {
     constructor() {
-        this.responses = DB.get(FILES.SETTINGS).autoResponses || {
-            greetings: ['halo', 'hai', 'hi', 'hello', 'hey'],
-            goodbyes: ['dadah', 'bye', 'selamat tinggal', 'sampai jumpa'],
-            thanks: ['terima kasih', 'thanks', 'makasih', 'thank you'],
-            help: ['bantuan', 'help', 'tolong', 'cara']
+        this.records = new Map();
+        // WhatsApp message ids to record ids
+        this.messageIds = new Map();
+    }
+    
+    // Called once the storage is initialized (see DB.init below)
+    load() {
+        this.records.clear();
+        this.messageIds.clear();
+        for (const record of Object.values(DB.get(FILES.DELIVERIES))) this.index(record);
+    }
+    
+    index(record) {
+        this.records.set(record.id, record);
+        if (record.messageId) this.messageIds.set(record.messageId, record.id);
+    }
+    
+    // By record id or WhatsApp message id
+    get(id) {
+        return this.records.get(id) || this.records.get(this.messageIds.get(id)) || null;
+    }
+    
+    // Null for messages that are not tracked (received, or already pruned)
+    statusOf(messageId) {
+        return this.records.get(this.messageIds.get(messageId))?.status || null;
+    }
+    
+    list({ chatId = null, status = null, campaignId = null, limit = 100 } = {}) {
+        return [...this.records.values()]
+            .filter(record =>
+                (!chatId || record.chatId === chatId) &&
+                (!status || record.status === status) &&
+                (!campaignId || record.meta.campaignId === campaignId)
+            )
+            .sort((a, b) => b.createdAt - a.createdAt)
+            .slice(0, limit)
+            .map(summarizeDelivery);
+    }
+    
+    // Not stored until save()
+    create(id, chatId, meta = {}) {
+        const now = Date.now();
+        return {
+            id,
+            messageId: null,
+            chatId,
+            status: 'pending',
+            history: [{ status: 'pending', at: now }],
+            // Group members' own receipts, by participant jid
+            receipts: {},
+            meta: meta || {},
+            error: null,
+            createdAt: now,
+            updatedAt: now
         };
+    }
+    
+    save(record) {
+        this.index(record);
+        DB.update(FILES.DELIVERIES, record.id, record);
+        botEvents.emit('message_status', summarizeDelivery(record));
+    }
+    
+    // Failed only ends a message WhatsApp has not delivered yet
+    isAhead(current, status) {
+        if (current === 'failed') return false;
+        if (status === 'failed') return ['pending', 'server_ack'].includes(current);
+        return DELIVERY_STATUSES.indexOf(status) > DELIVERY_STATUSES.indexOf(current);
+    }
+    
+    // Moves `record` on to `status`; false when it is already that far
+    advance(record, status, at = Date.now(), error = null) {
+        if (!this.isAhead(record.status, status)) return false;
         
-        this.replies = {
-            greetings: [
-                '👋 Halo! Ada yang bisa saya bantu?',
-                'Hai! Selamat datang di NdiiClouD! 🌩️',
-                'Hello! How can I assist you today?'
-            ],
-            goodbyes: [
-                '👋 Sampai jumpa! Jangan lupa mampir lagi ya!',
-                'Dadah! Hati-hati di jalan! 🚗',
-                'Bye bye! Have a great day! ✨'
-            ],
-            thanks: [
-                'Sama-sama! 😊',
-                'Terima kasih kembali! 🙏',
-                'No problem! Senang bisa membantu!'
-            ],
-            help: [
-                '🆘 *Bantuan NdiiClouD*\n\nKetik:\n• *login* - Cara login\n• *fitur* - Lihat fitur\n• *admin* - Hubungi admin\n• *otp* - Masalah OTP',
-                'Butuh bantuan? Silakan hubungi admin di menu pengaturan!'
-            ]
-        };
+        record.status = status;
+        record.history.push({ status, at, ...(error && { error }) });
+        if (error) record.error = error;
+        record.updatedAt = Date.now();
+        return true;
     }
     
-    async process(sender, text) {
-        const lower = text.toLowerCase();
-        const settings = DB.get(FILES.SETTINGS);
+    queued(msg) {
+        if (this.records.has(msg.id)) return this.records.get(msg.id);
         
-        if (!settings.autoReplyEnabled) return false;
+        const jid = msg.to.includes('@') ? msg.to : `${msg.to}@s.whatsapp.net`;
+        const record = this.create(msg.id, jid, msg.meta);
+        this.save(record);
+        return record;
+    }
+    
+    // `result` is what ndii.sendMessage returned
+    sent(id, chatId, result, meta = {}) {
+        const record = this.records.get(id) || this.create(id, chatId, meta);
+        record.messageId = result.key.id;
+        this.advance(record, WA_DELIVERY_STATUS[result.status] || 'pending');
+        record.updatedAt = Date.now();
+        this.save(record);
+        return record;
+    }
+    
+    failed(id, error) {
+        const record = this.records.get(id);
+        if (record && this.advance(record, 'failed', Date.now(), error)) this.save(record);
+        return record || null;
+    }
+    
+    // A dead letter retried by an admin
+    requeued(id) {
+        const record = this.records.get(id);
+        if (!record) return null;
         
-        for (const [category, keywords] of Object.entries(this.responses)) {
-            if (keywords.some(k => lower.includes(k))) {
-                const replies = this.replies[category];
-                const reply = replies[Math.floor(Math.random() * replies.length)];
-                
-                await delay(1000 + Math.random() * 2000); // Natural delay
-                await sendMessage(sender, reply);
-                return true;
-            }
-        }
+        record.status = 'pending';
+        record.error = null;
+        record.history.push({ status: 'pending', at: Date.now() });
+        record.updatedAt = Date.now();
+        this.save(record);
+        return record;
+    }
+    
+    // messages.update status for one of our messages; the record when it changed
+    update(messageId, waStatus, at = Date.now()) {
+        const record = this.get(messageId);
+        const status = WA_DELIVERY_STATUS[waStatus];
+        if (!record || !status || !this.advance(record, status, at)) return null;
         
-        // Default response for questions
-        if (lower.includes('?') || lower.startsWith('apa') || lower.startsWith('bagaimana') || lower.startsWith('mengapa')) {
-            const defaults = [
-                'Maaf, saya belum mengerti. Ketik *bantuan* untuk melihat menu.',
-                'Hmm, pertanyaan menarik! Hubungi admin untuk info lebih lanjut.',
-                'Saya masih belajar. Coba ketik perintah yang tersedia ya! 😊'
-            ];
-            await delay(1500);
-            await sendMessage(sender, defaults[Math.floor(Math.random() * defaults.length)]);
-            return true;
+        this.save(record);
+        return record;
+    }
+    
+    // message-receipt.update from `participant`. In groups the overall status
+    // is the furthest any member got; `receipts` has each of them
+    receipt(messageId, participant, status, at = Date.now()) {
+        const record = this.get(messageId);
+        if (!record) return null;
+        
+        const isGroup = record.chatId.endsWith('@g.us');
+        const previous = record.receipts[participant];
+        const receiptChanged = isGroup && (!previous || this.isAhead(previous.status, status));
+        if (receiptChanged) record.receipts[participant] = { status, at };
+        
+        const advanced = this.advance(record, status, at);
+        if (!receiptChanged && !advanced) return null;
+        
+        record.updatedAt = Date.now();
+        this.save(record);
+        return record;
+    }
+    
+    // Drops records untouched since `before`, returns how many
+    prune(before) {
+        const kept = {};
+        let removed = 0;
+        
+        for (const record of this.records.values()) {
+            if (record.updatedAt < before) {
+                this.records.delete(record.id);
+                if (record.messageId) this.messageIds.delete(record.messageId);
+                removed++;
+            } else {
+                kept[record.id] = record;
+            }
         }
         
-        return false;
+        if (removed > 0) DB.set(FILES.DELIVERIES, kept);
+        return removed;
     }
 }
 
-const autoResponder = new AutoResponder();
+const deliveries = new DeliveryTracker();
 
 // =====================================================
-// MAIN BOT INITIALIZATION
+// MESSAGE QUEUE SYSTEM
 // =====================================================
 
-async function startBot() {
-    try {
-        logger.info('🚀 Starting NdiiClouD Bot...');
+// Messages waiting for delivery are stored one per id in FILES.QUEUE, so a
+// change only touches that message (one row with the SQL storage). Higher
+// lanes are always sent first; a failing message waits with exponential
+// backoff while the rest keep flowing, and after QUEUE_MAX_ATTEMPTS it moves
+// to FILES.DEADLETTER until an admin retries or purges it.
+const QUEUE_PRIORITIES = { high: 0, normal: 1, low: 2 };
+const QUEUE_MAX_ATTEMPTS = 5;
+const QUEUE_BACKOFF_BASE = 2000;
+const QUEUE_BACKOFF_MAX = 5 * 60 * 1000;
+
+class MessageQueue {
+    constructor() {
+        this.queue = [];
+        this.processing = false;
+        this.paused = false;
+        this.timer = null;
+        this.load();
+    }
+    
+    load() {
+        let stored = DB.get(FILES.QUEUE);
         
-        const { state, saveCreds } = await useMultiFileAuthState(SESSIONS_DIR);
-        const { version, isLatest } = await fetchLatestBaileysVersion();
-        
-        logger.info(`📦 Using WA v${version.join('.')}, isLatest: ${isLatest}`);
-        
-        ndii = makeWASocket({
-            version,
-            logger: pino({ level: 'silent' }),
-            printQRInTerminal: true,
-            auth: {
-                creds: state.creds,
-                keys: state.keys
-            },
-            browser: ['NdiiClouD Pro', 'Chrome', '20.0.0'],
-            msgRetryCounterCache,
-            generateHighQualityLinkPreview: true,
-            syncFullHistory: true,
-            markOnlineOnConnect: true,
-            keepAliveIntervalMs: 30000,
-            connectTimeoutMs: 60000,
-            defaultQueryTimeoutMs: 60000,
-            retryRequestDelayMs: 250,
-            maxMsgRetryCount: 5,
-            fireInitQueries: true,
-            shouldIgnoreJid: jid => {
-                const isGroup = jid.endsWith('@g.us');
-                const isBroadcast = jid === 'status@broadcast';
-                return isBroadcast; // Ignore status broadcast for processing
-            },
-            getMessage: async (key) => {
-                const msg = await store.loadMessage(key.remoteJid, key.id);
-                return msg?.message || undefined;
+        // Older versions kept the whole queue in one `messages` array
+        if (Array.isArray(stored.messages)) {
+            const legacy = stored.messages;
+            DB.delete(FILES.QUEUE, 'messages');
+            for (const msg of legacy) {
+                DB.update(FILES.QUEUE, msg.id, { priority: 'normal', nextAttemptAt: 0, ...msg });
             }
-        });
+            stored = DB.get(FILES.QUEUE);
+        }
         
-        // Bind store
-        store.bind(ndii.ev);
+        this.queue = Object.values(stored);
+        this.paused = !!DB.get(FILES.SETTINGS).queuePaused;
+    }
+    
+    add(message) {
+        const msg = {
+            id: uuidv4(),
+            ...message,
+            priority: QUEUE_PRIORITIES[message.priority] !== undefined ? message.priority : 'normal',
+            addedAt: Date.now(),
+            attempts: 0,
+            nextAttemptAt: 0
+        };
         
-        // Connection Handler
-        ndii.ev.on('connection.update', handleConnectionUpdate);
+        this.queue.push(msg);
+        DB.update(FILES.QUEUE, msg.id, msg);
+        deliveries.queued(msg);
+        this.process();
+        return msg;
+    }
+    
+    // Ready message in the highest lane, oldest first
+    next() {
+        const now = Date.now();
+        return this.queue
+            .filter(msg => msg.nextAttemptAt <= now)
+            .sort((a, b) =>
+                QUEUE_PRIORITIES[a.priority] - QUEUE_PRIORITIES[b.priority] || a.addedAt - b.addedAt
+            )[0];
+    }
+    
+    async process() {
+        if (this.processing || this.paused || !isBotReady) return;
         
-        // Credentials Update
-        ndii.ev.on('creds.update', saveCreds);
+        this.processing = true;
+        clearTimeout(this.timer);
         
-        // Messages Handler
-        ndii.ev.on('messages.upsert', handleMessages);
+        try {
+            let msg;
+            while (!this.paused && isBotReady && (msg = this.next())) {
+                await this.attempt(msg);
+            }
+        } finally {
+            this.processing = false;
+        }
         
-        // Group Participants Update
-        ndii.ev.on('group-participants.update', handleGroupUpdate);
+        // Wake up for the earliest message still backing off
+        const waiting = this.queue.map(msg => msg.nextAttemptAt).filter(Boolean);
+        if (waiting.length > 0 && !this.paused) {
+            this.timer = setTimeout(() => this.process(), Math.max(0, Math.min(...waiting) - Date.now()));
+        }
+    }
+    
+    async attempt(msg) {
+        try {
+            const result = await this.send(msg);
+            this.remove(msg.id, { deleteFile: true });
+            this.settled(msg, { result });
+            logger.info(`✅ Message sent: ${msg.id}`);
+        } catch (err) {
+            // Purged while it was being sent
+            if (!this.queue.includes(msg)) return;
+            
+            msg.attempts++;
+            msg.lastError = err.message;
+            
+            if (msg.attempts >= QUEUE_MAX_ATTEMPTS) {
+                // Its upload is kept so the dead letter can be retried
+                logger.error(`❌ Message failed after ${msg.attempts} attempts, moved to dead letter: ${msg.id}`);
+                this.remove(msg.id);
+                DB.update(FILES.DEADLETTER, msg.id, { ...msg, failedAt: Date.now() });
+                deliveries.failed(msg.id, err.message);
+                this.settled(msg, { error: err.message });
+                return;
+            }
+            
+            const backoff = Math.min(QUEUE_BACKOFF_BASE * 2 ** (msg.attempts - 1), QUEUE_BACKOFF_MAX);
+            msg.nextAttemptAt = Date.now() + backoff;
+            DB.update(FILES.QUEUE, msg.id, msg);
+            logger.warn(`⚠️ Message retry ${msg.attempts} in ${backoff / 1000}s: ${msg.id}`);
+        }
+    }
+    
+    // `deleteFile` also removes the upload of a `tempFile` message
+    remove(id, { deleteFile = false } = {}) {
+        const index = this.queue.findIndex(msg => msg.id === id);
+        if (index === -1) return false;
         
-        // Presence Update
-        ndii.ev.on('presence.update', handlePresenceUpdate);
+        const [msg] = this.queue.splice(index, 1);
+        DB.delete(FILES.QUEUE, id);
+        if (deleteFile) this.deleteFile(msg);
+        return true;
+    }
+    
+    // Taken out by an admin, so it will not be delivered
+    drop(id) {
+        const msg = this.queue.find(queued => queued.id === id);
+        if (!msg || !this.remove(id, { deleteFile: true })) return false;
+        deliveries.failed(id, 'Removed from the queue');
+        this.settled(msg, { error: 'Removed from the queue' });
+        return true;
+    }
+    
+    // Sent, dead-lettered or taken out: tells the campaign that queued it
+    settled(msg, outcome) {
+        if (msg.meta?.campaignId) campaigns.recordResult(msg, outcome);
+    }
+    
+    // Dashboard uploads (see sendMediaUpload) and the media of one-off
+    // schedules are kept until sent or dropped
+    deleteFile(msg) {
+        if (msg.tempFile && msg.mediaPath) fs.remove(msg.mediaPath).catch(() => {});
+    }
+    
+    // Admin controls
+    
+    status() {
+        const lanes = Object.fromEntries(Object.keys(QUEUE_PRIORITIES).map(lane => [lane, 0]));
+        this.queue.forEach(msg => lanes[msg.priority]++);
         
-        // Calls Handler
-        ndii.ev.on('call', handleCall);
+        return {
+            length: this.queue.length,
+            processing: this.processing,
+            paused: this.paused,
+            lanes,
+            backingOff: this.queue.filter(msg => msg.nextAttemptAt > Date.now()).length,
+            deadLetter: Object.keys(DB.get(FILES.DEADLETTER)).length
+        };
+    }
+    
+    list() {
+        return [...this.queue].sort((a, b) =>
+            QUEUE_PRIORITIES[a.priority] - QUEUE_PRIORITIES[b.priority] || a.addedAt - b.addedAt
+        );
+    }
+    
+    deadLetters() {
+        return Object.values(DB.get(FILES.DEADLETTER)).sort((a, b) => b.failedAt - a.failedAt);
+    }
+    
+    setPaused(paused) {
+        this.paused = paused;
+        DB.set(FILES.SETTINGS, { ...DB.get(FILES.SETTINGS), queuePaused: paused });
         
-        // Status Handler
-        ndii.ev.on('status.update', handleStatusUpdate);
+        logger.info(`📬 Queue ${paused ? 'paused' : 'resumed'}`);
+        if (paused) clearTimeout(this.timer);
+        else this.process();
+    }
+    
+    // Puts dead letters (all, or those whose id starts with `id`) back in the queue
+    retry(id = null) {
+        const dead = this.deadLetters().filter(msg => !id || msg.id.startsWith(id));
         
-        logger.info('✅ Bot initialized successfully');
+        for (const { failedAt, lastError, ...msg } of dead) {
+            DB.delete(FILES.DEADLETTER, msg.id);
+            const revived = { ...msg, attempts: 0, nextAttemptAt: 0 };
+            this.queue.push(revived);
+            DB.update(FILES.QUEUE, revived.id, revived);
+            deliveries.requeued(revived.id);
+        }
         
-    } catch (err) {
-        logger.error('❌ Failed to start bot:', err);
-        handleReconnect();
+        if (dead.length > 0) this.process();
+        return dead.length;
     }
-}
-
-async function handleConnectionUpdate(update) {
-    const { connection, lastDisconnect, qr, receivedPendingNotifications } = update;
     
-    if (qr) {
-        logger.info('📱 QR Code received, please scan!');
-        reconnectAttempts = 0;
+    // Drops pending messages, or dead letters with `{ dead: true }`
+    purge({ dead = false } = {}) {
+        if (dead) {
+            const letters = Object.values(DB.get(FILES.DEADLETTER));
+            letters.forEach(msg => this.deleteFile(msg));
+            DB.set(FILES.DEADLETTER, {});
+            return letters.length;
+        }
+        
+        const count = this.queue.length;
+        const purged = this.queue;
+        this.queue = [];
+        DB.set(FILES.QUEUE, {});
+        clearTimeout(this.timer);
+        purged.forEach(msg => {
+            this.deleteFile(msg);
+            deliveries.failed(msg.id, 'Purged from the queue');
+            this.settled(msg, { error: 'Purged from the queue' });
+        });
+        return count;
     }
     
-    if (connection === 'connecting') {
-        logger.info('🔄 Connecting to WhatsApp...');
+    // Local file, or a URL (e.g. auto-responder media) fetched by the socket
+    media(msg) {
+        return msg.mediaUrl ? { url: msg.mediaUrl } : fs.readFileSync(msg.mediaPath);
     }
     
-    if (connection === 'open') {
-        logger.info('✅ Bot connected successfully!');
-        isBotReady = true;
-        reconnectAttempts = 0;
-        
-        // Update stats
-        const stats = DB.get(FILES.STATS);
-        stats.lastConnected = Date.now();
-        stats.connectionCount = (stats.connectionCount || 0) + 1;
-        DB.set(FILES.STATS, stats);
+    async send(msg) {
+        const jid = msg.to.includes('@') ? msg.to : `${msg.to}@s.whatsapp.net`;
+        let content;
         
-        // Send startup notification
-        const settings = DB.get(FILES.SETTINGS);
-        if (settings.adminNumber) {
-            await sendMessage(settings.adminNumber, 
-                `🤖 *NdiiClouD Bot Online!*\n\n` +
-                `⏰ ${moment().tz('Asia/Jakarta').format('DD/MM/YYYY HH:mm:ss')}\n` +
-                `📊 Connection #${stats.connectionCount}\n` +
-                `🌩️ Ready to serve!`
-            );
+        switch (msg.type) {
+            case 'text':
+                content = { text: msg.content, mentions: msg.mentions };
+                break;
+            case 'image':
+                content = { 
+                    image: this.media(msg),
+                    caption: msg.caption 
+                };
+                break;
+            case 'video':
+                content = { 
+                    video: this.media(msg),
+                    caption: msg.caption 
+                };
+                break;
+            case 'audio':
+                content = { 
+                    audio: this.media(msg),
+                    mimetype: msg.mimetype || 'audio/mp4',
+                    ptt: msg.ptt || false
+                };
+                break;
+            case 'document':
+                content = { 
+                    document: this.media(msg),
+                    fileName: msg.fileName,
+                    mimetype: msg.mimetype || 'application/octet-stream'
+                };
+                break;
+            case 'sticker':
+                content = {
+                    sticker: this.media(msg)
+                };
+                break;
+            case 'location':
+                content = { 
+                    location: msg.location 
+                };
+                break;
+            case 'button':
+                content = {
+                    buttons: msg.buttons,
+                    text: msg.content,
+                    footer: msg.footer,
+                    headerType: 1
+                };
+                break;
+            case 'template':
+                content = {
+                    templateButtons: msg.templateButtons,
+                    text: msg.content,
+                    footer: msg.footer
+                };
+                break;
+            default:
+                content = { text: msg.content };
         }
         
-        // Start scheduled tasks
-        startScheduledTasks();
-        
-        // Process pending queue
-        messageQueue.process();
+        const result = await ndii.sendMessage(jid, content);
+        if (result?.key) {
+            // Local files go to the archive so the web history can show them
+            const media = msg.mediaPath ?
+                await mediaArchive.save(jid, fs.readFileSync(msg.mediaPath), {
+                    type: msg.type,
+                    mimetype: msg.mimetype || result.message?.[`${msg.type}Message`]?.mimetype,
+                    fileName: msg.fileName
+                }).then(summarizeMedia).catch(() => null) :
+                null;
+            deliveries.sent(msg.id, jid, result, msg.meta);
+            saveMessage(jid, result, { ...msg.meta, ...(media && { media }) });
+        }
+        return result;
+    }
+}
+
+const messageQueue = new MessageQueue();
+
+// =====================================================
+// ANTI-SPAM SYSTEM
+// =====================================================
+
+// Message rates are counted per user in memory, separately for DMs, group
+// messages and commands, against the spam* settings. Going over a limit bans
+// the user: bans are stored per number in FILES.BANS with their real expiry,
+// and every offense within BAN_OFFENSE_MEMORY of the previous one gets the
+// next, longer step of BAN_ESCALATION. Admins are never limited. Manual bans
+// (/ban, /api/admin/bans) choose their own duration or are permanent.
+const BAN_ESCALATION = [5, 30, 120, 24 * 60].map(minutes => minutes * 60 * 1000);
+const BAN_OFFENSE_MEMORY = 7 * 24 * 60 * 60 * 1000;
+// Banned users hear about it at most this often
+const BAN_NOTICE_INTERVAL = 60 * 1000;
+
+class AntiSpam {
+    constructor() {
+        this.messages = new Map();
+        this.noticed = new Map();
+        setInterval(() => this.sweep(), 60 * 1000).unref();
     }
     
-    if (connection === 'close') {
-        const statusCode = lastDisconnect?.error?.output?.statusCode;
-        const shouldReconnect = statusCode !== DisconnectReason.loggedOut;
+    // Bans are per number, whichever chat the messages come from
+    key(userId) {
+        return jidNormalizedUser(userId).split('@')[0];
+    }
+    
+    /**
+     * Counts a message of `kind` (dm | group | command) from `userId`.
+     * Returns { allowed } or { allowed: false, reason, remaining, notify };
+     * `remaining` is null for permanent bans and `notify` says whether the
+     * user should be told now.
+     */
+    check(userId, kind = 'dm') {
+        if (getAdmin(userId)) return { allowed: true };
         
-        logger.error(`❌ Connection closed: ${statusCode} - ${DisconnectReason[statusCode] || 'Unknown'}`);
+        const now = Date.now();
+        const key = this.key(userId);
+        const ban = this.getBan(userId);
+        if (ban) {
+            return { allowed: false, reason: 'banned', ban, remaining: ban.until ? ban.until - now : null, notify: this.notice(key) };
+        }
         
-        isBotReady = false;
+        const settings = getSettings();
+        const limit = { dm: settings.spamDmLimit, group: settings.spamGroupLimit, command: settings.spamCommandLimit }[kind];
+        const counter = `${kind}:${key}`;
+        const recent = (this.messages.get(counter) || []).filter(time => now - time < settings.spamWindowSeconds * 1000);
+        recent.push(now);
+        this.messages.set(counter, recent);
         
-        if (shouldReconnect) {
-            handleReconnect();
-        } else {
-            logger.error('🔒 Logged out, please scan QR again');
-            // Clear sessions if needed
-            // fs.removeSync(SESSIONS_DIR);
+        if (recent.length > limit) {
+            this.messages.delete(counter);
+            const record = this.ban(userId, { reason: `spam (${kind})` });
+            this.notice(key);
+            return { allowed: false, reason: 'spam_detected', ban: record, remaining: record.until - now, notify: true };
         }
+        
+        return { allowed: true };
     }
     
-    if (receivedPendingNotifications) {
-        logger.info('📬 Received pending notifications');
+    notice(key) {
+        const last = this.noticed.get(key) || 0;
+        if (Date.now() - last < BAN_NOTICE_INTERVAL) return false;
+        this.noticed.set(key, Date.now());
+        return true;
     }
-}
-
-function handleReconnect() {
-    reconnectAttempts++;
     
-    if (reconnectAttempts > MAX_RECONNECT_ATTEMPTS) {
-        logger.error(`❌ Max reconnection attempts (${MAX_RECONNECT_ATTEMPTS}) reached`);
-        logger.info('🔄 Restarting bot in 30 seconds...');
-        setTimeout(startBot, 30000);
-        return;
+    // Active ban of `userId`, or null
+    getBan(userId) {
+        const record = DB.get(FILES.BANS)[this.key(userId)];
+        if (!record || (record.until !== null && record.until <= Date.now())) return null;
+        return record;
     }
     
-    const delay = Math.min(RECONNECT_INTERVAL * Math.pow(2, reconnectAttempts - 1), 60000);
-    logger.info(`🔄 Reconnecting in ${delay}ms (attempt ${reconnectAttempts}/${MAX_RECONNECT_ATTEMPTS})`);
+    /**
+     * Bans `userId`. Without `duration` the length escalates with repeat
+     * offenses; a number is milliseconds and null is permanent.
+     */
+    ban(userId, { duration, reason = 'spam', by = 'auto' } = {}) {
+        const key = this.key(userId);
+        const now = Date.now();
+        const previous = DB.get(FILES.BANS)[key];
+        const offenses = previous && now - previous.lastOffenseAt < BAN_OFFENSE_MEMORY ? previous.offenses + 1 : 1;
+        const length = duration !== undefined ?
+            duration :
+            BAN_ESCALATION[Math.min(offenses, BAN_ESCALATION.length) - 1];
+        
+        const record = {
+            user: key,
+            reason,
+            by,
+            bannedAt: now,
+            until: length === null ? null : now + length,
+            offenses,
+            lastOffenseAt: now
+        };
+        DB.update(FILES.BANS, key, record);
+        
+        logger.warn(`🚫 ${key} banned ${record.until ? `for ${formatUptime(length / 1000)}` : 'permanently'} (${reason}, offense ${offenses})`);
+        botEvents.emit('ban', record);
+        return record;
+    }
     
-    setTimeout(startBot, delay);
+    // Lifts an active ban; the offense count stays for escalation
+    unban(userId, by = 'auto') {
+        const record = this.getBan(userId);
+        if (!record) return false;
+        
+        DB.update(FILES.BANS, record.user, { ...record, until: Date.now(), liftedBy: by });
+        this.noticed.delete(record.user);
+        logger.info(`✅ ${record.user} unbanned by ${by}`);
+        return true;
+    }
+    
+    // Active bans, soonest to expire first and permanent ones last
+    list() {
+        return Object.values(DB.get(FILES.BANS))
+            .filter(record => this.getBan(record.user))
+            .sort((a, b) => (a.until ?? Infinity) - (b.until ?? Infinity));
+    }
+    
+    // Drops idle counters and bans whose offenses are no longer remembered
+    sweep() {
+        const now = Date.now();
+        const window = getSettings().spamWindowSeconds * 1000;
+        
+        for (const [counter, times] of this.messages) {
+            if (times.every(time => now - time >= window)) this.messages.delete(counter);
+        }
+        for (const [key, time] of this.noticed) {
+            if (now - time >= BAN_NOTICE_INTERVAL) this.noticed.delete(key);
+        }
+        for (const record of Object.values(DB.get(FILES.BANS))) {
+            if (record.until !== null && record.until <= now && now - record.lastOffenseAt >= BAN_OFFENSE_MEMORY) {
+                DB.delete(FILES.BANS, record.user);
+            }
+        }
+    }
 }
 
+const antiSpam = new AntiSpam();
+
 // =====================================================
-// MESSAGE HANDLER
+// AUTO-RESPONDER
 // =====================================================
 
-async function handleMessages(m) {
-    if (m.type !== 'notify') return;
+// Rules are edited from the dashboard (/api/admin/autoresponses) and stored
+// as { rules: [...] } in FILES.AUTORESPONSES. Rule shape:
+//   { id, name, enabled, match: 'exact'|'word'|'prefix'|'regex', patterns,
+//     caseSensitive, priority, scope: 'dm'|'groups'|'all', groups,
+//     replies: [{ text, media: { type, url }, language }] }
+// Higher priority wins; one random reply of the first matching rule is sent,
+// picked among the replies in the chat's language when the rule has any
+// (replies without a language suit every chat).
+const AUTORESPONSE_MATCH_TYPES = ['exact', 'word', 'prefix', 'regex'];
+const AUTORESPONSE_SCOPES = ['dm', 'groups', 'all'];
+const AUTORESPONSE_MEDIA_TYPES = ['image', 'video', 'audio', 'document'];
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Built-in replies, used until an admin saves the first rule set
+function defaultAutoResponses() {
+    // Keyword lists saved by older versions in settings.autoResponses
+    const keywords = DB.get(FILES.SETTINGS).autoResponses || {};
+    // Replies in every catalog language (lib/i18n autoReplies)
+    const rule = (id, name, patterns, extra = {}) => ({
+        id,
+        name,
+        enabled: true,
+        match: 'word',
+        patterns,
+        caseSensitive: false,
+        priority: 10,
+        scope: 'dm',
+        groups: [],
+        replies: LANGUAGES.flatMap(language => t(language, `autoReplies.${id}`).map(text => ({ text, language }))),
+        ...extra
+    });
     
-    for (const msg of m.messages) {
-        try {
-            if (!msg.message || msg.key.fromMe) continue;
-            
-            const sender = ndii.decodeJid(msg.key.remoteJid);
-            const messageType = getContentType(msg.message);
-            const messageContent = extractMessageContent(msg);
-            const isGroup = sender.endsWith('@g.us');
-            const senderName = msg.pushName || 'Unknown';
-            
-            // Anti-spam check
-            const spamCheck = antiSpam.check(sender);
-            if (!spamCheck.allowed) {
-                if (spamCheck.reason === 'spam_detected') {
-                    await sendMessage(sender, `⚠️ *Spam Terdeteksi!*\n\nAnda terblokir selama 5 menit.`);
-                }
+    return [
+        rule('greetings', 'Salam', keywords.greetings || ['halo', 'hai', 'hi', 'hello', 'hey']),
+        rule('goodbyes', 'Perpisahan', keywords.goodbyes || ['dadah', 'bye', 'selamat tinggal', 'sampai jumpa']),
+        rule('thanks', 'Terima kasih', keywords.thanks || ['terima kasih', 'thanks', 'makasih', 'thank you']),
+        rule('help', 'Bantuan', keywords.help || ['bantuan', 'help', 'tolong', 'cara']),
+        // Fallback for questions nothing else answered
+        rule('questions', 'Pertanyaan', ['\\?', '^(apa|bagaimana|mengapa|what|how|why)'], { match: 'regex', priority: 0 })
+    ];
+}
+
+/**
+ * Checks and normalizes a rule from the API. Returns { rule, errors }
+ * with errors keyed by field, like validateSettings.
+ */
+function validateAutoResponse(input = {}) {
+    const errors = {};
+    const list = (value) => (Array.isArray(value) ? value : [value]).filter(v => v !== undefined && v !== null && v !== '');
+    
+    const rule = {
+        name: String(input.name || '').trim(),
+        enabled: input.enabled !== false,
+        match: input.match || 'word',
+        patterns: list(input.patterns).map(p => String(p).trim()).filter(Boolean),
+        caseSensitive: input.caseSensitive === true,
+        priority: Number(input.priority ?? 10),
+        scope: input.scope || 'dm',
+        groups: list(input.groups).map(g => String(g).trim()).filter(Boolean),
+        replies: list(input.replies).map(reply => typeof reply === 'string' ? { text: reply } : reply)
+    };
+    
+    if (!rule.name) errors.name = 'is required';
+    if (!AUTORESPONSE_MATCH_TYPES.includes(rule.match)) {
+        errors.match = `must be one of ${AUTORESPONSE_MATCH_TYPES.join(', ')}`;
+    }
+    if (rule.patterns.length === 0) errors.patterns = 'needs at least one pattern';
+    if (rule.match === 'regex') {
+        for (const pattern of rule.patterns) {
+            try {
+                new RegExp(pattern);
+            } catch (err) {
+                errors.patterns = `invalid regex ${pattern}: ${err.message}`;
+            }
+        }
+    }
+    if (!Number.isInteger(rule.priority)) errors.priority = 'must be a whole number';
+    if (!AUTORESPONSE_SCOPES.includes(rule.scope)) {
+        errors.scope = `must be one of ${AUTORESPONSE_SCOPES.join(', ')}`;
+    }
+    if (rule.scope === 'groups' && rule.groups.some(g => !g.endsWith('@g.us'))) {
+        errors.groups = 'must be group ids ending in @g.us';
+    }
+    
+    if (rule.replies.length === 0) errors.replies = 'needs at least one reply';
+    rule.replies = rule.replies.map(reply => {
+        const text = String(reply?.text || '').trim();
+        const media = reply?.media?.url ? {
+            type: reply.media.type,
+            url: String(reply.media.url).trim()
+        } : null;
+        const language = reply?.language ? normalizeLanguage(reply.language) : null;
+        
+        if (!text && !media) errors.replies = 'each reply needs text or media';
+        if (media && !AUTORESPONSE_MEDIA_TYPES.includes(media.type)) {
+            errors.replies = `media type must be one of ${AUTORESPONSE_MEDIA_TYPES.join(', ')}`;
+        }
+        if (reply?.language && !language) {
+            errors.replies = `reply language must be one of ${LANGUAGES.join(', ')}`;
+        }
+        return { text, ...(media && { media }), ...(language && { language }) };
+    });
+    
+    return { rule, errors };
+}
+
+class AutoResponder {
+    constructor() {
+        this.rules = [];
+        this.load();
+    }
+    
+    load() {
+        this.rules = DB.get(FILES.AUTORESPONSES).rules || defaultAutoResponses();
+        this.compile();
+    }
+    
+    save() {
+        DB.set(FILES.AUTORESPONSES, { rules: this.rules });
+        this.compile();
+    }
+    
+    // Matchers are built once per change, not per message
+    compile() {
+        this.compiled = this.rules
+            .map((rule, index) => ({ rule, index, tests: rule.patterns.map(p => this.matcher(rule, p)) }))
+            .sort((a, b) => b.rule.priority - a.rule.priority || a.index - b.index);
+    }
+    
+    matcher(rule, pattern) {
+        const flags = rule.caseSensitive ? 'u' : 'iu';
+        
+        switch (rule.match) {
+            case 'exact':
+                return new RegExp(`^${escapeRegex(pattern)}$`, flags);
+            case 'prefix':
+                return new RegExp(`^${escapeRegex(pattern)}`, flags);
+            case 'word':
+                // Whole words only, so "hi" does not match "this"
+                return new RegExp(`(^|[^\\p{L}\\p{N}_])${escapeRegex(pattern)}($|[^\\p{L}\\p{N}_])`, flags);
+            case 'regex':
+                return new RegExp(pattern, rule.caseSensitive ? '' : 'i');
+        }
+    }
+    
+    inScope(rule, chatId) {
+        const isGroup = chatId.endsWith('@g.us');
+        
+        switch (rule.scope) {
+            case 'all':
+                return true;
+            case 'groups':
+                return isGroup && (rule.groups.length === 0 || rule.groups.includes(chatId));
+            default:
+                return !isGroup;
+        }
+    }
+    
+    // First enabled rule (by priority) that matches, or null
+    match(chatId, text) {
+        const input = (text || '').trim();
+        if (!input) return null;
+        
+        const found = this.compiled.find(({ rule, tests }) =>
+            rule.enabled && this.inScope(rule, chatId) && tests.some(test => test.test(input))
+        );
+        return found ? found.rule : null;
+    }
+    
+    list() {
+        return this.rules;
+    }
+    
+    create(input) {
+        const { rule, errors } = validateAutoResponse(input);
+        if (Object.keys(errors).length > 0) return { success: false, errors };
+        
+        const now = Date.now();
+        const created = { id: uuidv4(), ...rule, createdAt: now, updatedAt: now };
+        this.rules.push(created);
+        this.save();
+        return { success: true, rule: created };
+    }
+    
+    update(id, input) {
+        const index = this.rules.findIndex(r => r.id === id);
+        if (index === -1) return { success: false, notFound: true };
+        
+        const { rule, errors } = validateAutoResponse({ ...this.rules[index], ...input });
+        if (Object.keys(errors).length > 0) return { success: false, errors };
+        
+        this.rules[index] = { ...this.rules[index], ...rule, updatedAt: Date.now() };
+        this.save();
+        return { success: true, rule: this.rules[index] };
+    }
+    
+    remove(id) {
+        const index = this.rules.findIndex(r => r.id === id);
+        if (index === -1) return false;
+        
+        this.rules.splice(index, 1);
+        this.save();
+        return true;
+    }
+    
+    async process(chatId, text, language) {
+        if (!getSettings().autoReplyEnabled) return false;
+        
+        const rule = this.match(chatId, text);
+        if (!rule) return false;
+        
+        const matching = rule.replies.filter(reply => !reply.language || reply.language === language);
+        const replies = matching.length > 0 ? matching : rule.replies;
+        const reply = replies[Math.floor(Math.random() * replies.length)];
+        
+        await delay(1000 + Math.random() * 2000); // Natural delay
+        if (reply.media) {
+            messageQueue.add({
+                to: chatId,
+                type: reply.media.type,
+                mediaUrl: reply.media.url,
+                caption: reply.text
+            });
+        } else {
+            await sendMessage(chatId, reply.text);
+        }
+        return true;
+    }
+}
+
+const autoResponder = new AutoResponder();
+
+// =====================================================
+// MAIN BOT INITIALIZATION
+// =====================================================
+
+async function startBot() {
+    try {
+        logger.info('🚀 Starting NdiiClouD Bot...');
+        
+        const { state, saveCreds } = await useMultiFileAuthState(SESSIONS_DIR);
+        const { version, isLatest } = await fetchLatestBaileysVersion();
+        
+        logger.info(`📦 Using WA v${version.join('.')}, isLatest: ${isLatest}`);
+        
+        ndii = makeWASocket({
+            version,
+            logger: pino({ level: 'silent' }),
+            printQRInTerminal: true,
+            auth: {
+                creds: state.creds,
+                keys: state.keys
+            },
+            browser: ['NdiiClouD Pro', 'Chrome', '20.0.0'],
+            msgRetryCounterCache,
+            generateHighQualityLinkPreview: true,
+            syncFullHistory: true,
+            markOnlineOnConnect: true,
+            keepAliveIntervalMs: 30000,
+            connectTimeoutMs: 60000,
+            defaultQueryTimeoutMs: 60000,
+            retryRequestDelayMs: 250,
+            maxMsgRetryCount: 5,
+            fireInitQueries: true,
+            shouldIgnoreJid: jid => {
+                const isGroup = jid.endsWith('@g.us');
+                const isBroadcast = jid === 'status@broadcast';
+                return isBroadcast; // Ignore status broadcast for processing
+            },
+            getMessage: async (key) => {
+                const msg = await store.loadMessage(key.remoteJid, key.id);
+                return msg?.message || undefined;
+            }
+        });
+        
+        // Bind store
+        store.bind(ndii.ev);
+        
+        // Connection Handler
+        ndii.ev.on('connection.update', handleConnectionUpdate);
+        
+        // Credentials Update
+        ndii.ev.on('creds.update', saveCreds);
+        
+        // Messages Handler
+        ndii.ev.on('messages.upsert', handleMessages);
+        
+        // Delivery and read receipts of sent messages
+        ndii.ev.on('messages.update', handleMessageUpdates);
+        ndii.ev.on('message-receipt.update', handleMessageReceipts);
+        
+        // Group Participants Update
+        ndii.ev.on('group-participants.update', handleGroupUpdate);
+        
+        // Presence Update
+        ndii.ev.on('presence.update', handlePresenceUpdate);
+        
+        // Calls Handler
+        ndii.ev.on('call', handleCall);
+        
+        // Status Handler
+        ndii.ev.on('status.update', handleStatusUpdate);
+        
+        logger.info('✅ Bot initialized successfully');
+        
+    } catch (err) {
+        logger.error('❌ Failed to start bot:', err);
+        handleReconnect();
+    }
+}
+
+async function handleConnectionUpdate(update) {
+    const { connection, lastDisconnect, qr, receivedPendingNotifications } = update;
+    
+    if (qr) {
+        logger.info('📱 QR Code received, please scan!');
+        reconnectAttempts = 0;
+    }
+    
+    if (connection === 'connecting') {
+        logger.info('🔄 Connecting to WhatsApp...');
+    }
+    
+    if (connection === 'open') {
+        logger.info('✅ Bot connected successfully!');
+        isBotReady = true;
+        reconnectAttempts = 0;
+        
+        // Update stats
+        const stats = DB.get(FILES.STATS);
+        stats.lastConnected = Date.now();
+        stats.connectionCount = (stats.connectionCount || 0) + 1;
+        DB.set(FILES.STATS, stats);
+        
+        // Send startup notification
+        const settings = getSettings();
+        if (settings.adminNumber) {
+            await sendMessage(settings.adminNumber, t(userLanguage(settings.adminNumber), 'online', {
+                time: moment().tz('Asia/Jakarta').format('DD/MM/YYYY HH:mm:ss'),
+                count: stats.connectionCount
+            }));
+        }
+        
+        // Start scheduled tasks
+        startScheduledTasks();
+        
+        // Process pending queue and resume running broadcasts
+        messageQueue.process();
+        campaigns.process();
+        
+        webhooks.emit('bot.connection.changed', {
+            connection: 'open',
+            user: ndii.user?.id || null,
+            connectionCount: stats.connectionCount
+        });
+    }
+    
+    if (connection === 'close') {
+        const statusCode = lastDisconnect?.error?.output?.statusCode;
+        const shouldReconnect = statusCode !== DisconnectReason.loggedOut;
+        
+        logger.error(`❌ Connection closed: ${statusCode} - ${DisconnectReason[statusCode] || 'Unknown'}`);
+        
+        isBotReady = false;
+        
+        webhooks.emit('bot.connection.changed', {
+            connection: 'close',
+            statusCode: statusCode || null,
+            reason: DisconnectReason[statusCode] || null,
+            reconnecting: shouldReconnect
+        });
+        
+        if (shouldReconnect) {
+            handleReconnect();
+        } else {
+            logger.error('🔒 Logged out, please scan QR again');
+            // Clear sessions if needed
+            // fs.removeSync(SESSIONS_DIR);
+        }
+    }
+    
+    if (receivedPendingNotifications) {
+        logger.info('📬 Received pending notifications');
+    }
+}
+
+function handleReconnect() {
+    reconnectAttempts++;
+    
+    if (reconnectAttempts > MAX_RECONNECT_ATTEMPTS) {
+        logger.error(`❌ Max reconnection attempts (${MAX_RECONNECT_ATTEMPTS}) reached`);
+        logger.info('🔄 Restarting bot in 30 seconds...');
+        setTimeout(startBot, 30000);
+        return;
+    }
+    
+    const delay = Math.min(RECONNECT_INTERVAL * Math.pow(2, reconnectAttempts - 1), 60000);
+    logger.info(`🔄 Reconnecting in ${delay}ms (attempt ${reconnectAttempts}/${MAX_RECONNECT_ATTEMPTS})`);
+    
+    setTimeout(startBot, delay);
+}
+
+// =====================================================
+// MESSAGE HANDLER
+// =====================================================
+
+async function handleMessages(m) {
+    if (m.type !== 'notify') return;
+    
+    for (const msg of m.messages) {
+        try {
+            if (!msg.message || msg.key.fromMe) continue;
+            
+            const sender = ndii.decodeJid(msg.key.remoteJid);
+            const messageType = getContentType(msg.message);
+            const messageContent = extractMessageContent(msg);
+            const isGroup = sender.endsWith('@g.us');
+            const senderName = msg.pushName || 'Unknown';
+            
+            // Anti-spam check, per author so one member cannot silence a group
+            const author = isGroup ? (msg.key.participant || sender) : sender;
+            const kind = messageContent.text?.startsWith('/') ? 'command' : isGroup ? 'group' : 'dm';
+            const spamCheck = antiSpam.check(author, kind);
+            if (!spamCheck.allowed) {
+                // Told privately, so groups are not flooded with notices
+                if (spamCheck.notify) await sendMessage(jidNormalizedUser(author), describeBan(spamCheck, userLanguage(author)));
                 continue;
             }
             
             // Log message
             logger.info(`📨 ${isGroup ? '[GROUP] ' : ''}${senderName}: ${messageContent.text?.substring(0, 50) || '[MEDIA]'}`);
             
-            // Save to database
-            saveMessage(sender, msg);
+            // Save to database, with the attachment if there is one
+            const media = await archiveMedia(sender, msg);
+            saveMessage(sender, msg, media ? { media } : {});
+            
+            webhooks.emit('message.received', {
+                id: msg.key.id,
+                chatId: sender,
+                author: jidNormalizedUser(author),
+                senderName,
+                isGroup,
+                type: messageType,
+                text: messageContent.text || null,
+                timestamp: toMillis(msg.messageTimestamp),
+                media: media || null
+            });
             
             // Update user activity
             updateUserActivity(sender, senderName);
             
+            // Moderation comes first so muted members cannot use commands either
+            if (isGroup && await moderator.review(sender, author, msg, messageContent)) {
+                continue;
+            }
+            
             // Process commands
             if (messageContent.text?.startsWith('/')) {
                 await processCommand(sender, messageContent.text, msg, isGroup);
                 continue;
             }
             
-            // Auto-responder for DMs
-            if (!isGroup) {
-                const responded = await autoResponder.process(sender, messageContent.text);
-                if (responded) continue;
-            }
-            
-            // Group specific handling
+            // Group specific handling, including the group's auto-reply toggle
             if (isGroup) {
                 await handleGroupMessage(sender, msg, messageContent);
+                continue;
             }
             
+            // Auto-responder
+            await autoResponder.process(sender, messageContent.text, userLanguage(sender));
+            
         } catch (err) {
             logger.error('Error handling message:', err);
         }
@@ -643,658 +1772,2299 @@ function extractMessageContent(msg) {
 // COMMAND PROCESSOR
 // =====================================================
 
-async function processCommand(sender, text, msg, isGroup) {
-    const args = text.slice(1).trim().split(/ +/);
-    const command = args.shift().toLowerCase();
-    const settings = DB.get(FILES.SETTINGS);
-    const isAdmin = sender === `${settings.adminNumber}@s.whatsapp.net`;
-    
-    // User commands
-    switch (command) {
-        case 'menu':
-        case 'help':
-            return sendMenu(sender);
-            
-        case 'ping':
-            return sendMessage(sender, `🏓 Pong!\n⏱️ Latency: ${Date.now() - msg.messageTimestamp * 1000}ms`);
-            
-        case 'info':
-        case 'status':
-            return sendBotInfo(sender);
-            
-        case 'waktu':
-        case 'time':
-            return sendMessage(sender, `🕐 ${moment().tz('Asia/Jakarta').format('dddd, DD MMMM YYYY HH:mm:ss')}`);
-            
-        case 'owner':
-        case 'creator':
-            return sendMessage(sender, `🌩️ *NdiiClouD*\n\nDibuat oleh: NdiiClouD Team\nVersion: 3.0.0\nWebsite: ndiicloud.com`);
+// Commands are defined in ./commands, plus COMMANDS_DIR for local ones
+const commands = createCommandRegistry({ logger });
+
+// What command files get besides the context of each call; the socket is
+// read through a getter because reconnecting replaces it
+const commandAPI = {
+    get sock() { return ndii; },
+    commands,
+    botEvents,
+    defaultTimezone: DEFAULT_TIMEZONE,
+    sendMessage,
+    userLanguage,
+    setUserLanguage,
+    quotedText,
+    sendBotInfo,
+    cmdConvert,
+    cmdBroadcast,
+    cmdListCampaigns,
+    cmdCampaignStatus,
+    cmdControlCampaign,
+    cmdStats,
+    cmdSendOTP,
+    cmdNotify,
+    cmdListTemplates,
+    cmdTemplate,
+    cmdGetGroups,
+    cmdJoinGroup,
+    cmdLeaveGroup,
+    cmdGetStatus,
+    cmdSendStatus,
+    cmdSetProfilePicture,
+    cmdSaveContact,
+    cmdGetContact,
+    cmdSetBotPP,
+    cmdQueue,
+    cmdSchedule,
+    cmdListSchedules,
+    cmdUnschedule,
+    cmdBan,
+    cmdUnban,
+    cmdBanList,
+    cmdSettings,
+    cmdSet,
+    cmdParticipants,
+    cmdGroupInfo,
+    cmdTagAll,
+    cmdGroupSet,
+    cmdWarn,
+    cmdWarnings,
+    cmdResetWarn,
+    cmdModLog
+};
+
+commands.load(path.join(__dirname, 'commands'), commandAPI);
+if (process.env.COMMANDS_DIR) {
+    commands.load(process.env.COMMANDS_DIR, commandAPI);
+}
+
+/**
+ * Admin account for a WhatsApp jid, or null. `settings.adminNumber` is
+ * always treated as owner; other accounts are synced from the web
+ * dashboard through botAPI.setAdmins.
+ */
+function getAdmin(jid) {
+    const number = (jid || '').split('@')[0].split(':')[0];
+    if (!number) return null;
+    
+    const settings = getSettings();
+    if (settings.adminNumber && number === String(settings.adminNumber)) {
+        return { name: 'Owner', role: 'owner', phone: number };
     }
     
-    // Admin only commands
-    if (!isAdmin) {
-        return sendMessage(sender, '❌ Anda tidak memiliki akses untuk perintah ini.');
+    const admin = DB.get(FILES.ADMINS)[number];
+    return admin && !admin.disabled ? admin : null;
+}
+
+/**
+ * Runs a registered command after the group, scope, permission, cooldown
+ * and argument checks. Commands get a context with:
+ *   chat, author, admin, group (group settings or null), isGroup, msg,
+ *   command (the definition), args, input (text after the command with
+ *   its spacing kept), text, metadata (for GROUP_ADMIN commands),
+ *   language (the group's, or the author's in private chats),
+ *   t(key, params) from the catalog in that language,
+ *   reply(text, options) and usage() to answer with the command's format.
+ */
+async function processCommand(sender, text, msg, isGroup) {
+    const args = text.slice(1).trim().split(/ +/);
+    const name = args.shift().toLowerCase();
+    // In groups the chat is the group, the author is the participant
+    const author = isGroup ? (msg.key.participant || sender) : sender;
+    const admin = getAdmin(author);
+    const group = isGroup ? getGroupSettings(sender) : null;
+    const language = group ? group.language : userLanguage(author);
+    
+    const command = commands.get(name);
+    if (!command) {
+        return sendMessage(sender, t(language, 'commands.unknown'));
     }
     
-    switch (command) {
-        case 'broadcast':
-        case 'bc':
-            return cmdBroadcast(args.join(' '));
-            
-        case 'stats':
-            return cmdStats(sender);
-            
-        case 'otp':
-            if (args.length >= 2) {
-                return cmdSendOTP(args[0], args[1]);
-            }
-            return sendMessage(sender, '❌ Format: /otp [nomor] [kode]');
-            
-        case 'notify':
-            if (args.length >= 2) {
-                const phone = args.shift();
-                return cmdNotify(phone, args.join(' '));
-            }
-            return sendMessage(sender, '❌ Format: /notify [nomor] [pesan]');
-            
-        case 'getgroups':
-            return cmdGetGroups(sender);
-            
-        case 'joingroup':
-            if (args[0]) {
-                return cmdJoinGroup(args[0]);
-            }
-            return sendMessage(sender, '❌ Format: /joingroup [link]');
-            
-        case 'leave':
-            if (args[0]) {
-                return cmdLeaveGroup(args[0]);
-            }
-            return sendMessage(sender, '❌ Format: /leave [groupId]');
-            
-        case 'setpp':
-            return cmdSetProfilePicture(msg);
-            
-        case 'block':
-            if (args[0]) {
-                await ndii.updateBlockStatus(`${args[0]}@s.whatsapp.net`, 'block');
-                return sendMessage(sender, `✅ Blocked ${args[0]}`);
-            }
-            break;
-            
-        case 'unblock':
-            if (args[0]) {
-                await ndii.updateBlockStatus(`${args[0]}@s.whatsapp.net`, 'unblock');
-                return sendMessage(sender, `✅ Unblocked ${args[0]}`);
-            }
-            break;
-            
-        case 'clearchat':
-            if (args[0]) {
-                await ndii.chatModify({ delete: true, lastMessages: [] }, `${args[0]}@s.whatsapp.net`);
-                return sendMessage(sender, `✅ Cleared chat with ${args[0]}`);
-            }
-            break;
-            
-        case 'archive':
-            if (args[0]) {
-                await ndii.chatModify({ archive: true }, `${args[0]}@s.whatsapp.net`);
-                return sendMessage(sender, `✅ Archived chat ${args[0]}`);
-            }
-            break;
-            
-        case 'unarchive':
-            if (args[0]) {
-                await ndii.chatModify({ archive: false }, `${args[0]}@s.whatsapp.net`);
-                return sendMessage(sender, `✅ Unarchived chat ${args[0]}`);
-            }
-            break;
-            
-        case 'mute':
-            if (args.length >= 2) {
-                const duration = parseInt(args[1]) * 24 * 60 * 60 * 1000; // days to ms
-                await ndii.chatModify({ mute: duration }, `${args[0]}@s.whatsapp.net`);
-                return sendMessage(sender, `🔇 Muted ${args[0]} for ${args[1]} days`);
-            }
-            break;
-            
-        case 'unmute':
-            if (args[0]) {
-                await ndii.chatModify({ mute: null }, `${args[0]}@s.whatsapp.net`);
-                return sendMessage(sender, `🔊 Unmuted ${args[0]}`);
-            }
-            break;
-            
-        case 'pin':
-            if (args[0]) {
-                await ndii.chatModify({ pin: true }, `${args[0]}@s.whatsapp.net`);
-                return sendMessage(sender, `📌 Pinned chat ${args[0]}`);
-            }
-            break;
-            
-        case 'unpin':
-            if (args[0]) {
-                await ndii.chatModify({ pin: false }, `${args[0]}@s.whatsapp.net`);
-                return sendMessage(sender, `📍 Unpinned chat ${args[0]}`);
-            }
-            break;
-            
-        case 'delete':
-            if (args[0] && msg.message.extendedTextMessage?.contextInfo?.stanzaId) {
-                await ndii.sendMessage(sender, { delete: {
-                    remoteJid: sender,
-                    fromMe: false,
-                    id: msg.message.extendedTextMessage.contextInfo.stanzaId,
-                    participant: args[0]
-                }});
-                return sendMessage(sender, '✅ Message deleted');
-            }
-            break;
-            
-        case 'react':
-            if (args[0] && msg.message.extendedTextMessage?.contextInfo?.stanzaId) {
-                await ndii.sendMessage(sender, {
-                    react: {
-                        text: args[0],
-                        key: {
-                            remoteJid: sender,
-                            id: msg.message.extendedTextMessage.contextInfo.stanzaId
-                        }
-                    }
-                });
-                return;
-            }
-            break;
-            
-        case 'getstory':
-        case 'getstatus':
-            return cmdGetStatus(sender, args[0]);
-            
-        case 'sendstory':
-        case 'sendstatus':
-            return cmdSendStatus(sender, args.join(' '));
-            
-        case 'save':
-            return cmdSaveContact(msg);
+    // Switched-off categories are ignored silently
+    if (group && !command.required && !group.commands.includes(command.category)) {
+        logger.debug(`Command /${command.name} is disabled in ${sender}`);
+        return;
+    }
+    
+    if (command.scope === 'group' && !isGroup) {
+        return sendMessage(sender, t(language, 'commands.groupOnly'));
+    }
+    if (command.scope === 'private' && isGroup) {
+        return sendMessage(sender, t(language, 'commands.privateOnly'));
+    }
+    
+    let metadata = null;
+    if (command.permission === GROUP_ADMIN) {
+        metadata = await ndii.groupMetadata(sender);
+        const allowed = isGroupAdmin(metadata, author) ||
+            (admin && hasPermission(admin.role, PERMISSIONS.MANAGE_GROUPS));
+        if (!allowed) {
+            return sendMessage(sender, t(language, 'commands.groupAdminOnly'));
+        }
+    } else if (command.permission) {
+        if (!admin) {
+            return sendMessage(sender, t(language, 'commands.noAccess'));
+        }
+        if (!hasPermission(admin.role, command.permission)) {
+            return sendMessage(sender, t(language, 'commands.missingPermission', { role: admin.role, permission: command.permission }));
+        }
+    }
+    
+    if (args.filter(Boolean).length < command.minArgs) {
+        return sendMessage(sender, commands.usageError(command, language));
+    }
+    
+    if (!admin) {
+        const wait = commands.cooldown(command, jidNormalizedUser(author));
+        if (wait > 0) {
+            return sendMessage(sender, t(language, 'commands.cooldown', { seconds: Math.ceil(wait / 1000), command: command.name }));
+        }
+    }
+    
+    const ctx = {
+        chat: sender,
+        author,
+        admin,
+        group,
+        isGroup,
+        msg,
+        command,
+        args: args.filter(Boolean),
+        input: text.replace(/^\/\S+\s*/, ''),
+        text,
+        metadata,
+        language,
+        t: (key, params) => t(language, key, params),
+        reply: (reply, options) => sendMessage(sender, reply, options),
+        usage: () => sendMessage(sender, commands.usageError(command, language))
+    };
+    
+    let error = null;
+    try {
+        await command.run(ctx);
+    } catch (err) {
+        error = err.message;
+        logger.error(`Command /${command.name} failed for ${author}: ${err.message}`);
+        await sendMessage(sender, t(language, 'commands.failed', { command: command.name, error: err.message }));
+    }
+    
+    webhooks.emit('command.executed', {
+        command: command.name,
+        args: ctx.args,
+        chatId: sender,
+        author: jidNormalizedUser(author),
+        isGroup,
+        adminRole: admin ? admin.role : null,
+        success: !error,
+        error
+    });
+}
+
+// =====================================================
+// COMMAND IMPLEMENTATIONS
+// =====================================================
+
+async function sendBotInfo(to, language) {
+    const stats = DB.get(FILES.STATS);
+    const users = DB.get(FILES.USERS);
+    
+    await sendMessage(to, t(language, 'info.body', {
+        uptime: formatUptime(process.uptime()),
+        users: Object.keys(users).length,
+        messages: stats.messagesHandled || 0,
+        reconnections: stats.connectionCount || 0,
+        lastConnected: stats.lastConnected ? moment(stats.lastConnected).fromNow() : t(language, 'info.never')
+    }));
+}
+
+// Conversions of the quoted media, or of media sent with the command as
+// its caption. Results go through the queue, which deletes them once sent.
+// How to use each one is in the catalog under convert.usage.
+const CONVERT_MAX_FILE = (parseInt(process.env.CONVERT_MAX_FILE_MB) || 20) * 1024 * 1024;
+const CONVERSIONS = {
+    sticker: {
+        types: ['image', 'video', 'sticker'],
+        convert: (media, input, msg) => {
+            const [pack, author] = input.split('|').map(part => part.trim());
+            return mediaConverter.sticker(media, {
+                pack: pack || 'NdiiClouD',
+                author: author || msg.pushName || 'NdiiClouD Bot'
+            });
+        },
+        message: { type: 'sticker', mimetype: 'image/webp' }
+    },
+    toimg: {
+        types: ['sticker'],
+        convert: (media) => mediaConverter.image(media),
+        message: { type: 'image', mimetype: 'image/png' }
+    },
+    tomp3: {
+        types: ['video', 'audio'],
+        convert: (media) => mediaConverter.audio(media),
+        message: { type: 'audio', mimetype: 'audio/mpeg' }
+    },
+    tovn: {
+        types: ['audio', 'video'],
+        convert: (media) => mediaConverter.voiceNote(media),
+        message: { type: 'audio', mimetype: 'audio/ogg; codecs=opus', ptt: true }
+    }
+};
+// One conversion at a time per user
+const converting = new Set();
+
+async function cmdConvert(to, author, command, input, msg, language) {
+    const conversion = CONVERSIONS[command];
+    if (converting.has(author)) {
+        return sendMessage(to, t(language, 'convert.busy'));
+    }
+    
+    converting.add(author);
+    try {
+        const media = await downloadQuotedMedia(msg, { types: conversion.types, own: true, maxSize: CONVERT_MAX_FILE, language });
+        if (!media) return sendMessage(to, t(language, 'commands.format', { usage: t(language, `convert.usage.${command}`), command }));
+        
+        const output = await conversion.convert(media, input, msg);
+        messageQueue.add({ to, ...conversion.message, mediaPath: output, tempFile: true, priority: 'high' });
+    } catch (err) {
+        logger.warn(`🎨 /${command} failed for ${author}: ${err.message}`);
+        return sendMessage(to, t(language, 'convert.failed', { error: err.message }));
+    } finally {
+        converting.delete(author);
+    }
+}
+
+// "/broadcast tag=vip active=7 rate=30 template=promo | pesan" or just
+// "/broadcast pesan"; the message can use {name} and the other template variables
+async function cmdBroadcast(to, author, input, language) {
+    let text = input.trim();
+    const filter = {};
+    let rate;
+    let template;
+    
+    if (text.includes('|')) {
+        const [options, ...rest] = text.split('|');
+        text = rest.join('|').trim();
+        
+        for (const option of options.trim().split(/\s+/).filter(Boolean)) {
+            const [key, value] = option.split('=');
+            if (key === 'tag' || key === 'tags') filter.tags = value;
+            else if (key === 'active') filter.activeWithinDays = value;
+            else if (key === 'inactive') filter.inactiveForDays = value;
+            else if (key === 'rate') rate = value;
+            else if (key === 'template') template = value;
+        }
+    }
+    
+    if (!text && !template) {
+        return sendMessage(to, t(language, 'campaign.usage'));
+    }
+    
+    const result = campaigns.create({ text, filter, rate, template }, {
+        createdBy: author.split('@')[0],
+        reportTo: to
+    });
+    if (!result.success) {
+        const details = Object.entries(result.errors).map(([key, error]) => `• ${key} ${error}`).join('\n');
+        return sendMessage(to, t(language, 'campaign.invalid', { details }));
+    }
+    
+    const { campaign } = result;
+    await sendMessage(to, t(language, 'campaign.started', {
+        id: campaign.id.slice(0, 8),
+        total: campaign.counts.total,
+        rate: campaign.rate
+    }));
+}
+
+async function cmdListCampaigns(to, language) {
+    const list = campaigns.list().slice(0, 10);
+    if (list.length === 0) {
+        return sendMessage(to, t(language, 'campaign.empty'));
+    }
+    
+    let text = `${t(language, 'campaign.listTitle')}\n\n`;
+    for (const campaign of list) {
+        text += `🆔 *${campaign.id.slice(0, 8)}* - ${campaign.status}\n`;
+        text += `✅ ${campaign.counts.sent}/${campaign.counts.total} · ❌ ${campaign.counts.failed}\n`;
+        text += `💬 ${campaign.text.substring(0, 40)}\n\n`;
+    }
+    
+    await sendMessage(to, text);
+}
+
+async function cmdCampaignStatus(to, id, language) {
+    const campaign = campaigns.get(id);
+    if (!campaign) {
+        return sendMessage(to, t(language, 'campaign.notFound', { id }));
+    }
+    
+    await sendMessage(to, t(language, 'campaign.status', {
+        ...campaign.counts,
+        id: campaign.id.slice(0, 8),
+        status: campaign.status,
+        rate: campaign.rate,
+        createdAt: moment(campaign.createdAt).tz(DEFAULT_TIMEZONE).format('DD/MM/YYYY HH:mm')
+    }));
+}
+
+async function cmdControlCampaign(to, id, action, language) {
+    const result = campaigns.control(id, action);
+    if (result.notFound) {
+        return sendMessage(to, t(language, 'campaign.notFound', { id }));
+    }
+    if (!result.success) {
+        const campaign = campaigns.get(id);
+        return sendMessage(to, t(language, 'campaign.cannotControl', { id: campaign.id.slice(0, 8), status: campaign.status, action }));
+    }
+    await sendMessage(to, t(language, 'campaign.controlled', { id: result.campaign.id.slice(0, 8), status: result.campaign.status }));
+}
+
+async function cmdStats(to, language) {
+    const users = DB.get(FILES.USERS);
+    const stats = DB.get(FILES.STATS);
+    
+    await sendMessage(to, t(language, 'stats', {
+        users: Object.keys(users).length,
+        messages: stats.messagesHandled || 0,
+        sent: stats.messagesSent || 0,
+        received: stats.messagesReceived || 0,
+        queue: messageQueue.queue.length,
+        connections: stats.connectionCount || 0,
+        uptime: formatUptime(process.uptime())
+    }));
+}
+
+async function cmdSendOTP(phone, code) {
+    const formatted = phone.replace(/[^0-9]/g, '');
+    const message = renderMessageTemplate('otp', formatted, { code });
+    
+    await sendMessage(`${formatted}@s.whatsapp.net`, message, { priority: 'high' });
+}
+
+async function cmdNotify(phone, message) {
+    const formatted = phone.replace(/[^0-9]/g, '');
+    await sendTemplateMessage(`${formatted}@s.whatsapp.net`, message, { template: 'notify' });
+}
+
+async function cmdListTemplates(to, language) {
+    let text = `${t(language, 'templates.listTitle')}\n\n`;
+    for (const template of listTemplates(language)) {
+        text += `• *${template.name}*${template.customized ? ' ✏️' : ''} - ${template.description || '-'}\n`;
+    }
+    text += `\n${t(language, 'templates.listFooter')}`;
+    
+    await sendMessage(to, text);
+}
+
+// "/template nama" shows it with a preview for the caller,
+// "/template nama en | teks" saves its English text and
+// "/template nama reset" deletes it (built-ins go back to their defaults)
+async function cmdTemplate(to, author, input, language) {
+    const [head, ...rest] = input.split('|');
+    const [name = '', option] = head.trim().toLowerCase().split(/\s+/);
+    
+    if (rest.length > 0) {
+        const textLanguage = normalizeLanguage(option || DEFAULT_LANGUAGE);
+        if (!textLanguage) {
+            return sendMessage(to, t(language, 'templates.invalidLanguage', { languages: LANGUAGES.join(', ') }));
+        }
+        
+        const existing = DB.get(FILES.TEMPLATES)[name];
+        const result = saveTemplate(name, {
+            description: existing?.description,
+            texts: { ...existing?.texts, [textLanguage]: rest.join('|').trim() }
+        }, author.split('@')[0]);
+        if (!result.success) {
+            const details = Object.entries(result.errors).map(([key, error]) => `• ${key} ${error}`).join('\n');
+            return sendMessage(to, t(language, 'templates.invalid', { details }));
+        }
+        return sendMessage(to, t(language, 'templates.saved', {
+            name,
+            language: textLanguage,
+            preview: previewTemplate({ name, language: textLanguage, phone: author }).text
+        }));
+    }
+    
+    if (option === 'reset') {
+        if (!deleteTemplate(name)) {
+            return sendMessage(to, t(language, 'templates.nothingSaved', { name }));
+        }
+        return sendMessage(to, t(language, BUILTIN_TEMPLATES[name] ? 'templates.reset' : 'templates.deleted', { name }));
+    }
+    
+    const template = getTemplate(name, language);
+    if (!template) {
+        return sendMessage(to, t(language, 'templates.notFound', { name }));
+    }
+    
+    let text = `📝 *Template ${template.name}*\n${template.description}\n\n` +
+        `${t(language, 'templates.variables', { variables: template.variables.map(variable => `{${variable}}`).join(' ') })}\n\n`;
+    for (const [textLanguage, source] of Object.entries(template.texts)) {
+        text += `*[${textLanguage}]*\n\`\`\`${source}\`\`\`\n\n`;
+    }
+    text += t(language, 'templates.preview', { preview: previewTemplate({ name, phone: author }).text });
+    
+    await sendMessage(to, text);
+}
+
+async function cmdGetGroups(to, language) {
+    const groups = await ndii.groupFetchAllParticipating();
+    let text = `${t(language, 'groups.title', { count: Object.keys(groups).length })}\n\n`;
+    
+    for (const [id, group] of Object.entries(groups)) {
+        text += `${t(language, 'groups.entry', {
+            id,
+            subject: group.subject,
+            members: group.participants.length,
+            created: moment(group.creation * 1000).format('DD/MM/YYYY')
+        })}\n\n`;
+    }
+    
+    await sendMessage(to, text);
+}
+
+async function cmdJoinGroup(link) {
+    const code = link.split('https://chat.whatsapp.com/')[1];
+    if (code) {
+        const response = await ndii.groupAcceptInvite(code);
+        logger.info('Joined group:', response);
+    }
+}
+
+async function cmdLeaveGroup(groupId) {
+    await ndii.groupLeave(groupId);
+    logger.info('Left group:', groupId);
+}
+
+async function cmdGetStatus(to, number, language) {
+    if (!number) {
+        // Get all status
+        const status = await ndii.fetchStatusUpdates();
+        let text = `${t(language, 'profile.statusTitle')}\n\n`;
+        for (const [jid, updates] of Object.entries(status)) {
+            text += `${t(language, 'profile.statusCount', { jid, count: updates.length })}\n`;
+        }
+        return sendMessage(to, text);
+    }
+    
+    const jid = `${number.replace(/[^0-9]/g, '')}@s.whatsapp.net`;
+    const status = await ndii.fetchStatusUpdates(jid);
+    await sendMessage(to, `${t(language, 'profile.statusOf', { number })}\n${JSON.stringify(status, null, 2)}`);
+}
+
+async function cmdSendStatus(to, text, language) {
+    await ndii.sendMessage('status@broadcast', { text });
+    await sendMessage(to, t(language, 'profile.statusSent'));
+}
+
+async function cmdSetProfilePicture(msg) {
+    const quoted = msg.message.extendedTextMessage?.contextInfo?.quotedMessage;
+    if (quoted?.imageMessage) {
+        const stream = await downloadContentFromMessage(quoted.imageMessage, 'image');
+        let buffer = Buffer.from([]);
+        for await (const chunk of stream) {
+            buffer = Buffer.concat([buffer, chunk]);
+        }
+        await ndii.updateProfilePicture(msg.key.remoteJid, buffer);
+    }
+}
+
+async function cmdSaveContact(msg) {
+    const vcard = msg.message.extendedTextMessage?.contextInfo?.quotedMessage?.contactMessage;
+    if (vcard) {
+        // Save contact logic
+        logger.info('Saving contact:', vcard);
+    }
+}
+
+async function cmdGetContact(to, number) {
+    const jid = `${number.replace(/[^0-9]/g, '')}@s.whatsapp.net`;
+    const info = await ndii.onWhatsApp(jid);
+    await sendMessage(to, `📱 Info:\n${JSON.stringify(info, null, 2)}`);
+}
+
+async function cmdSetBotPP(msg, language) {
+    const quoted = msg.message.extendedTextMessage?.contextInfo?.quotedMessage;
+    if (quoted?.imageMessage) {
+        const stream = await downloadContentFromMessage(quoted.imageMessage, 'image');
+        let buffer = Buffer.from([]);
+        for await (const chunk of stream) {
+            buffer = Buffer.concat([buffer, chunk]);
+        }
+        await ndii.updateProfilePicture(ndii.user.id, buffer);
+        await sendMessage(msg.key.remoteJid, t(language, 'profile.pictureUpdated'));
+    }
+}
+
+async function cmdQueue(to, args, language) {
+    const [action, target] = args;
+    
+    switch (action) {
+        case 'pause':
+        case 'resume':
+            messageQueue.setPaused(action === 'pause');
+            return sendMessage(to, t(language, action === 'pause' ? 'queue.paused' : 'queue.resumed'));
             
-        case 'getcontact':
-            if (args[0]) {
-                return cmdGetContact(sender, args[0]);
-            }
-            break;
+        case 'dead': {
+            const dead = messageQueue.deadLetters().slice(0, 10);
+            if (dead.length === 0) return sendMessage(to, t(language, 'queue.deadEmpty'));
             
-        case 'setname':
-            if (args.join(' ')) {
-                await ndii.updateProfileName(args.join(' '));
-                return sendMessage(sender, `✅ Name updated to: ${args.join(' ')}`);
+            let text = `${t(language, 'queue.deadTitle', { count: messageQueue.status().deadLetter })}\n\n`;
+            for (const msg of dead) {
+                text += `🆔 *${msg.id.slice(0, 8)}* → ${msg.to}\n`;
+                text += `❌ ${msg.lastError || 'unknown error'}\n`;
+                text += `🕐 ${moment(msg.failedAt).tz(DEFAULT_TIMEZONE).format('DD/MM HH:mm')}\n\n`;
             }
-            break;
+            return sendMessage(to, text + t(language, 'queue.retryHint'));
+        }
             
-        case 'setstatus':
-            if (args.join(' ')) {
-                await ndii.updateProfileStatus(args.join(' '));
-                return sendMessage(sender, `✅ Status updated`);
-            }
-            break;
+        case 'retry': {
+            if (!target) return sendMessage(to, t(language, 'queue.retryUsage'));
+            const count = messageQueue.retry(target === 'all' ? null : target);
+            return sendMessage(to, count ? t(language, 'queue.retried', { count }) : t(language, 'queue.notFound'));
+        }
             
-        case 'setppbot':
-            return cmdSetBotPP(msg);
-            
-        case 'restart':
-            await sendMessage(sender, '🔄 Restarting bot...');
-            process.exit(0);
-            break;
+        case 'purge': {
+            const count = messageQueue.purge({ dead: target === 'dead' });
+            return sendMessage(to, t(language, target === 'dead' ? 'queue.purgedDead' : 'queue.purged', { count }));
+        }
+    }
+    
+    const status = messageQueue.status();
+    const state = status.paused ? 'paused' : status.processing ? 'sending' : 'ready';
+    await sendMessage(to, t(language, 'queue.status', {
+        ...status.lanes,
+        state: t(language, `queue.states.${state}`),
+        length: status.length,
+        backingOff: status.backingOff,
+        deadLetter: status.deadLetter
+    }));
+}
+
+// "besok 08:00 Asia/Jakarta" / "cron 0 8 * * 1" -> fields for validateSchedule
+function parseScheduleTime(tokens, defaultTimezone = DEFAULT_TIMEZONE) {
+    let timezone = defaultTimezone;
+    if (tokens.length > 1 && moment.tz.zone(tokens[tokens.length - 1])) {
+        timezone = tokens.pop();
+    }
+    
+    if (tokens[0] === 'cron') {
+        return { cron: tokens.slice(1).join(' '), timezone };
+    }
+    
+    const [first, second] = tokens;
+    const now = moment().tz(timezone);
+    
+    if (['besok', 'tomorrow'].includes(first) && /^\d{1,2}[:.]\d{2}$/.test(second || '')) {
+        const [hour, minute] = second.split(/[:.]/).map(Number);
+        return { at: now.add(1, 'day').set({ hour, minute, second: 0 }).format('YYYY-MM-DD HH:mm'), timezone };
+    }
+    if (tokens.length === 1 && /^\d{1,2}[:.]\d{2}$/.test(first)) {
+        // Today, or tomorrow if that time has passed
+        const [hour, minute] = first.split(/[:.]/).map(Number);
+        const at = now.clone().set({ hour, minute, second: 0 });
+        if (at.isSameOrBefore(now)) at.add(1, 'day');
+        return { at: at.format('YYYY-MM-DD HH:mm'), timezone };
+    }
+    return { at: tokens.join(' '), timezone };
+}
+
+async function cmdSchedule(to, author, text, msg, language) {
+    const [head, ...rest] = text.replace(/^\/\S+\s*/, '').split('|');
+    const message = rest.join('|').trim();
+    const [target, ...when] = head.trim().split(/\s+/);
+    
+    const media = await downloadQuotedMedia(msg, { maxSize: UPLOAD_MAX_SIZE, language });
+    if (!target || when.length === 0 || (!message && !media)) {
+        return sendMessage(to, t(language, 'schedule.usage'));
+    }
+    
+    let mediaPath = null;
+    if (media) {
+        mediaPath = path.join(MEDIA_DIR, 'scheduled', `${uuidv4()}.${media.extension}`);
+        await fs.outputFile(mediaPath, media.buffer);
+    }
+    
+    const result = scheduler.create({
+        to: target === 'here' ? to : target,
+        type: media ? media.type : 'text',
+        text: message,
+        mediaPath,
+        mimetype: media?.mimetype,
+        fileName: media?.fileName,
+        // Groups schedule in their own timezone unless one is given
+        ...parseScheduleTime(when, to.endsWith('@g.us') ? getGroupSettings(to).timezone : DEFAULT_TIMEZONE)
+    }, author.split('@')[0]);
+    
+    if (!result.success) {
+        if (mediaPath) await fs.remove(mediaPath);
+        const details = Object.entries(result.errors).map(([key, error]) => `• ${key} ${error}`).join('\n');
+        return sendMessage(to, t(language, 'schedule.invalid', { details }));
+    }
+    
+    const item = result.schedule;
+    await sendMessage(to, t(language, 'schedule.created', {
+        id: item.id.slice(0, 8),
+        to: item.to,
+        when: describeSchedule(item)
+    }));
+}
+
+function describeSchedule(item) {
+    return item.mode === 'cron' ?
+        `cron ${item.cron} (${item.timezone})` :
+        `${moment(item.at).tz(item.timezone).format('DD/MM/YYYY HH:mm')} (${item.timezone})`;
+}
+
+async function cmdListSchedules(to, language) {
+    const items = scheduler.list();
+    if (items.length === 0) {
+        return sendMessage(to, t(language, 'schedule.empty'));
+    }
+    
+    let text = `${t(language, 'schedule.listTitle', { count: items.length })}\n\n`;
+    for (const item of items) {
+        text += `🆔 *${item.id.slice(0, 8)}*${item.enabled ? '' : t(language, 'schedule.disabled')}\n`;
+        text += `📱 ${item.to}\n`;
+        text += `⏰ ${describeSchedule(item)}\n`;
+        text += `💬 ${item.type === 'text' ? item.text.substring(0, 50) : `[${item.type}] ${item.text}`}\n\n`;
+    }
+    
+    await sendMessage(to, text);
+}
+
+async function cmdUnschedule(to, id, language) {
+    const item = scheduler.find(id);
+    if (!item || !scheduler.cancel(item.id)) {
+        return sendMessage(to, t(language, 'schedule.notFound', { id }));
+    }
+    await sendMessage(to, t(language, 'schedule.cancelled', { id: item.id.slice(0, 8) }));
+}
+
+const DURATION_UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+// "30m", "2h", "1d" to milliseconds; "perm" is null (permanent), anything else undefined
+function parseDuration(token = '') {
+    if (['perm', 'permanen', 'permanent'].includes(token.toLowerCase())) return null;
+    const match = token.match(/^(\d+)([smhd])$/i);
+    return match ? Number(match[1]) * DURATION_UNITS[match[2].toLowerCase()] : undefined;
+}
+
+// "/ban 628xx 1h alasan", or with a mention or a reply instead of the number
+async function cmdBan(to, author, args, msg, language) {
+    const [target] = commandTargets(msg, args);
+    if (!target) {
+        return sendMessage(to, t(language, 'bans.usage'));
+    }
+    if (getAdmin(target)) {
+        return sendMessage(to, t(language, 'bans.adminImmune'));
+    }
+    
+    const rest = args.filter(arg => !/^@?\+?\d{8,}$/.test(arg));
+    const duration = parseDuration(rest[0]);
+    if (duration !== undefined) rest.shift();
+    
+    const record = antiSpam.ban(target, {
+        duration: duration === undefined ? null : duration,
+        reason: rest.join(' ') || t(language, 'bans.defaultReason'),
+        by: author.split('@')[0]
+    });
+    
+    await sendMessage(to, record.until ?
+        t(language, 'bans.bannedUntil', { ...record, until: moment(record.until).tz(DEFAULT_TIMEZONE).format('DD/MM/YYYY HH:mm') }) :
+        t(language, 'bans.bannedPermanently', record));
+}
+
+async function cmdUnban(to, author, args, msg, language) {
+    const [target] = commandTargets(msg, args);
+    if (!target) {
+        return sendMessage(to, t(language, 'bans.unbanUsage'));
+    }
+    
+    const lifted = antiSpam.unban(target, author.split('@')[0]);
+    await sendMessage(to, t(language, lifted ? 'bans.unbanned' : 'bans.notBanned', { user: antiSpam.key(target) }));
+}
+
+async function cmdBanList(to, language) {
+    const bans = antiSpam.list();
+    if (bans.length === 0) {
+        return sendMessage(to, t(language, 'bans.empty'));
+    }
+    
+    let text = `${t(language, 'bans.listTitle', { count: bans.length })}\n\n`;
+    for (const ban of bans) {
+        text += `${t(language, 'bans.offenses', ban)}\n`;
+        text += `${ban.until ? t(language, 'bans.remaining', { duration: formatUptime(Math.ceil((ban.until - Date.now()) / 1000)) }) : t(language, 'bans.permanent')}\n`;
+        text += `${t(language, 'bans.by', ban)}\n\n`;
+    }
+    
+    await sendMessage(to, text);
+}
+
+async function cmdSettings(to, language) {
+    const settings = getSettings();
+    
+    await sendMessage(to, t(language, 'settings.body', {
+        ...settings,
+        adminNumber: settings.adminNumber || '-',
+        autoReplyEnabled: settings.autoReplyEnabled ? 'on' : 'off'
+    }));
+}
+
+async function cmdSet(to, admin, key, value, language) {
+    // Keys are case-insensitive in chat: /set autoreplyenabled on
+    const name = Object.keys(SETTINGS_SCHEMA).find(k => k.toLowerCase() === key.toLowerCase());
+    if (!name) {
+        return sendMessage(to, t(language, 'settings.unknown', { key, keys: Object.keys(SETTINGS_SCHEMA).join(', ') }));
+    }
+    // The admin number acts as owner, same rule as PUT /api/admin/settings
+    if (name === 'adminNumber' && !hasPermission(admin.role, PERMISSIONS.MANAGE_ADMINS)) {
+        return sendMessage(to, t(language, 'commands.missingPermission', { role: admin.role, permission: PERMISSIONS.MANAGE_ADMINS }));
+    }
+    
+    const result = updateSettings({ [name]: value }, { language });
+    if (!result.success) {
+        return sendMessage(to, t(language, 'settings.invalid', { key: name, error: result.errors[name] }));
+    }
+    
+    await sendMessage(to, t(language, 'settings.updated', { key: name }));
+}
+
+// =====================================================
+// HELPER FUNCTIONS
+// =====================================================
+
+async function sendMessage(to, text, options = {}) {
+    // `meta` is stored with the message record and `priority` picks the
+    // queue lane; neither is sent to WhatsApp
+    const { meta, priority, ...extra } = options;
+    
+    if (!isBotReady) {
+        // Queue message if bot not ready
+        messageQueue.add({
+            to,
+            type: 'text',
+            content: text,
+            ...options
+        });
+        return false;
+    }
+    
+    try {
+        const jid = to.includes('@') ? to : `${to}@s.whatsapp.net`;
+        const result = await ndii.sendMessage(jid, { text, ...extra });
+        if (result?.key) {
+            deliveries.sent(uuidv4(), jid, result, meta);
+            saveMessage(jid, result, meta);
+        }
+        
+        // Update stats
+        const stats = DB.get(FILES.STATS);
+        stats.messagesSent = (stats.messagesSent || 0) + 1;
+        DB.set(FILES.STATS, stats);
+        
+        return result;
+    } catch (err) {
+        logger.error('Send message error:', err);
+        // Queue for retry
+        messageQueue.add({
+            to,
+            type: 'text',
+            content: text,
+            ...options
+        });
+        return false;
+    }
+}
+
+function saveMessage(chatId, msg, extra = {}) {
+    const content = extractMessageContent(msg);
+    const fromMe = !!msg.key.fromMe;
+    
+    const record = {
+        id: msg.key.id,
+        chatId,
+        sender: fromMe ? 'me' : (msg.key.participant || msg.key.remoteJid),
+        senderName: fromMe ? null : (msg.pushName || null),
+        fromMe,
+        type: getContentType(msg.message),
+        text: content.text || null,
+        content,
+        timestamp: toMillis(msg.messageTimestamp),
+        status: fromMe ? 'sent' : 'received',
+        ...extra
+    };
+    
+    DB.appendMessage(chatId, record);
+    botEvents.emit('message', normalizeMessage(chatId, record));
+    
+    if (fromMe) return;
+    
+    // Update stats
+    const stats = DB.get(FILES.STATS);
+    stats.messagesHandled = (stats.messagesHandled || 0) + 1;
+    stats.messagesReceived = (stats.messagesReceived || 0) + 1;
+    DB.set(FILES.STATS, stats);
+}
+
+/**
+ * Store a message that originated from the web client (not WhatsApp).
+ */
+function saveWebMessage(chatId, data) {
+    const record = {
+        id: uuidv4(),
+        chatId,
+        sender: data.sender,
+        senderName: data.senderName || null,
+        fromMe: false,
+        type: data.type || 'text',
+        text: data.text || null,
+        content: { text: data.text || null },
+        timestamp: data.timestamp || Date.now(),
+        status: 'sent',
+        source: 'web',
+        clientId: data.clientId || null
+    };
+    
+    DB.appendMessage(chatId, record);
+    return record;
+}
+
+/**
+ * Older records stored `from` and a timestamp in seconds; map them to the
+ * current shape so API consumers only ever see one format.
+ */
+function normalizeMessage(chatId, m) {
+    const content = m.content || {};
+    return {
+        id: m.id,
+        chatId: m.chatId || chatId,
+        sender: m.sender || m.from,
+        senderName: m.senderName || null,
+        fromMe: !!m.fromMe,
+        type: m.type || 'conversation',
+        text: m.text !== undefined ? m.text : (content.text || null),
+        content,
+        timestamp: toMillis(m.timestamp),
+        status: (m.fromMe && deliveries.statusOf(m.id)) || m.status || (m.fromMe ? 'sent' : 'received'),
+        source: m.source || 'whatsapp',
+        clientId: m.clientId || null,
+        media: m.media || null
+    };
+}
+
+async function getChats() {
+    const chats = await DB.listChats();
+    const users = DB.get(FILES.USERS);
+    
+    return chats
+        .map(({ chatId, lastMessage }) => {
+            const isGroup = chatId.endsWith('@g.us');
+            const number = chatId.split('@')[0];
+            return {
+                id: chatId,
+                name: isGroup ? chatId : (users[number]?.name || number),
+                isGroup,
+                lastMessage: normalizeMessage(chatId, lastMessage)
+            };
+        })
+        .sort((a, b) => b.lastMessage.timestamp - a.lastMessage.timestamp);
+}
+
+async function getMessages(chatId, { before, limit = 50 } = {}) {
+    const page = await DB.getMessages(chatId, { before, limit });
+    const messages = page.messages.map(m => normalizeMessage(chatId, m));
+    
+    return {
+        messages,
+        hasMore: page.hasMore,
+        nextBefore: messages.length ? messages[0].timestamp : null
+    };
+}
+
+function updateUserActivity(phone, name) {
+    const users = DB.get(FILES.USERS);
+    const key = phone.replace(/[^0-9]/g, '');
+    
+    if (!users[key]) {
+        users[key] = {
+            id: uuidv4(),
+            name: name || key,
+            firstSeen: Date.now()
+        };
+        if (!phone.endsWith('@g.us')) {
+            webhooks.emit('user.registered', { user: key, userId: users[key].id, name: users[key].name, source: 'whatsapp' });
+        }
+    }
+    
+    users[key].lastActive = Date.now();
+    users[key].messageCount = (users[key].messageCount || 0) + 1;
+    
+    DB.set(FILES.USERS, users);
+}
+
+// FILES.USERS key of a jid, number or email (email-only users are keyed by address)
+function userKey(user) {
+    const value = String(user || '');
+    if (value.includes('@') && !/@(s\.whatsapp\.net|c\.us|lid)$/.test(value)) return value.toLowerCase();
+    return value.split('@')[0].split(':')[0].replace(/[^0-9]/g, '');
+}
+
+// Chosen with /lang or in the web client, otherwise guessed from the
+// number's country code; groups use their own `language` setting instead
+function userLanguage(user) {
+    const key = userKey(user);
+    const saved = DB.get(FILES.USERS)[key]?.language;
+    if (saved) return saved;
+    return key.includes('@') ? DEFAULT_LANGUAGE : languageForPhone(key);
+}
+
+// Language of a chat: the group's setting or the user's language
+function chatLanguage(jid) {
+    return jid.endsWith('@g.us') ? getGroupSettings(jid).language : userLanguage(jid);
+}
+
+// Returns the saved language, or null if it is not in the catalog
+function setUserLanguage(user, value) {
+    const language = normalizeLanguage(value);
+    const key = userKey(user);
+    if (!language || !key) return null;
+    
+    DB.update(FILES.USERS, key, { ...DB.get(FILES.USERS)[key], language });
+    return language;
+}
+
+// Fields of an archived file kept on message records and sent to clients
+function summarizeMedia(meta) {
+    return meta && {
+        id: meta.id,
+        type: meta.type,
+        mimetype: meta.mimetype,
+        fileName: meta.fileName,
+        size: meta.size,
+        thumbnail: meta.thumbnail
+    };
+}
+
+/**
+ * Downloads the attachment of an incoming message into the media archive.
+ * Returns its summary, or null for text messages and files over the limits.
+ */
+async function archiveMedia(chatId, msg) {
+    const content = extractMessageContent(msg);
+    if (!content.media) return null;
+    
+    const type = getContentType(msg.message).replace('Message', '');
+    if (Number(content.media.fileLength) > mediaArchive.maxFileSize) {
+        logger.warn(`📁 Skipped ${type} from ${chatId}: ${content.media.fileLength} bytes`);
+        return null;
+    }
+    
+    try {
+        const stream = await downloadContentFromMessage(content.media, type);
+        let buffer = Buffer.from([]);
+        for await (const chunk of stream) {
+            buffer = Buffer.concat([buffer, chunk]);
+        }
+        
+        const meta = await mediaArchive.save(chatId, buffer, {
+            type,
+            mimetype: content.mimetype || content.media.mimetype,
+            fileName: content.fileName || null,
+            thumbnail: content.media.jpegThumbnail ? Buffer.from(content.media.jpegThumbnail) : null
+        });
+        return summarizeMedia(meta);
+    } catch (err) {
+        logger.error(`📁 Failed to archive ${type} from ${chatId}: ${err.message}`);
+        return null;
+    }
+}
+
+/**
+ * Media of the message `msg` replies to, as { type, buffer, mimetype,
+ * fileName, extension, seconds }. `types` limits the kinds looked at, `own`
+ * also accepts media sent with the command as caption, and files over
+ * `maxSize` bytes are refused before they are downloaded, with an error in
+ * `language`.
+ */
+async function downloadQuotedMedia(msg, { types = ['image', 'video', 'audio', 'document'], own = false, maxSize = Infinity, language = DEFAULT_LANGUAGE } = {}) {
+    const quoted = msg.message?.extendedTextMessage?.contextInfo?.quotedMessage;
+    const sources = [quoted, own && msg.message].filter(Boolean);
+    
+    for (const [source, type] of sources.flatMap(source => types.map(type => [source, type]))) {
+        const media = source[`${type}Message`];
+        if (!media) continue;
+        if (Number(media.fileLength) > maxSize) {
+            throw new Error(t(language, 'media.tooLarge', { size: Math.round(maxSize / (1024 * 1024)) }));
+        }
+        
+        const stream = await downloadContentFromMessage(media, type);
+        let buffer = Buffer.from([]);
+        for await (const chunk of stream) {
+            buffer = Buffer.concat([buffer, chunk]);
+        }
+        
+        const mimetype = media.mimetype || 'application/octet-stream';
+        return {
+            type,
+            buffer,
+            mimetype,
+            fileName: media.fileName || null,
+            extension: mimetype.split('/')[1].split(';')[0],
+            seconds: media.seconds || 0
+        };
+    }
+    return null;
+}
+
+function toMillis(timestamp) {
+    const value = Number(timestamp) || 0;
+    // WhatsApp timestamps are in seconds, ours are in milliseconds
+    return value < 1e12 ? value * 1000 : value;
+}
+
+function formatUptime(seconds) {
+    const days = Math.floor(seconds / 86400);
+    const hours = Math.floor((seconds % 86400) / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+    const secs = Math.floor(seconds % 60);
+    
+    if (days > 0) return `${days}d ${hours}h ${minutes}m`;
+    if (hours > 0) return `${hours}h ${minutes}m ${secs}s`;
+    return `${minutes}m ${secs}s`;
+}
+
+function describeBan({ reason, ban, remaining }, language) {
+    return t(language, 'ban.body', {
+        title: t(language, reason === 'spam_detected' ? 'ban.spamTitle' : 'ban.bannedTitle'),
+        length: remaining === null ?
+            t(language, 'ban.permanent') :
+            t(language, 'ban.remaining', { duration: formatUptime(Math.ceil(remaining / 1000)) }),
+        reason: ban.reason
+    });
+}
+
+// =====================================================
+// GROUP HANDLERS
+// =====================================================
+
+// The group's own welcome/goodbye text if it has one, otherwise template `name`
+function renderGroupTemplate(name, custom, participant, groupMetadata, language) {
+    const variables = {
+        ...recipientVariables(participant, language),
+        user: participant.split('@')[0],
+        group: groupMetadata.subject,
+        memberCount: groupMetadata.participants.length,
+        count: groupMetadata.participants.length
+    };
+    return custom ? renderTemplate(custom, variables) : renderMessageTemplate(name, participant, variables, language);
+}
+
+async function handleGroupUpdate(update) {
+    const { id, participants, action } = update;
+    moderator.invalidate(id);
+    const groupMetadata = await ndii.groupMetadata(id);
+    const config = getGroupSettings(id);
+    
+    logger.info(`👥 Group ${action}: ${participants.join(', ')} in ${groupMetadata.subject}`);
+    
+    const event = { add: 'group.participant.added', remove: 'group.participant.removed' }[action];
+    if (event) {
+        webhooks.emit(event, {
+            groupId: id,
+            subject: groupMetadata.subject,
+            participants,
+            by: update.author || null
+        });
+    }
+    
+    // Welcome message for new members
+    if (action === 'add' && config.welcomeEnabled) {
+        for (const participant of participants) {
+            if (participant === ndii.user.id) continue;
             
-        case 'shutdown':
-            await sendMessage(sender, '👋 Shutting down...');
-            process.exit(1);
-            break;
+            const welcomeMsg = renderGroupTemplate('welcome', config.welcomeMessage, participant, groupMetadata, config.language);
             
-        default:
-            sendMessage(sender, '❓ Perintah tidak dikenal. Ketik /menu untuk melihat daftar.');
+            await delay(1000);
+            await sendMessage(id, welcomeMsg, { mentions: [participant] });
+        }
+    }
+    
+    // Goodbye message
+    if (action === 'remove' && config.goodbyeEnabled) {
+        for (const participant of participants) {
+            const goodbyeMsg = renderGroupTemplate('goodbye', config.goodbyeMessage, participant, groupMetadata, config.language);
+            await sendMessage(id, goodbyeMsg, { mentions: [participant] });
+        }
+    }
+}
+
+// Messages that passed moderation (GroupModerator.review) and are not commands
+async function handleGroupMessage(sender, msg, content) {
+    const groupId = sender;
+    
+    // Auto-responder, unless the group switched it off
+    if (getGroupSettings(groupId).autoReplyEnabled) {
+        await autoResponder.process(groupId, content.text, getGroupSettings(groupId).language);
+    }
+}
+
+// =====================================================
+// GROUP ADMINISTRATION
+// =====================================================
+
+// Commands are in ./commands/group.js; callers must be admins of the group,
+// or bot admins with manage_groups. Changing participants also needs the
+// bot itself to be a group admin.
+const PARTICIPANT_ACTIONS = { kick: 'remove', add: 'add', promote: 'promote', demote: 'demote' };
+// Statuses with a text in group.participants.errors
+const PARTICIPANT_ERRORS = ['401', '403', '404', '406', '408', '409'];
+
+function isGroupAdmin(metadata, jid) {
+    const user = jidNormalizedUser(jid);
+    return !!metadata.participants.find(p => jidNormalizedUser(p.id) === user)?.admin;
+}
+
+// Mentioned participants, the author of the quoted message and numbers typed as arguments
+function commandTargets(msg, args) {
+    const context = msg.message?.extendedTextMessage?.contextInfo || {};
+    const numbers = args
+        .map(arg => arg.replace(/[^0-9]/g, ''))
+        .filter(number => number.length >= 8)
+        .map(number => `${number}@s.whatsapp.net`);
+    
+    return [...new Set([
+        ...(context.mentionedJid || []),
+        ...(context.participant ? [context.participant] : []),
+        ...numbers
+    ].map(jid => jidNormalizedUser(jid)))];
+}
+
+const mention = (jid) => `@${jid.split('@')[0]}`;
+
+// /kick, /add, /promote and /demote
+async function cmdParticipants(groupId, metadata, command, args, msg, language) {
+    if (!isGroupAdmin(metadata, ndii.user.id)) {
+        return sendMessage(groupId, t(language, 'group.participants.botNotAdmin'));
     }
+    
+    const self = jidNormalizedUser(ndii.user.id);
+    const targets = commandTargets(msg, args).filter(jid => jid !== self);
+    if (targets.length === 0) {
+        return sendMessage(groupId, t(language, 'group.participants.usage', { command }));
+    }
+    
+    return cmdUpdateParticipants(groupId, command, targets, language);
+}
+
+// Applies the action and reports the result of every participant
+async function cmdUpdateParticipants(groupId, command, targets, language) {
+    let results;
+    try {
+        results = await ndii.groupParticipantsUpdate(groupId, targets, PARTICIPANT_ACTIONS[command]);
+    } catch (err) {
+        logger.error(`👥 /${command} failed in ${groupId}: ${err.message}`);
+        return sendMessage(groupId, t(language, 'group.participants.failed', { error: err.message }));
+    }
+    
+    const lines = [];
+    let succeeded = 0;
+    for (const { status, jid } of results) {
+        if (String(status) === '200') {
+            succeeded++;
+            lines.push(`✅ ${mention(jid)}`);
+            continue;
+        }
+        
+        const error = PARTICIPANT_ERRORS.includes(String(status)) ? status : 'unknown';
+        lines.push(`❌ ${mention(jid)} - ${t(language, `group.participants.errors.${error}`, { status })}`);
+        // Privacy settings only allow joining by invite
+        if (command === 'add' && String(status) === '403') {
+            const code = await ndii.groupInviteCode(groupId);
+            await sendMessage(jid, t(userLanguage(jid), 'group.invited', { link: `https://chat.whatsapp.com/${code}` }));
+        }
+    }
+    
+    logger.info(`👥 /${command} in ${groupId}: ${succeeded}/${results.length} succeeded`);
+    await sendMessage(groupId,
+        t(language, 'group.participants.result', {
+            command,
+            succeeded,
+            failed: results.length - succeeded,
+            lines: lines.join('\n')
+        }),
+        { mentions: results.map(result => result.jid) });
+}
+
+async function cmdGroupInfo(groupId, metadata, language) {
+    const admins = metadata.participants.filter(p => p.admin);
+    const access = (adminsOnly) => t(language, adminsOnly ? 'group.adminsOnly' : 'group.allMembers');
+    
+    await sendMessage(groupId, t(language, 'group.info', {
+        subject: metadata.subject,
+        id: groupId,
+        owner: metadata.owner ? mention(metadata.owner) : '-',
+        created: metadata.creation ? moment(metadata.creation * 1000).format('DD/MM/YYYY') : '-',
+        members: metadata.participants.length,
+        admins: admins.map(p => mention(p.id)).join(', '),
+        send: access(metadata.announce),
+        edit: access(metadata.restrict),
+        description: metadata.desc || t(language, 'group.noDescription')
+    }), {
+        mentions: [metadata.owner, ...admins.map(p => p.id)].filter(Boolean)
+    });
+}
+
+// Mentions every participant; `hidden` leaves the list of names out
+async function cmdTagAll(groupId, metadata, input, hidden, language) {
+    const members = metadata.participants.map(p => p.id);
+    const text = hidden ?
+        (input || '📢') :
+        `📢 ${input || t(language, 'group.tagAll')}\n\n${members.map(jid => `• ${mention(jid)}`).join('\n')}`;
+    
+    await sendMessage(groupId, text, { mentions: members });
+}
+
+async function cmdGroupSet(groupId, key, value, language) {
+    const settings = getGroupSettings(groupId);
+    const show = (v) => v === null ? '(default)' : Array.isArray(v) ? (v.join(', ') || '-') : typeof v === 'boolean' ? (v ? 'on' : 'off') : v;
+    
+    if (!key) {
+        const lines = Object.keys(GROUP_SETTINGS_SCHEMA).map(k =>
+            k.endsWith('Message') ? `• ${k}:\n${show(settings[k])}` : `• ${k}: ${show(settings[k])}`
+        );
+        return sendMessage(groupId, t(language, 'group.settings', {
+            settings: lines.join('\n'),
+            categories: GROUP_SETTINGS_SCHEMA.commands.options.join(', ')
+        }));
+    }
+    
+    // Keys are case-insensitive in chat, like /set
+    const name = Object.keys(GROUP_SETTINGS_SCHEMA).find(k => k.toLowerCase() === key.toLowerCase());
+    if (!name) {
+        return sendMessage(groupId, t(language, 'group.unknownSetting', { key, keys: Object.keys(GROUP_SETTINGS_SCHEMA).join(', ') }));
+    }
+    if (!value) {
+        return sendMessage(groupId, t(language, 'group.setUsage'));
+    }
+    
+    const result = updateGroupSettings(groupId, { [name]: value }, { language });
+    if (!result.success) {
+        return sendMessage(groupId, t(language, 'settings.invalid', { key: name, error: result.errors[name] }));
+    }
+    await sendMessage(groupId, `✅ ${name}: ${show(result.settings[name])}`);
+}
+
+function quotedText(msg) {
+    const quoted = msg.message?.extendedTextMessage?.contextInfo?.quotedMessage;
+    return quoted?.conversation || quoted?.extendedTextMessage?.text || '';
 }
 
 // =====================================================
-// COMMAND IMPLEMENTATIONS
+// GROUP MODERATION
 // =====================================================
 
-async function sendMenu(to) {
-    const menu = `🤖 *NdiiClouD Bot Menu*
-
-*📱 User Commands:*
-• /menu - Tampilkan menu ini
-• /ping - Cek latency
-• /info - Info bot
-• /waktu - Waktu sekarang
-• /owner - Info pembuat
-
-*👑 Admin Commands:*
-• /broadcast [pesan] - Kirim ke semua
-• /stats - Statistik bot
-• /otp [nomor] [kode] - Kirim OTP
-• /notify [nomor] [pesan] - Notifikasi
-• /getgroups - Daftar grup
-• /joingroup [link] - Join grup
-• /leave [id] - Keluar grup
-• /block [nomor] - Blokir user
-• /unblock [nomor] - Buka blokir
-• /clearchat [nomor] - Hapus chat
-• /archive [nomor] - Arsipkan
-• /unarchive [nomor] - Buka arsip
-• /mute [nomor] [hari] - Bisukan
-• /unmute [nomor] - Buka bisu
-• /pin [nomor] - Sematkan
-• /unpin [nomor] - Lepas semat
-• /getstatus [nomor] - Lihat status
-• /sendstatus [teks] - Kirim status
-• /setname [nama] - Ubah nama bot
-• /setstatus [teks] - Ubah status bot
-• /restart - Restart bot
-• /shutdown - Matikan bot
-
-🌩️ *NdiiClouD v3.0*`;
-    
-    await sendMessage(to, menu);
-}
-
-async function sendBotInfo(to) {
-    const stats = DB.get(FILES.STATS);
-    const users = DB.get(FILES.USERS);
-    
-    const info = `🤖 *NdiiClouD Bot Info*
-
-📦 Version: 3.0.0 Pro
-📚 Library: Wileys
-⏱️ Uptime: ${formatUptime(process.uptime())}
-👥 Total Users: ${Object.keys(users).length}
-📨 Messages Handled: ${stats.messagesHandled || 0}
-🔁 Reconnections: ${stats.connectionCount || 0}
-🕐 Last Connected: ${stats.lastConnected ? moment(stats.lastConnected).fromNow() : 'Never'}
+// Rules are configured per group with /groupset (see GROUP_SETTINGS_SCHEMA)
+// once `moderation` is on: WhatsApp invite links, any links, bannedWords,
+// mentions of massMentionLimit or more people, and messages forwarded
+// forwardedLimit or more times. Each rule has an action from
+// MODERATION_ACTIONS; every action but 'off' deletes the message when the
+// bot is a group admin. 'warn' and 'mute' add a strike (FILES.WARNINGS, per
+// member) and reaching maxWarnings kicks the member. Mutes are enforced by
+// deleting the member's messages for muteMinutes. Group admins and bot
+// admins are never moderated. Actions are kept in FILES.MODLOG for /modlog.
+const MODLOG_MAX_PER_GROUP = 200;
+const GROUP_METADATA_TTL = 5 * 60 * 1000;
+const INVITE_LINK_PATTERN = /chat\.whatsapp\.com\/(invite\/)?[a-z0-9]{10,}/i;
+const LINK_PATTERN = /(https?:\/\/|www\.)\S+|\b[a-z0-9-]+\.(com|net|org|id|io|co|me|ly|xyz|info|biz|site|link)\b/i;
 
-🌩️ *Powered by NdiiClouD*`;
-    
-    await sendMessage(to, info);
+// "/regex/flags" as is, anything else as a case-insensitive whole word
+function compilePattern(pattern) {
+    const regex = pattern.match(REGEX_ENTRY_PATTERN);
+    if (regex) return new RegExp(regex[1], regex[2].replace(/[gy]/g, ''));
+    return new RegExp(`(^|[^\\p{L}\\p{N}_])${escapeRegex(pattern)}($|[^\\p{L}\\p{N}_])`, 'iu');
 }
 
-async function cmdBroadcast(text) {
-    if (!text) return;
+class GroupModerator {
+    constructor() {
+        // Admin checks run on every violation, so metadata is cached briefly
+        this.metadataCache = new Map();
+    }
     
-    const users = DB.get(FILES.USERS);
-    const message = `📢 *PENGUMUMAN NdiiClouD*\n\n${text}\n\n🌩️ *Tim NdiiClouD*`;
+    async metadata(groupId) {
+        const cached = this.metadataCache.get(groupId);
+        if (cached && Date.now() - cached.at < GROUP_METADATA_TTL) return cached.metadata;
+        
+        const metadata = await ndii.groupMetadata(groupId);
+        this.metadataCache.set(groupId, { metadata, at: Date.now() });
+        return metadata;
+    }
+    
+    // Called on participant changes so admin and member lists stay fresh
+    invalidate(groupId) {
+        this.metadataCache.delete(groupId);
+    }
     
-    let success = 0;
-    let failed = 0;
+    key(groupId, member) {
+        return `${groupId}|${jidNormalizedUser(member)}`;
+    }
     
-    for (const [number, user] of Object.entries(users)) {
-        try {
-            await sendMessage(`${number}@s.whatsapp.net`, message);
-            success++;
-            await delay(1000);
-        } catch {
-            failed++;
+    strikes(groupId, member) {
+        return DB.get(FILES.WARNINGS)[this.key(groupId, member)] ||
+            { groupId, member: jidNormalizedUser(member), count: 0, mutedUntil: 0, reasons: [] };
+    }
+    
+    // First rule the message breaks, most severe action first
+    inspect(config, msg, content) {
+        const text = content.text || '';
+        const context = msg.message?.[getContentType(msg.message)]?.contextInfo || {};
+        const mentions = context.mentionedJid?.length || 0;
+        
+        const words = config.bannedWords.map(compilePattern);
+        const reason = (rule, params) => t(config.language, `moderation.reasons.${rule}`, params);
+        const checks = [
+            { rule: 'inviteLink', action: config.inviteLinkAction, reason: reason('inviteLink'), hit: () => INVITE_LINK_PATTERN.test(text) },
+            { rule: 'link', action: config.linkAction, reason: reason('link'), hit: () => LINK_PATTERN.test(text) },
+            { rule: 'bannedWords', action: config.bannedWordsAction, reason: reason('bannedWords'), hit: () => words.some(word => word.test(text)) },
+            { rule: 'massMention', action: config.massMentionAction, reason: reason('massMention', { count: mentions }), hit: () => mentions >= config.massMentionLimit },
+            { rule: 'forwarded', action: config.forwardedAction, reason: reason('forwarded'), hit: () => (context.forwardingScore || 0) >= config.forwardedLimit }
+        ];
+        
+        return checks
+            .filter(check => check.action !== 'off' && check.hit())
+            .sort((a, b) => MODERATION_ACTIONS.indexOf(b.action) - MODERATION_ACTIONS.indexOf(a.action))[0] || null;
+    }
+    
+    /**
+     * Moderates a group message from `member`. Returns true when it was
+     * acted on, in which case nothing else should handle it.
+     */
+    async review(groupId, member, msg, content) {
+        const config = getGroupSettings(groupId);
+        if (!config.moderation) return false;
+        
+        const violation = this.strikes(groupId, member).mutedUntil > Date.now() ?
+            { rule: 'muted', action: 'delete', reason: t(config.language, 'moderation.reasons.muted') } :
+            this.inspect(config, msg, content);
+        if (!violation) return false;
+        
+        const metadata = await this.metadata(groupId);
+        if (isGroupAdmin(metadata, member) || getAdmin(member)) return false;
+        
+        if (isGroupAdmin(metadata, ndii.user.id)) {
+            await ndii.sendMessage(groupId, { delete: msg.key })
+                .catch(err => logger.warn(`🛡️ Could not delete message in ${groupId}: ${err.message}`));
+        }
+        
+        switch (violation.action) {
+            case 'warn':
+            case 'mute':
+                await this.strike(groupId, member, violation.reason, { by: 'bot', rule: violation.rule, mute: violation.action === 'mute' });
+                break;
+            case 'kick':
+                await this.kick(groupId, member, violation.reason, { by: 'bot', rule: violation.rule });
+                break;
+            default:
+                this.log(groupId, member, { action: 'delete', rule: violation.rule, reason: violation.reason, by: 'bot' });
         }
+        return true;
     }
     
-    logger.info(`Broadcast: ${success} success, ${failed} failed`);
-}
-
-async function cmdStats(to) {
-    const users = DB.get(FILES.USERS);
-    const stats = DB.get(FILES.STATS);
-    const queue = messageQueue.queue.length;
+    // Adds a strike (and a mute), kicking the member once maxWarnings is reached
+    async strike(groupId, member, reason, { by, rule = 'manual', mute = false }) {
+        const config = getGroupSettings(groupId);
+        const record = this.strikes(groupId, member);
+        
+        record.count++;
+        record.reasons = [...record.reasons, reason].slice(-config.maxWarnings);
+        record.updatedAt = Date.now();
+        if (mute) record.mutedUntil = Date.now() + config.muteMinutes * 60000;
+        
+        if (record.count >= config.maxWarnings) {
+            return this.kick(groupId, member, t(config.language, 'moderation.reasons.maxWarnings', { count: record.count, max: config.maxWarnings, reason }), { by, rule });
+        }
+        
+        DB.update(FILES.WARNINGS, this.key(groupId, member), record);
+        this.log(groupId, member, { action: mute ? 'mute' : 'warn', rule, reason, by });
+        
+        await sendMessage(groupId,
+            t(config.language, 'moderation.warning', { member: mention(member), count: record.count, max: config.maxWarnings, reason }) +
+            (mute ? t(config.language, 'moderation.muted', { minutes: config.muteMinutes }) : ''),
+            { mentions: [member] });
+        return { kicked: false, record };
+    }
+    
+    async kick(groupId, member, reason, { by, rule = 'manual' }) {
+        const { language } = getGroupSettings(groupId);
+        const metadata = await this.metadata(groupId);
+        if (!isGroupAdmin(metadata, ndii.user.id)) {
+            this.log(groupId, member, { action: 'kick_failed', rule, reason, by });
+            await sendMessage(groupId, t(language, 'moderation.kickFailed', { member: mention(member), reason }), { mentions: [member] });
+            return { kicked: false };
+        }
+        
+        await ndii.groupParticipantsUpdate(groupId, [member], 'remove');
+        DB.delete(FILES.WARNINGS, this.key(groupId, member));
+        this.invalidate(groupId);
+        this.log(groupId, member, { action: 'kick', rule, reason, by });
+        
+        await sendMessage(groupId, t(language, 'moderation.kicked', { member: mention(member), reason }), { mentions: [member] });
+        return { kicked: true };
+    }
+    
+    reset(groupId, member, by) {
+        const key = this.key(groupId, member);
+        if (!DB.get(FILES.WARNINGS)[key]) return false;
+        
+        DB.delete(FILES.WARNINGS, key);
+        this.log(groupId, member, { action: 'reset', rule: 'manual', reason: t(getGroupSettings(groupId).language, 'moderation.reasons.reset'), by });
+        return true;
+    }
+    
+    // Members of `groupId` with strikes, most first
+    list(groupId) {
+        return Object.values(DB.get(FILES.WARNINGS))
+            .filter(record => record.groupId === groupId)
+            .sort((a, b) => b.count - a.count);
+    }
+    
+    log(groupId, member, { action, rule, reason, by }) {
+        const entry = {
+            id: uuidv4(),
+            groupId,
+            member: jidNormalizedUser(member),
+            action,
+            rule,
+            reason,
+            by,
+            at: Date.now()
+        };
+        DB.update(FILES.MODLOG, entry.id, entry);
+        logger.info(`🛡️ ${action} ${entry.member} in ${groupId}: ${reason}`);
+        
+        // Only the newest entries of each group are kept
+        const stale = this.logs(groupId, Infinity).slice(MODLOG_MAX_PER_GROUP);
+        stale.forEach(old => DB.delete(FILES.MODLOG, old.id));
+    }
     
-    const statsMsg = `📊 *NdiiClouD Statistics*
+    // Newest first
+    logs(groupId, limit = 20) {
+        return Object.values(DB.get(FILES.MODLOG))
+            .filter(entry => entry.groupId === groupId)
+            .sort((a, b) => b.at - a.at)
+            .slice(0, limit);
+    }
+}
 
-👥 Total Users: ${Object.keys(users).length}
-📨 Messages: ${stats.messagesHandled || 0}
-📤 Sent: ${stats.messagesSent || 0}
-📥 Received: ${stats.messagesReceived || 0}
-⏳ Queue: ${queue} messages
-🔁 Connections: ${stats.connectionCount || 0}
-⚡ Uptime: ${formatUptime(process.uptime())}
+const moderator = new GroupModerator();
 
-🌩️ *Real-time Stats*`;
+async function cmdWarn(groupId, author, args, msg, language) {
+    const [member] = commandTargets(msg, args).filter(jid => jid !== jidNormalizedUser(ndii.user.id));
+    if (!member) {
+        return sendMessage(groupId, t(language, 'moderation.warnUsage'));
+    }
     
-    await sendMessage(to, statsMsg);
+    const reason = args.filter(arg => !/^@?\+?\d{8,}$/.test(arg)).join(' ') || t(language, 'moderation.reasons.manual');
+    await moderator.strike(groupId, member, reason, { by: author.split('@')[0] });
 }
 
-async function cmdSendOTP(phone, code) {
-    const formatted = phone.replace(/[^0-9]/g, '');
-    const message = `🔐 *KODE OTP NdiiClouD*\n\nKode: *${code}*\n\n⏰ Berlaku 5 menit\n🔒 Jangan bagikan!\n\n🌩️ NdiiClouD Security`;
+async function cmdWarnings(groupId, args, msg, language) {
+    const [member] = commandTargets(msg, args);
+    const config = getGroupSettings(groupId);
+    const records = member ? [moderator.strikes(groupId, member)].filter(r => r.count > 0) : moderator.list(groupId);
     
-    await sendMessage(`${formatted}@s.whatsapp.net`, message);
+    if (records.length === 0) {
+        return sendMessage(groupId, t(language, 'moderation.noWarnings'));
+    }
     
-    // Save to DB
-    DB.update(FILES.OTP, formatted, {
-        code,
-        expires: Date.now() + (5 * 60 * 1000),
-        attempts: 0
-    });
+    let text = `${t(language, 'moderation.warningsTitle', { count: records.length })}\n\n`;
+    for (const record of records) {
+        text += `• ${mention(record.member)}: ${record.count}/${config.maxWarnings}`;
+        if (record.mutedUntil > Date.now()) {
+            text += t(language, 'moderation.mutedUntil', { time: moment(record.mutedUntil).tz(config.timezone).format('HH:mm') });
+        }
+        text += `\n  ${record.reasons.join('; ')}\n`;
+    }
+    
+    await sendMessage(groupId, text, { mentions: records.map(record => record.member) });
 }
 
-async function cmdNotify(phone, message) {
-    const formatted = phone.replace(/[^0-9]/g, '');
-    await sendMessage(`${formatted}@s.whatsapp.net`, 
-        `🔔 *Notifikasi NdiiClouD*\n\n${message}\n\n🌩️ NdiiClouD`);
+async function cmdResetWarn(groupId, author, args, msg, language) {
+    const [member] = commandTargets(msg, args);
+    if (!member) {
+        return sendMessage(groupId, t(language, 'moderation.resetUsage'));
+    }
+    
+    const reset = moderator.reset(groupId, member, author.split('@')[0]);
+    await sendMessage(groupId, t(language, reset ? 'moderation.reset' : 'moderation.nothingToReset', { member: mention(member) }),
+        { mentions: [member] });
 }
 
-async function cmdGetGroups(to) {
-    const groups = await ndii.groupFetchAllParticipating();
-    let text = `👥 *Daftar Grup (${Object.keys(groups).length})*\n\n`;
+async function cmdModLog(groupId, count, language) {
+    const config = getGroupSettings(groupId);
+    const entries = moderator.logs(groupId, Math.min(Math.max(parseInt(count) || 10, 1), 50));
     
-    for (const [id, group] of Object.entries(groups)) {
-        text += `📌 *${group.subject}*\n`;
-        text += `ID: ${id}\n`;
-        text += `Members: ${group.participants.length}\n`;
-        text += `Created: ${moment(group.creation * 1000).format('DD/MM/YYYY')}\n\n`;
+    if (entries.length === 0) {
+        return sendMessage(groupId, t(language, 'moderation.logEmpty'));
     }
     
-    await sendMessage(to, text);
-}
-
-async function cmdJoinGroup(link) {
-    const code = link.split('https://chat.whatsapp.com/')[1];
-    if (code) {
-        const response = await ndii.groupAcceptInvite(code);
-        logger.info('Joined group:', response);
+    let text = `${t(language, 'moderation.logTitle', { count: entries.length })}\n\n`;
+    for (const entry of entries) {
+        text += `${moment(entry.at).tz(config.timezone).format('DD/MM HH:mm')} *${entry.action}* ${mention(entry.member)}\n`;
+        text += `${t(language, 'moderation.logEntry', entry)}\n`;
     }
+    
+    await sendMessage(groupId, text, { mentions: [...new Set(entries.map(entry => entry.member))] });
 }
 
-async function cmdLeaveGroup(groupId) {
-    await ndii.groupLeave(groupId);
-    logger.info('Left group:', groupId);
+// =====================================================
+// RECEIPT HANDLERS
+// =====================================================
+
+// Status changes of our own messages (server ack, delivered, read, error)
+async function handleMessageUpdates(updates) {
+    for (const { key, update } of updates) {
+        if (!key.fromMe || update.status === undefined || update.status === null) continue;
+        
+        const record = deliveries.update(key.id, update.status);
+        if (record?.meta.campaignId) campaigns.recordDelivery(record);
+    }
 }
 
-async function cmdGetStatus(to, number) {
-    if (!number) {
-        // Get all status
-        const status = await ndii.fetchStatusUpdates();
-        let text = `📱 *Status Updates*\n\n`;
-        for (const [jid, updates] of Object.entries(status)) {
-            text += `${jid}: ${updates.length} updates\n`;
-        }
-        return sendMessage(to, text);
+// Per-recipient receipts; in groups one arrives from every member
+async function handleMessageReceipts(receipts) {
+    for (const { key, receipt } of receipts) {
+        const participant = receipt.userJid || key.participant || key.remoteJid;
+        const record = receipt.readTimestamp || receipt.playedTimestamp ?
+            deliveries.receipt(key.id, participant, 'read', toMillis(receipt.readTimestamp || receipt.playedTimestamp)) :
+            receipt.receiptTimestamp ?
+                deliveries.receipt(key.id, participant, 'delivered', toMillis(receipt.receiptTimestamp)) :
+                null;
+        if (record?.meta.campaignId) campaigns.recordDelivery(record);
     }
-    
-    const jid = `${number.replace(/[^0-9]/g, '')}@s.whatsapp.net`;
-    const status = await ndii.fetchStatusUpdates(jid);
-    await sendMessage(to, `📱 Status for ${number}:\n${JSON.stringify(status, null, 2)}`);
 }
 
-async function cmdSendStatus(to, text) {
-    await ndii.sendMessage('status@broadcast', { text });
-    await sendMessage(to, '✅ Status sent!');
+// =====================================================
+// PRESENCE & CALL HANDLERS
+// =====================================================
+
+async function handlePresenceUpdate(update) {
+    const { id, presences } = update;
+    logger.debug(`Presence update: ${id}`, presences);
 }
 
-async function cmdSetProfilePicture(msg) {
-    const quoted = msg.message.extendedTextMessage?.contextInfo?.quotedMessage;
-    if (quoted?.imageMessage) {
-        const stream = await downloadContentFromMessage(quoted.imageMessage, 'image');
-        let buffer = Buffer.from([]);
-        for await (const chunk of stream) {
-            buffer = Buffer.concat([buffer, chunk]);
+// Baileys emits every call event of a batch together
+async function handleCall(calls) {
+    for (const call of calls) {
+        logger.info(`📞 Call from ${call.from}`, call);
+        
+        // Reject call with message
+        if (call.status !== 'offer') continue;
+        
+        try {
+            await ndii.sendMessage(call.from, { text: t(userLanguage(call.from), 'call.rejected') });
+            
+            // Reject the call
+            await ndii.rejectCall(call.id, call.from);
+            
+            webhooks.emit('call.rejected', {
+                callId: call.id,
+                from: call.from,
+                isVideo: !!call.isVideo,
+                isGroup: !!call.isGroup,
+                at: Date.now()
+            });
+        } catch (err) {
+            logger.error(`Failed to reject call from ${call.from}:`, err);
         }
-        await ndii.updateProfilePicture(msg.key.remoteJid, buffer);
     }
 }
 
-async function cmdSaveContact(msg) {
-    const vcard = msg.message.extendedTextMessage?.contextInfo?.quotedMessage?.contactMessage;
-    if (vcard) {
-        // Save contact logic
-        logger.info('Saving contact:', vcard);
-    }
+async function handleStatusUpdate(status) {
+    logger.info('Status update:', status);
 }
 
-async function cmdGetContact(to, number) {
-    const jid = `${number.replace(/[^0-9]/g, '')}@s.whatsapp.net`;
-    const info = await ndii.onWhatsApp(jid);
-    await sendMessage(to, `📱 Info:\n${JSON.stringify(info, null, 2)}`);
+// =====================================================
+// SCHEDULED TASKS
+// =====================================================
+
+// Cron tasks by name, so reconnects and settings changes can replace them
+const scheduledTasks = {};
+
+function schedule(name, expression, task) {
+    if (scheduledTasks[name]) scheduledTasks[name].stop();
+    scheduledTasks[name] = cron.schedule(expression, task);
 }
 
-async function cmdSetBotPP(msg) {
-    const quoted = msg.message.extendedTextMessage?.contextInfo?.quotedMessage;
-    if (quoted?.imageMessage) {
-        const stream = await downloadContentFromMessage(quoted.imageMessage, 'image');
-        let buffer = Buffer.from([]);
-        for await (const chunk of stream) {
-            buffer = Buffer.concat([buffer, chunk]);
+// Reminder for inactive users, every `reminderInterval` days
+function scheduleReminder() {
+    const { reminderInterval } = getSettings();
+    
+    schedule('reminder', `0 10 */${reminderInterval} * *`, async () => {
+        const users = DB.get(FILES.USERS);
+        const now = Date.now();
+        const inactiveAfter = getSettings().reminderInterval * 24 * 60 * 60 * 1000;
+        
+        for (const [number, user] of Object.entries(users)) {
+            if (now - user.lastActive > inactiveAfter) {
+                const reminder = renderMessageTemplate('reminder', number);
+                
+                await sendMessage(number, reminder, { priority: 'low' });
+                await delay(2000);
+            }
         }
-        await ndii.updateProfilePicture(ndii.user.id, buffer);
-        await sendMessage(msg.key.remoteJid, '✅ Profile picture updated!');
-    }
+    });
+}
+
+function startScheduledTasks() {
+    // Daily stats report to admin
+    schedule('dailyReport', '0 9 * * *', async () => {
+        const settings = getSettings();
+        if (!settings.adminNumber) return;
+        
+        const users = DB.get(FILES.USERS);
+        const stats = DB.get(FILES.STATS);
+        
+        const report = t(userLanguage(settings.adminNumber), 'dailyReport', {
+            date: moment().format('dddd, DD MMMM YYYY'),
+            users: Object.keys(users).length,
+            received: stats.messagesReceived || 0,
+            sent: stats.messagesSent || 0,
+            uptime: formatUptime(process.uptime())
+        });
+        
+        await sendMessage(settings.adminNumber, report);
+    });
+    
+    scheduleReminder();
+    
+    // Clean old messages (weekly)
+    schedule('cleanup', '0 0 * * 0', async () => {
+        const oneWeekAgo = Date.now() - (7 * 24 * 60 * 60 * 1000);
+        const removed = await DB.pruneMessages(oneWeekAgo);
+        logger.info(`🧹 Cleaned ${removed} old messages`);
+        
+        const pruned = deliveries.prune(Date.now() - DELIVERY_RETENTION);
+        logger.info(`🧹 Cleaned ${pruned} old delivery records`);
+        
+        const hooks = webhooks.prune(oneWeekAgo);
+        logger.info(`🧹 Cleaned ${hooks} old webhook deliveries`);
+    });
+    
+    // Health check every 5 minutes
+    schedule('healthCheck', '*/5 * * * *', () => {
+        logger.info(`💓 Health check | Uptime: ${formatUptime(process.uptime())} | Queue: ${messageQueue.queue.length}`);
+    });
+    
+    logger.info('⏰ Scheduled tasks started');
 }
 
 // =====================================================
-// HELPER FUNCTIONS
+// SCHEDULED MESSAGES
 // =====================================================
 
-async function sendMessage(to, text, options = {}) {
-    if (!isBotReady) {
-        // Queue message if bot not ready
-        messageQueue.add({
-            to,
-            type: 'text',
-            content: text,
-            ...options
-        });
-        return false;
+// One-off ('once', at a timestamp) or recurring ('cron') messages set up
+// with /schedule or /api/admin/schedules. Stored per id in FILES.SCHEDULES
+// and handed to messageQueue when due.
+const SCHEDULE_TYPES = ['text', 'image', 'video', 'audio', 'document'];
+// setTimeout overflows past ~24.8 days; longer waits are re-armed
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
+
+/**
+ * Checks and normalizes a schedule from the API or /schedule. Returns
+ * { schedule, errors } with errors keyed by field, like validateSettings.
+ */
+function validateSchedule(input = {}) {
+    const errors = {};
+    const schedule = {
+        to: String(input.to || '').trim(),
+        type: input.type || 'text',
+        text: String(input.text || '').trim(),
+        mediaPath: input.mediaPath || null,
+        mediaUrl: input.mediaUrl ? String(input.mediaUrl).trim() : null,
+        mimetype: input.mimetype || null,
+        fileName: input.fileName || null,
+        mode: input.cron ? 'cron' : 'once',
+        at: null,
+        cron: input.cron ? String(input.cron).trim() : null,
+        timezone: input.timezone || DEFAULT_TIMEZONE,
+        enabled: input.enabled !== false
+    };
+    
+    // Bare numbers are personal chats, anything with @ is used as-is
+    if (schedule.to && !schedule.to.includes('@')) {
+        schedule.to = schedule.to.replace(/[^0-9]/g, '');
     }
+    if (!schedule.to) errors.to = 'is required';
     
-    try {
-        const jid = to.includes('@') ? to : `${to}@s.whatsapp.net`;
-        const result = await ndii.sendMessage(jid, { text, ...options });
+    if (!SCHEDULE_TYPES.includes(schedule.type)) {
+        errors.type = `must be one of ${SCHEDULE_TYPES.join(', ')}`;
+    } else if (schedule.type === 'text' && !schedule.text) {
+        errors.text = 'is required for text messages';
+    } else if (schedule.type !== 'text' && !schedule.mediaPath && !schedule.mediaUrl) {
+        errors.mediaUrl = 'is required for media messages';
+    }
+    
+    if (!moment.tz.zone(schedule.timezone)) errors.timezone = 'is not a known timezone';
+    
+    if (schedule.mode === 'cron') {
+        if (!cron.validate(schedule.cron)) errors.cron = 'is not a valid cron expression';
+    } else {
+        // Timestamps, or "YYYY-MM-DD HH:mm" read in the schedule's timezone
+        const at = typeof input.at === 'number' || /^\d+$/.test(String(input.at)) ?
+            moment(Number(input.at)) :
+            moment.tz(String(input.at || ''), ['YYYY-MM-DD HH:mm', moment.ISO_8601], true, errors.timezone ? DEFAULT_TIMEZONE : schedule.timezone);
         
-        // Update stats
-        const stats = DB.get(FILES.STATS);
-        stats.messagesSent = (stats.messagesSent || 0) + 1;
-        DB.set(FILES.STATS, stats);
+        if (!input.at || !at.isValid()) errors.at = 'must be a date like 2024-01-31 08:00';
+        else if (at.valueOf() <= Date.now()) errors.at = 'must be in the future';
+        else schedule.at = at.valueOf();
+    }
+    
+    return { schedule, errors };
+}
+
+class MessageScheduler {
+    constructor() {
+        this.jobs = new Map();
+    }
+    
+    // Arms every active schedule; one-offs missed while offline go out now
+    start() {
+        for (const item of this.list()) {
+            this.arm(item);
+        }
+        logger.info(`📅 ${this.jobs.size} scheduled messages loaded`);
+    }
+    
+    list() {
+        return Object.values(DB.get(FILES.SCHEDULES))
+            .filter(item => item.status === 'active')
+            .sort((a, b) => (a.at || Infinity) - (b.at || Infinity));
+    }
+    
+    get(id) {
+        return DB.get(FILES.SCHEDULES)[id] || null;
+    }
+    
+    // Accepts a full id or the 8-character prefix shown by /schedules
+    find(id) {
+        return this.list().find(item => item.id === id || item.id.startsWith(id)) || null;
+    }
+    
+    create(input, createdBy = null) {
+        const { schedule, errors } = validateSchedule(input);
+        if (Object.keys(errors).length > 0) return { success: false, errors };
         
-        return result;
-    } catch (err) {
-        logger.error('Send message error:', err);
-        // Queue for retry
-        messageQueue.add({
-            to,
-            type: 'text',
-            content: text,
-            ...options
+        const item = {
+            id: uuidv4(),
+            ...schedule,
+            status: 'active',
+            createdBy,
+            createdAt: Date.now(),
+            lastRunAt: null,
+            runCount: 0
+        };
+        DB.update(FILES.SCHEDULES, item.id, item);
+        this.arm(item);
+        logger.info(`📅 Scheduled ${item.mode} message ${item.id} to ${item.to}`);
+        return { success: true, schedule: item };
+    }
+    
+    update(id, input) {
+        const current = this.get(id);
+        if (!current || current.status !== 'active') return { success: false, notFound: true };
+        
+        // Only fields that were given replace the current ones
+        const changes = Object.fromEntries(Object.entries(input).filter(([, value]) => value !== undefined));
+        const merged = { ...current, ...changes };
+        // A new `at` turns a recurring schedule into a one-off
+        if (input.at !== undefined && !input.cron) merged.cron = null;
+        
+        const { schedule, errors } = validateSchedule(merged);
+        if (Object.keys(errors).length > 0) return { success: false, errors };
+        
+        const item = { ...current, ...schedule };
+        
+        DB.update(FILES.SCHEDULES, id, item);
+        this.arm(item);
+        return { success: true, schedule: item };
+    }
+    
+    cancel(id) {
+        const item = this.get(id);
+        if (!item || item.status !== 'active') return false;
+        
+        this.disarm(id);
+        DB.update(FILES.SCHEDULES, id, { ...item, status: 'cancelled', enabled: false });
+        if (item.mediaPath) fs.remove(item.mediaPath).catch(() => {});
+        return true;
+    }
+    
+    arm(item) {
+        this.disarm(item.id);
+        if (!item.enabled) return;
+        
+        if (item.mode === 'cron') {
+            const task = cron.schedule(item.cron, () => this.run(item.id), { timezone: item.timezone });
+            this.jobs.set(item.id, { stop: () => task.stop() });
+            return;
+        }
+        
+        const wait = Math.max(0, item.at - Date.now());
+        const timer = setTimeout(
+            () => wait > MAX_TIMER_DELAY ? this.arm(this.get(item.id)) : this.run(item.id),
+            Math.min(wait, MAX_TIMER_DELAY)
+        );
+        this.jobs.set(item.id, { stop: () => clearTimeout(timer) });
+    }
+    
+    disarm(id) {
+        const job = this.jobs.get(id);
+        if (job) job.stop();
+        this.jobs.delete(id);
+    }
+    
+    run(id) {
+        const item = this.get(id);
+        if (!item || item.status !== 'active' || !item.enabled) return;
+        
+        if (item.mode === 'once' && Date.now() - item.at > 60000) {
+            logger.warn(`📅 Scheduled message ${id} is late by ${formatUptime((Date.now() - item.at) / 1000)}`);
+        }
+        
+        const done = item.mode === 'once';
+        messageQueue.add(item.type === 'text' ?
+            { to: item.to, type: 'text', content: item.text } :
+            {
+                to: item.to,
+                type: item.type,
+                mediaPath: item.mediaPath,
+                mediaUrl: item.mediaUrl,
+                mimetype: item.mimetype,
+                fileName: item.fileName,
+                caption: item.text,
+                // The queue deletes the file of a one-off once it is sent or dropped
+                tempFile: done && !!item.mediaPath
+            }
+        );
+        
+        DB.update(FILES.SCHEDULES, id, {
+            ...item,
+            lastRunAt: Date.now(),
+            runCount: (item.runCount || 0) + 1,
+            status: done ? 'done' : 'active'
         });
-        return false;
+        
+        if (done) this.disarm(id);
+        logger.info(`📅 Scheduled message ${id} queued for ${item.to}`);
     }
 }
 
-function saveMessage(sender, msg) {
-    const messages = DB.get(FILES.MESSAGES);
-    const chatId = sender;
+const scheduler = new MessageScheduler();
+
+// =====================================================
+// BROADCAST CAMPAIGNS
+// =====================================================
+
+// A broadcast is a campaign stored per id in FILES.CAMPAIGNS with the status
+// of every recipient, so a restart resumes where it stopped. Messages go
+// through the low lane of the message queue at the campaign's rate, so bot
+// replies and OTPs are not held up; recipients stay 'queued' until the queue
+// reports them sent or failed. Older versions sent directly and marked
+// recipients 'sending'; any left in that state become 'unconfirmed' and are
+// not sent again. A campaign can carry one file (`media`, from
+// sendMediaUpload) with the text as its caption; the file is deleted when the
+// campaign ends. The text is rendered for each recipient (so it can say
+// {name}) and put in the `template` as {message}, the `broadcast` one unless
+// the campaign names another.
+const DEFAULT_CAMPAIGN_RATE = 60; // messages per minute
+const MAX_CAMPAIGN_RATE = 120;
+
+// WhatsApp users (keys of FILES.USERS that are phone numbers) matching `filter`:
+//   activeWithinDays - last active in the past N days
+//   inactiveForDays  - not active for at least N days
+//   tags             - has at least one of these tags
+function selectRecipients(filter = {}) {
+    const users = DB.get(FILES.USERS);
+    const now = Date.now();
+    const day = 24 * 60 * 60 * 1000;
+    const tags = (filter.tags || []).map(tag => String(tag).toLowerCase());
     
-    if (!messages[chatId]) messages[chatId] = [];
+    return Object.entries(users)
+        .filter(([number]) => /^\d{8,15}$/.test(number))
+        .filter(([, user]) => {
+            const lastActive = user.lastActive || 0;
+            if (filter.activeWithinDays && now - lastActive > filter.activeWithinDays * day) return false;
+            if (filter.inactiveForDays && now - lastActive < filter.inactiveForDays * day) return false;
+            if (tags.length && !(user.tags || []).some(tag => tags.includes(tag))) return false;
+            return true;
+        })
+        .map(([number]) => number);
+}
+
+function validateCampaign(input = {}) {
+    const errors = {};
+    const filter = input.filter || {};
+    const text = String(input.text || '').trim();
+    const campaign = {
+        text,
+        // Media without text or template goes out without a caption
+        template: String(input.template || '').trim() || (text ? 'broadcast' : null),
+        media: input.media || null,
+        rate: Number(input.rate ?? DEFAULT_CAMPAIGN_RATE),
+        filter: {}
+    };
     
-    messages[chatId].push({
-        id: msg.key.id,
-        from: sender,
-        content: extractMessageContent(msg),
-        timestamp: msg.messageTimestamp,
-        type: getContentType(msg.message)
-    });
+    if (!campaign.text && !campaign.media && !input.template) errors.text = 'is required';
+    if (campaign.text && checkTemplate(campaign.text)) errors.text = checkTemplate(campaign.text);
+    if (campaign.template && getTemplateText(campaign.template) === null) errors.template = 'is not a saved template';
+    if (!Number.isInteger(campaign.rate) || campaign.rate < 1 || campaign.rate > MAX_CAMPAIGN_RATE) {
+        errors.rate = `must be a whole number between 1 and ${MAX_CAMPAIGN_RATE} per minute`;
+    }
     
-    // Keep only last 1000 messages per chat
-    if (messages[chatId].length > 1000) {
-        messages[chatId] = messages[chatId].slice(-1000);
+    for (const key of ['activeWithinDays', 'inactiveForDays']) {
+        if (filter[key] === undefined || filter[key] === null || filter[key] === '') continue;
+        const days = Number(filter[key]);
+        if (!Number.isInteger(days) || days < 1) errors[key] = 'must be a whole number of days';
+        else campaign.filter[key] = days;
     }
+    const tags = Array.isArray(filter.tags) ? filter.tags : String(filter.tags || '').split(',');
+    campaign.filter.tags = tags.map(tag => String(tag).trim().toLowerCase()).filter(Boolean);
     
-    DB.set(FILES.MESSAGES, messages);
+    return { campaign, errors };
+}
+
+// Totals shown in lists and reports; recipients are only sent by get()
+function summarizeCampaign(campaign) {
+    const { recipients, ...summary } = campaign;
+    const counts = { total: 0, pending: 0, sent: 0, failed: 0, unconfirmed: 0, delivered: 0, read: 0 };
     
-    // Update stats
-    const stats = DB.get(FILES.STATS);
-    stats.messagesHandled = (stats.messagesHandled || 0) + 1;
-    stats.messagesReceived = (stats.messagesReceived || 0) + 1;
-    DB.set(FILES.STATS, stats);
+    for (const recipient of Object.values(recipients)) {
+        counts.total++;
+        counts[['sending', 'queued'].includes(recipient.status) ? 'pending' : recipient.status]++;
+        // Part of `sent`, from the recipient's receipts
+        if (recipient.delivery === 'delivered' || recipient.delivery === 'read') counts.delivered++;
+        if (recipient.delivery === 'read') counts.read++;
+    }
+    return { ...summary, counts };
 }
 
-function updateUserActivity(phone, name) {
-    const users = DB.get(FILES.USERS);
-    const key = phone.replace(/[^0-9]/g, '');
+class CampaignManager {
+    constructor() {
+        this.processing = false;
+    }
     
-    if (!users[key]) {
-        users[key] = {
+    // Recipients left in 'sending' by a crash of an older version may have
+    // received the message; 'queued' ones are still in the persisted queue
+    load() {
+        for (const campaign of Object.values(DB.get(FILES.CAMPAIGNS))) {
+            const interrupted = Object.entries(campaign.recipients).filter(([, r]) => r.status === 'sending');
+            if (interrupted.length === 0) continue;
+            
+            for (const [, recipient] of interrupted) recipient.status = 'unconfirmed';
+            DB.update(FILES.CAMPAIGNS, campaign.id, campaign);
+            logger.warn(`📢 Campaign ${campaign.id}: ${interrupted.length} unconfirmed after restart`);
+        }
+    }
+    
+    list() {
+        return Object.values(DB.get(FILES.CAMPAIGNS))
+            .sort((a, b) => b.createdAt - a.createdAt)
+            .map(summarizeCampaign);
+    }
+    
+    get(id) {
+        const campaign = DB.get(FILES.CAMPAIGNS)[id] ||
+            Object.values(DB.get(FILES.CAMPAIGNS)).find(c => c.id.startsWith(id));
+        return campaign ? { ...summarizeCampaign(campaign), recipients: campaign.recipients } : null;
+    }
+    
+    // `reportTo` gets the final report on WhatsApp (defaults to settings.adminNumber)
+    create(input, { createdBy = null, reportTo = null } = {}) {
+        const { campaign, errors } = validateCampaign(input);
+        if (Object.keys(errors).length > 0) return { success: false, errors };
+        
+        const recipients = {};
+        for (const number of selectRecipients(campaign.filter)) {
+            recipients[number] = { status: 'pending' };
+        }
+        if (Object.keys(recipients).length === 0) {
+            return { success: false, errors: { filter: 'matches no users' } };
+        }
+        
+        const created = {
             id: uuidv4(),
-            name: name || key,
-            firstSeen: Date.now()
+            ...campaign,
+            status: 'running',
+            recipients,
+            createdBy,
+            reportTo,
+            createdAt: Date.now(),
+            finishedAt: null
         };
+        
+        DB.update(FILES.CAMPAIGNS, created.id, created);
+        logger.info(`📢 Campaign ${created.id} created for ${Object.keys(recipients).length} users`);
+        this.emit(created);
+        this.process();
+        return { success: true, campaign: summarizeCampaign(created) };
     }
     
-    users[key].lastActive = Date.now();
-    users[key].messageCount = (users[key].messageCount || 0) + 1;
+    // pause | resume | cancel
+    control(id, action) {
+        const found = this.get(id);
+        if (!found) return { success: false, notFound: true };
+        
+        const campaign = DB.get(FILES.CAMPAIGNS)[found.id];
+        const transitions = {
+            pause: { from: ['running'], to: 'paused' },
+            resume: { from: ['paused'], to: 'running' },
+            cancel: { from: ['running', 'paused'], to: 'cancelled' }
+        };
+        const transition = transitions[action];
+        if (!transition) return { success: false, error: `Unknown action: ${action}` };
+        if (!transition.from.includes(campaign.status)) {
+            return { success: false, error: `Campaign is ${campaign.status}` };
+        }
+        
+        campaign.status = transition.to;
+        if (campaign.status === 'cancelled') campaign.finishedAt = Date.now();
+        DB.update(FILES.CAMPAIGNS, campaign.id, campaign);
+        
+        logger.info(`📢 Campaign ${campaign.id} ${campaign.status}`);
+        this.emit(campaign);
+        if (campaign.status === 'running') this.process();
+        if (campaign.status === 'cancelled') {
+            // Messages still waiting in the queue come back as failed
+            Object.values(campaign.recipients)
+                .filter(recipient => recipient.status === 'queued')
+                .forEach(recipient => messageQueue.drop(recipient.queueId));
+            
+            const cancelled = DB.get(FILES.CAMPAIGNS)[campaign.id];
+            this.deleteMedia(cancelled);
+            this.report(cancelled);
+            return { success: true, campaign: summarizeCampaign(cancelled) };
+        }
+        return { success: true, campaign: summarizeCampaign(campaign) };
+    }
     
-    DB.set(FILES.USERS, users);
-}
-
-function formatUptime(seconds) {
-    const days = Math.floor(seconds / 86400);
-    const hours = Math.floor((seconds % 86400) / 3600);
-    const minutes = Math.floor((seconds % 3600) / 60);
-    const secs = Math.floor(seconds % 60);
+    emit(campaign) {
+        botEvents.emit('campaign', summarizeCampaign(campaign));
+    }
     
-    if (days > 0) return `${days}d ${hours}h ${minutes}m`;
-    if (hours > 0) return `${hours}h ${minutes}m ${secs}s`;
-    return `${minutes}m ${secs}s`;
-}
-
-// =====================================================
-// GROUP HANDLERS
-// =====================================================
-
-async function handleGroupUpdate(update) {
-    const { id, participants, action } = update;
-    const groupMetadata = await ndii.groupMetadata(id);
+    // Queues one recipient at a time across running campaigns, oldest first.
+    // A campaign finishes once the queue has reported every recipient
+    async process() {
+        if (this.processing || !isBotReady) return;
+        this.processing = true;
+        
+        try {
+            while (isBotReady) {
+                const running = Object.values(DB.get(FILES.CAMPAIGNS))
+                    .filter(c => c.status === 'running')
+                    .sort((a, b) => a.createdAt - b.createdAt);
+                
+                const waiting = (c, status) => Object.keys(c.recipients).filter(n => c.recipients[n].status === status);
+                running
+                    .filter(c => waiting(c, 'pending').length === 0 && waiting(c, 'queued').length === 0)
+                    .forEach(c => this.finish(c));
+                
+                const campaign = running.find(c => waiting(c, 'pending').length > 0);
+                if (!campaign) break;
+                
+                this.enqueue(campaign, waiting(campaign, 'pending')[0]);
+                await delay(Math.ceil(60000 / campaign.rate));
+            }
+        } finally {
+            this.processing = false;
+        }
+    }
     
-    logger.info(`👥 Group ${action}: ${participants.join(', ')} in ${groupMetadata.subject}`);
+    // Campaigns created before templates carry their final `message`
+    messageFor(campaign, number) {
+        if (!campaign.template) return campaign.message || '';
+        
+        const language = userLanguage(number);
+        const message = renderTemplate(campaign.text, recipientVariables(number, language));
+        return renderMessageTemplate(campaign.template, number, { message }, language) ?? message;
+    }
     
-    // Welcome message for new members
-    if (action === 'add') {
-        for (const participant of participants) {
-            if (participant === ndii.user.id) continue;
-            
-            const welcomeMsg = `👋 Selamat datang @${participant.split('@')[0]}!\n\n` +
-                             `📌 *${groupMetadata.subject}*\n` +
-                             `👥 Member ke-${groupMetadata.participants.length}\n\n` +
-                             `Ketik /menu untuk bantuan.`;
+    // The file of a media campaign is shared by its messages and deleted by finish()
+    enqueue(campaign, number) {
+        const { media } = campaign;
+        const message = this.messageFor(campaign, number);
+        const queued = messageQueue.add({
+            to: `${number}@s.whatsapp.net`,
+            priority: 'low',
+            meta: { campaignId: campaign.id },
+            ...(media ?
+                {
+                    type: media.type,
+                    mediaPath: media.path,
+                    mimetype: media.mimetype,
+                    fileName: media.fileName,
+                    caption: message || undefined
+                } :
+                { type: 'text', content: message })
+        });
+        
+        campaign.recipients[number] = { status: 'queued', queueId: queued.id };
+        DB.update(FILES.CAMPAIGNS, campaign.id, campaign);
+        this.emit(campaign);
+    }
+    
+    // Outcome of a queued message ({ result } or { error }), see MessageQueue.settled
+    recordResult(msg, { result = null, error = null }) {
+        const campaign = DB.get(FILES.CAMPAIGNS)[msg.meta.campaignId];
+        const number = msg.to.split('@')[0];
+        if (!campaign?.recipients[number]) return;
+        
+        if (error) {
+            logger.warn(`📢 Campaign ${campaign.id}: failed to send to ${number}: ${error}`);
+            campaign.recipients[number] = { status: 'failed', at: Date.now(), error };
+        } else {
+            campaign.recipients[number] = { status: 'sent', at: Date.now(), messageId: result?.key?.id || null };
             
-            await delay(1000);
-            await sendMessage(id, welcomeMsg, { mentions: [participant] });
+            const stats = DB.get(FILES.STATS);
+            stats.messagesSent = (stats.messagesSent || 0) + 1;
+            DB.set(FILES.STATS, stats);
         }
+        
+        DB.update(FILES.CAMPAIGNS, campaign.id, campaign);
+        this.emit(campaign);
+        if (campaign.status === 'running') this.process();
     }
     
-    // Goodbye message
-    if (action === 'remove') {
-        for (const participant of participants) {
-            const goodbyeMsg = `👋 Sampai jumpa @${participant.split('@')[0]}!`;
-            await sendMessage(id, goodbyeMsg, { mentions: [participant] });
-        }
+    // Receipt for a campaign message, see DeliveryTracker
+    recordDelivery(delivery) {
+        const campaign = DB.get(FILES.CAMPAIGNS)[delivery.meta.campaignId];
+        const recipient = campaign?.recipients[delivery.chatId.split('@')[0]];
+        if (!recipient || recipient.messageId !== delivery.messageId || recipient.delivery === delivery.status) return;
+        
+        recipient.delivery = delivery.status;
+        DB.update(FILES.CAMPAIGNS, campaign.id, campaign);
+        this.emit(campaign);
+    }
+    
+    finish(campaign) {
+        campaign.status = 'completed';
+        campaign.finishedAt = Date.now();
+        DB.update(FILES.CAMPAIGNS, campaign.id, campaign);
+        
+        logger.info(`📢 Campaign ${campaign.id} completed`);
+        this.emit(campaign);
+        this.deleteMedia(campaign);
+        this.report(campaign);
     }
-}
-
-async function handleGroupMessage(sender, msg, content) {
-    // Group-specific features
-    const groupId = sender;
     
-    // Auto-delete spam in groups
-    if (content.text && content.text.length > 1000) {
-        // Potential spam
-        logger.warn(`Potential spam in group ${groupId}`);
+    deleteMedia(campaign) {
+        if (campaign.media) fs.remove(campaign.media.path).catch(() => {});
+    }
+    
+    async report(campaign) {
+        const to = campaign.reportTo || getSettings().adminNumber;
+        if (!to) return;
+        
+        const { counts } = summarizeCampaign(campaign);
+        const took = formatUptime(((campaign.finishedAt || Date.now()) - campaign.createdAt) / 1000);
+        
+        const language = chatLanguage(to);
+        const lines = [
+            t(language, 'campaign.report.body', { ...counts, id: campaign.id.slice(0, 8), status: campaign.status }),
+            counts.unconfirmed ? t(language, 'campaign.report.unconfirmed', { count: counts.unconfirmed }) : null,
+            counts.pending ? t(language, 'campaign.report.pending', { count: counts.pending }) : null,
+            t(language, 'campaign.report.took', { took })
+        ];
+        await sendMessage(to, `${t(language, 'campaign.report.title')}\n\n${lines.filter(Boolean).join('\n')}`);
     }
 }
 
+const campaigns = new CampaignManager();
+
 // =====================================================
-// PRESENCE & CALL HANDLERS
+// MEDIA UPLOADS
 // =====================================================
 
-async function handlePresenceUpdate(update) {
-    const { id, presences } = update;
-    logger.debug(`Presence update: ${id}`, presences);
-}
+// Files sent from the dashboard (POST /api/admin/send-media). The server
+// stores the upload in TEMP_DIR; it is deleted once sent, or when the
+// message is dropped. Limits follow what WhatsApp accepts per type.
+const UPLOAD_LIMITS = {
+    image: { mimetypes: ['image/jpeg', 'image/png', 'image/webp'], maxSize: 5 * 1024 * 1024 },
+    video: { mimetypes: ['video/mp4', 'video/3gpp'], maxSize: 16 * 1024 * 1024 },
+    audio: { mimetypes: ['audio/mpeg', 'audio/ogg', 'audio/mp4', 'audio/aac'], maxSize: 16 * 1024 * 1024 },
+    document: { mimetypes: null, maxSize: 100 * 1024 * 1024 }
+};
+const UPLOAD_MAX_SIZE = Math.max(...Object.values(UPLOAD_LIMITS).map(limit => limit.maxSize));
+const UPLOAD_AUDIENCES = ['number', 'group', 'broadcast'];
 
-async function handleCall(call) {
-    logger.info(`📞 Call from ${call.from}`, call);
+/**
+ * Checks an uploaded file ({ path, mimetype, originalname, size }) and its
+ * audience. `type` defaults to the one the mimetype belongs to, anything
+ * else goes out as a document. Returns { upload, errors } like validateSchedule.
+ */
+function validateMediaUpload(input = {}) {
+    const errors = {};
+    const { file } = input;
+    const upload = {
+        audience: input.audience || 'number',
+        to: String(input.to || '').trim(),
+        type: input.type ||
+            Object.keys(UPLOAD_LIMITS).find(type => UPLOAD_LIMITS[type].mimetypes?.includes(file?.mimetype)) ||
+            'document',
+        caption: String(input.caption || '').trim()
+    };
     
-    // Reject call with message
-    if (call.status === 'offer') {
-        await ndii.sendMessage(call.from, {
-            text: '⚠️ Maaf, saya tidak bisa menerima panggilan.\nSilakan kirim pesan teks saja.\n\n🌩️ NdiiClouD Bot'
-        });
-        
-        // Reject the call
-        await ndii.rejectCall(call.id, call.from);
+    const limit = UPLOAD_LIMITS[upload.type];
+    if (!file) {
+        errors.file = 'is required';
+    } else if (!limit) {
+        errors.type = `must be one of ${Object.keys(UPLOAD_LIMITS).join(', ')}`;
+    } else if (limit.mimetypes && !limit.mimetypes.includes(file.mimetype)) {
+        errors.file = `must be ${limit.mimetypes.join(', ')} to send as ${upload.type}`;
+    } else if (file.size > limit.maxSize) {
+        errors.file = `must be at most ${limit.maxSize / (1024 * 1024)} MB for ${upload.type}`;
     }
+    
+    if (upload.audience === 'number') {
+        upload.to = upload.to.replace(/[^0-9]/g, '');
+        if (!/^\d{8,15}$/.test(upload.to)) errors.to = 'must be a phone number';
+    } else if (upload.audience === 'group') {
+        if (!upload.to.includes('@')) upload.to = `${upload.to}@g.us`;
+        if (!/^[\d-]+@g\.us$/.test(upload.to)) errors.to = 'must be a group id';
+    } else if (upload.audience !== 'broadcast') {
+        errors.audience = `must be one of ${UPLOAD_AUDIENCES.join(', ')}`;
+    }
+    
+    return { upload, errors };
 }
 
-async function handleStatusUpdate(status) {
-    logger.info('Status update:', status);
-}
-
-// =====================================================
-// SCHEDULED TASKS
-// =====================================================
-
-function startScheduledTasks() {
-    // Daily stats report to admin
-    cron.schedule('0 9 * * *', async () => {
-        const settings = DB.get(FILES.SETTINGS);
-        if (!settings.adminNumber) return;
-        
-        const users = DB.get(FILES.USERS);
-        const stats = DB.get(FILES.STATS);
-        
-        const report = `📊 *Daily Report*\n\n` +
-                      `📅 ${moment().format('dddd, DD MMMM YYYY')}\n` +
-                      `👥 Total Users: ${Object.keys(users).length}\n` +
-                      `📨 Messages Today: ${stats.messagesReceived || 0}\n` +
-                      `📤 Sent: ${stats.messagesSent || 0}\n` +
-                      `⏱️ Uptime: ${formatUptime(process.uptime())}\n\n` +
-                      `🌩️ NdiiClouD Systems`;
-        
-        await sendMessage(settings.adminNumber, report);
-    });
+// Queues the file for a number or group, or starts a campaign with it for
+// 'broadcast' (with the campaign's `filter` and `rate`)
+function sendMediaUpload(input, createdBy = null) {
+    const { upload, errors } = validateMediaUpload(input);
+    const discard = () => input.file && fs.remove(input.file.path).catch(() => {});
     
-    // Reminder for inactive users (every 3 days)
-    cron.schedule('0 10 */3 * *', async () => {
-        const users = DB.get(FILES.USERS);
-        const now = Date.now();
-        const threeDays = 3 * 24 * 60 * 60 * 1000;
-        
-        for (const [number, user] of Object.entries(users)) {
-            if (now - user.lastActive > threeDays) {
-                const reminder = `👋 *Halo ${user.name}!*\n\n` +
-                               `Kami rindu Anda! Sudah lama tidak aktif di NdiiClouD.\n` +
-                               `Yuk, mampir lagi dan chat dengan teman-teman! 🌩️`;
-                
-                await sendMessage(number, reminder);
-                await delay(2000);
-            }
-        }
-    });
+    if (Object.keys(errors).length > 0) {
+        discard();
+        return { success: false, errors };
+    }
     
-    // Clean old messages (weekly)
-    cron.schedule('0 0 * * 0', () => {
-        const messages = DB.get(FILES.MESSAGES);
-        const oneWeekAgo = Date.now() - (7 * 24 * 60 * 60 * 1000);
-        
-        for (const [chatId, msgs] of Object.entries(messages)) {
-            messages[chatId] = msgs.filter(m => m.timestamp * 1000 > oneWeekAgo);
-        }
-        
-        DB.set(FILES.MESSAGES, messages);
-        logger.info('🧹 Cleaned old messages');
-    });
+    const { file } = input;
+    if (upload.audience === 'broadcast') {
+        const result = campaigns.create({
+            text: upload.caption,
+            media: { type: upload.type, path: file.path, mimetype: file.mimetype, fileName: file.originalname },
+            filter: input.filter,
+            rate: input.rate || undefined
+        }, { createdBy });
+        if (!result.success) discard();
+        return result;
+    }
     
-    // Health check every 5 minutes
-    cron.schedule('*/5 * * * *', () => {
-        logger.info(`💓 Health check | Uptime: ${formatUptime(process.uptime())} | Queue: ${messageQueue.queue.length}`);
+    const queued = messageQueue.add({
+        to: upload.to,
+        type: upload.type,
+        mediaPath: file.path,
+        mimetype: file.mimetype,
+        fileName: file.originalname,
+        caption: upload.caption || undefined,
+        tempFile: true,
+        meta: { source: 'dashboard', sentBy: createdBy }
     });
-    
-    logger.info('⏰ Scheduled tasks started');
+    logger.info(`📎 ${upload.type} from ${createdBy || 'dashboard'} queued for ${upload.to}`);
+    return { success: true, queued: { id: queued.id, to: upload.to, type: upload.type } };
 }
 
 // =====================================================
@@ -1302,34 +4072,96 @@ function startScheduledTasks() {
 // =====================================================
 
 const botAPI = {
-    sendOTP: async (phone) => {
-        const code = Math.floor(100000 + Math.random() * 900000).toString();
+    // Codes are generated and stored by the auth module (lib/auth)
+    sendOTP: async (phone, code) => {
         await cmdSendOTP(phone, code);
         return true;
     },
     
-    verifyOTP: (phone, code) => {
-        const otps = DB.get(FILES.OTP);
-        const data = otps[phone.replace(/[^0-9]/g, '')];
-        
-        if (!data) return { valid: false, message: 'OTP tidak ditemukan' };
-        if (data.expires < Date.now()) return { valid: false, message: 'OTP expired' };
-        if (data.code !== code) {
-            data.attempts++;
-            DB.set(FILES.OTP, otps);
-            return { valid: false, message: 'Kode salah' };
+    getSettings: () => getSettings(),
+    
+    updateSettings: (patch) => updateSettings(patch),
+    
+    getGroupSettingsList: () => listGroupSettings(),
+    
+    getGroupSettings: (groupId) => getGroupSettings(groupId),
+    
+    updateGroupSettings: (groupId, patch, options) => updateGroupSettings(groupId, patch, options),
+    
+    getBans: () => antiSpam.list(),
+    
+    // Users are phone numbers or emails, as on web sessions
+    getUserLanguage: (user) => userLanguage(user),
+    
+    setUserLanguage: (user, language) => setUserLanguage(user, language),
+    
+    // `minutes` null or missing bans permanently
+    banUser: (phone, { minutes = null, reason } = {}, by = 'dashboard') => {
+        const number = String(phone || '').replace(/[^0-9]/g, '');
+        const errors = {};
+        if (!/^\d{8,15}$/.test(number)) errors.phone = 'must be a phone number';
+        if (minutes !== null && (!Number.isInteger(Number(minutes)) || Number(minutes) < 1)) {
+            errors.minutes = 'must be a whole number of minutes, or null for a permanent ban';
         }
+        if (number && getAdmin(number)) errors.phone = 'is an admin';
+        if (Object.keys(errors).length > 0) return { success: false, errors };
         
-        delete otps[phone];
-        DB.set(FILES.OTP, otps);
-        return { valid: true };
+        const ban = antiSpam.ban(`${number}@s.whatsapp.net`, {
+            duration: minutes === null ? null : Number(minutes) * 60 * 1000,
+            reason: String(reason || '').trim() || 'diblokir admin',
+            by
+        });
+        return { success: true, ban };
     },
     
-    sendNotification: async (phone, message) => {
-        return await sendMessage(phone, message);
-    },
+    unbanUser: (phone, by = 'dashboard') => antiSpam.unban(`${String(phone).replace(/[^0-9]/g, '')}@s.whatsapp.net`, by),
+    
+    getWarnings: (groupId) => moderator.list(groupId),
+    
+    getModerationLog: (groupId, limit) => moderator.logs(groupId, limit),
+    
+    getSchedules: () => scheduler.list(),
+    
+    createSchedule: (schedule, createdBy) => scheduler.create(schedule, createdBy),
+    
+    updateSchedule: (id, schedule) => scheduler.update(id, schedule),
+    
+    cancelSchedule: (id) => scheduler.cancel(id),
+    
+    getAutoResponses: () => autoResponder.list(),
     
-    broadcast: cmdBroadcast,
+    createAutoResponse: (rule) => autoResponder.create(rule),
+    
+    updateAutoResponse: (id, rule) => autoResponder.update(id, rule),
+    
+    deleteAutoResponse: (id) => autoResponder.remove(id),
+    
+    // Which rule would answer `text` in `chatId` (dashboard preview)
+    testAutoResponse: (chatId, text) => autoResponder.match(chatId, text),
+    
+    // To a number or group id; see sendTemplateMessage for `options`
+    sendNotification: (to, message, options) => sendTemplateMessage(to, message, options),
+    
+    getTemplates: () => listTemplates(),
+    
+    getTemplate: (name) => getTemplate(name),
+    
+    saveTemplate: (name, template, updatedBy) => saveTemplate(name, template, updatedBy),
+    
+    deleteTemplate: (name) => deleteTemplate(name),
+    
+    previewTemplate: (input) => previewTemplate(input),
+    
+    // Everyone, as a campaign; see createCampaign for filters and rate
+    broadcast: (text, createdBy) => campaigns.create({ text }, { createdBy }),
+    
+    createCampaign: (campaign, createdBy) => campaigns.create(campaign, { createdBy }),
+    
+    getCampaigns: () => campaigns.list(),
+    
+    getCampaign: (id) => campaigns.get(id),
+    
+    controlCampaign: (id, action) => campaigns.control(id, action),
     
     getStats: () => {
         const users = DB.get(FILES.USERS);
@@ -1347,30 +4179,137 @@ const botAPI = {
     getUsers: () => DB.get(FILES.USERS),
     
     registerUser: (phone, data) => {
-        DB.update(FILES.USERS, phone.replace(/[^0-9]/g, ''), {
+        // Email-only users are keyed by address, everyone else by number
+        const key = phone.includes('@') ? phone.toLowerCase() : phone.replace(/[^0-9]/g, '');
+        const existing = DB.get(FILES.USERS)[key];
+        DB.update(FILES.USERS, key, {
+            ...existing,
             ...data,
             registeredAt: Date.now()
         });
+        
+        if (!existing) {
+            webhooks.emit('user.registered', { user: key, userId: data.id || null, name: data.name || key, source: 'web' });
+        }
+    },
+    
+    setUserTags: (key, tags) => {
+        const user = DB.get(FILES.USERS)[key];
+        if (!user) return null;
+        
+        user.tags = [...new Set(tags.map(tag => String(tag).trim().toLowerCase()).filter(Boolean))];
+        DB.update(FILES.USERS, key, user);
+        return user;
     },
     
     updateUserActivity,
     
+    // Admin accounts from the dashboard, keyed by WhatsApp number
+    setAdmins: (admins) => {
+        const byNumber = {};
+        for (const admin of admins) {
+            if (!admin.phone) continue;
+            byNumber[admin.phone] = {
+                username: admin.username,
+                name: admin.name,
+                role: admin.role,
+                phone: admin.phone,
+                disabled: admin.disabled
+            };
+        }
+        DB.set(FILES.ADMINS, byNumber);
+    },
+    
+    getMessages,
+    
+    saveWebMessage,
+    
+    getChats: async () => {
+        const chats = await getChats();
+        if (!isBotReady) return chats;
+        
+        // Resolve group names from the live store when we have them
+        for (const chat of chats) {
+            if (chat.isGroup) {
+                const metadata = store.groupMetadata?.[chat.id];
+                if (metadata?.subject) chat.name = metadata.subject;
+            }
+        }
+        return chats;
+    },
+    
+    // Send from the web client to a WhatsApp chat; `meta` (sender, clientId)
+    // is kept on the stored record so the web UI can match the echo
+    sendChatMessage: async (chatId, text, meta = {}) => {
+        return await sendMessage(chatId, text, { meta: { ...meta, source: 'web' } });
+    },
+    
+    events: botEvents,
+    
     isReady: () => isBotReady,
     
-    getQueueStatus: () => ({
-        length: messageQueue.queue.length,
-        processing: messageQueue.processing
-    }),
+    // Archived file for /api/media/:id: metadata plus paths on disk
+    getMedia: (id) => {
+        const meta = mediaArchive.get(id);
+        if (!meta) return null;
+        return {
+            ...meta,
+            path: path.resolve(mediaArchive.file(meta)),
+            thumbnailPath: meta.thumbnail ? path.resolve(mediaArchive.thumbnailFile(meta)) : null
+        };
+    },
+    
+    getQueueStatus: () => messageQueue.status(),
+    
+    getQueue: () => messageQueue.list(),
+    
+    getDeadLetters: () => messageQueue.deadLetters(),
+    
+    setQueuePaused: (paused) => messageQueue.setPaused(paused),
+    
+    retryDeadLetters: (id) => messageQueue.retry(id),
+    
+    purgeQueue: (options) => messageQueue.purge(options),
+    
+    removeQueued: (id) => messageQueue.drop(id),
+    
+    // Delivery records of sent messages, see DeliveryTracker
+    deliveryStatuses: DELIVERY_STATUSES,
+    
+    getDeliveries: (filter) => deliveries.list(filter),
+    
+    getDelivery: (id) => deliveries.get(id),
+    
+    // Outgoing webhooks, see ./webhooks
+    webhookEvents: WEBHOOK_EVENTS,
+    
+    webhookDeliveryStatuses: WEBHOOK_DELIVERY_STATUSES,
+    
+    // For events that happen in server.js (e.g. otp.verified)
+    emitWebhook: (event, data) => webhooks.emit(event, data),
+    
+    getWebhooks: () => webhooks.list(),
+    
+    getWebhook: (id) => webhooks.get(id),
+    
+    createWebhook: (input, createdBy) => webhooks.create(input, createdBy),
+    
+    updateWebhook: (id, input) => webhooks.update(id, input),
+    
+    deleteWebhook: (id) => webhooks.delete(id),
+    
+    rotateWebhookSecret: (id) => webhooks.rotateSecret(id),
+    
+    testWebhook: (id) => webhooks.test(id),
+    
+    getWebhookDeliveries: (filter) => webhooks.deliveries(filter),
+    
+    getWebhookDelivery: (id) => webhooks.delivery(id),
+    
+    redeliverWebhook: (id) => webhooks.redeliver(id),
     
     // Advanced features
-    sendMedia: async (phone, type, path, caption) => {
-        messageQueue.add({
-            to: phone,
-            type,
-            mediaPath: path,
-            caption
-        });
-    },
+    sendMedia: (upload, createdBy) => sendMediaUpload(upload, createdBy),
     
     getGroups: async () => {
         if (!isBotReady) return [];
@@ -1392,11 +4331,13 @@ process.on('SIGINT', async () => {
     if (ndii) {
         await ndii.sendPresenceUpdate('unavailable');
     }
+    await DB.close();
     process.exit(0);
 });
 
 process.on('SIGTERM', async () => {
     logger.info('👋 SIGTERM received, shutting down...');
+    await DB.close();
     process.exit(0);
 });
 
@@ -1410,8 +4351,23 @@ process.on('unhandledRejection', (reason, promise) => {
     logger.error('Unhandled Rejection at:', promise, 'reason:', reason);
 });
 
-// Start
-startBot();
+// Start once storage is ready (SQL backends load their caches here)
+DB.init()
+    .then(() => {
+        deliveries.load();
+        webhooks.load();
+        messageQueue.load();
+        autoResponder.load();
+        campaigns.load();
+        mediaConverter.clean();
+        // Due messages wait in messageQueue until the socket is connected
+        scheduler.start();
+        startBot();
+    })
+    .catch(err => {
+        logger.error('❌ Failed to initialize storage:', err);
+        process.exit(1);
+    });
 
 // Export
-module.exports = { botAPI, startBot, isBotReady: () => isBotReady };
+module.exports = { botAPI, startBot, isBotReady: () => isBotReady, TEMP_DIR, UPLOAD_MAX_SIZE };
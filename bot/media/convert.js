@@ -0,0 +1,240 @@
+/**
+ * Media conversions for the /sticker, /toimg, /tomp3 and /tovn commands.
+ *
+ * Inputs are written to TEMP_DIR so ffmpeg can read them, and every call
+ * returns the path of a new file in TEMP_DIR; the input file is always
+ * removed, the output is removed on failure and otherwise left to the
+ * caller (the message queue deletes it once sent). ffmpeg runs are killed
+ * after `timeout` seconds and clipped to `maxDuration`.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const sharp = require('sharp');
+const ffmpeg = require('fluent-ffmpeg');
+
+const STICKER_SIZE = 512;
+// WhatsApp refuses stickers over these sizes
+const STICKER_MAX_BYTES = { static: 100 * 1024, animated: 500 * 1024 };
+const STICKER_MAX_SECONDS = 10;
+const STICKER_FPS = 15;
+
+// =====================================================
+// STICKER METADATA
+// =====================================================
+
+/**
+ * EXIF block WhatsApp reads the pack name and author from: a little-endian
+ * TIFF header with one IFD entry (tag 0x5741) pointing at a JSON payload.
+ */
+function stickerExif({ pack, author }) {
+    const json = Buffer.from(JSON.stringify({
+        'sticker-pack-id': crypto.randomUUID(),
+        'sticker-pack-name': pack,
+        'sticker-pack-publisher': author,
+        emojis: []
+    }));
+    const header = Buffer.from([
+        0x49, 0x49, 0x2a, 0x00, 0x08, 0x00, 0x00, 0x00,
+        0x01, 0x00, 0x41, 0x57, 0x07, 0x00, 0x00, 0x00,
+        0x00, 0x00, 0x16, 0x00, 0x00, 0x00
+    ]);
+    header.writeUInt32LE(json.length, 14);
+    return Buffer.concat([header, json]);
+}
+
+function riffChunk(fourcc, data) {
+    const head = Buffer.alloc(8);
+    head.write(fourcc, 0, 'ascii');
+    head.writeUInt32LE(data.length, 4);
+    // Chunks are padded to an even length
+    return Buffer.concat([head, data, Buffer.alloc(data.length % 2)]);
+}
+
+/**
+ * Adds an EXIF chunk to a WebP file. Simple (VP8/VP8L only) files get the
+ * VP8X header the extended format needs, sized from `width` x `height`.
+ */
+function addWebpExif(webp, exif, { width, height }) {
+    const chunks = [];
+    for (let offset = 12; offset + 8 <= webp.length;) {
+        const size = webp.readUInt32LE(offset + 4);
+        chunks.push({ fourcc: webp.toString('ascii', offset, offset + 4), data: webp.subarray(offset + 8, offset + 8 + size) });
+        offset += 8 + size + (size % 2);
+    }
+
+    const body = chunks.filter(chunk => chunk.fourcc !== 'EXIF');
+    let vp8x = body.find(chunk => chunk.fourcc === 'VP8X');
+    if (!vp8x) {
+        const data = Buffer.alloc(10);
+        // Alpha flag for lossless images, which may carry transparency
+        data[0] = body.some(chunk => chunk.fourcc === 'VP8L' || chunk.fourcc === 'ALPH') ? 0x10 : 0;
+        data.writeUIntLE(width - 1, 4, 3);
+        data.writeUIntLE(height - 1, 7, 3);
+        vp8x = { fourcc: 'VP8X', data };
+        body.unshift(vp8x);
+    }
+    vp8x.data = Buffer.from(vp8x.data);
+    vp8x.data[0] |= 0x08;
+    body.push({ fourcc: 'EXIF', data: exif });
+
+    const payload = Buffer.concat([Buffer.from('WEBP'), ...body.map(chunk => riffChunk(chunk.fourcc, chunk.data))]);
+    const head = Buffer.alloc(8);
+    head.write('RIFF', 0, 'ascii');
+    head.writeUInt32LE(payload.length, 4);
+    return Buffer.concat([head, payload]);
+}
+
+// =====================================================
+// CONVERTER
+// =====================================================
+
+class MediaConverter {
+    constructor({ tempDir, timeout, maxDuration, logger = console }) {
+        this.tempDir = tempDir;
+        this.timeout = timeout;
+        this.maxDuration = maxDuration;
+        this.logger = logger;
+    }
+
+    tempFile(extension) {
+        return path.join(this.tempDir, `${crypto.randomUUID()}.${extension}`);
+    }
+
+    // Inputs left behind by a crash; outputs may still be waiting in the queue
+    async clean() {
+        const files = await fs.readdir(this.tempDir).catch(() => []);
+        const inputs = files.filter(file => file.endsWith('.input'));
+        await Promise.all(inputs.map(file => fs.remove(path.join(this.tempDir, file))));
+        if (inputs.length > 0) this.logger.info(`🧹 Removed ${inputs.length} leftover conversion inputs`);
+    }
+
+    // Runs `work(output)` and hands back `output`, cleaning up on failure
+    async produce(extension, work) {
+        const output = this.tempFile(extension);
+        try {
+            await work(output);
+            return output;
+        } catch (err) {
+            await fs.remove(output);
+            throw err;
+        }
+    }
+
+    // ffmpeg from a temporary copy of `buffer`; `configure` adds the options
+    async ffmpeg(buffer, extension, configure, duration = this.maxDuration) {
+        const input = this.tempFile('input');
+        await fs.outputFile(input, buffer);
+
+        try {
+            return await this.produce(extension, output => new Promise((resolve, reject) => {
+                configure(ffmpeg(input, { timeout: this.timeout }))
+                    .duration(duration)
+                    .on('error', (err) => reject(new Error(`ffmpeg: ${err.message.split('\n')[0]}`)))
+                    .on('end', resolve)
+                    .save(output);
+            }));
+        } finally {
+            await fs.remove(input);
+        }
+    }
+
+    /**
+     * Image, sticker or short video (`media` from downloadQuotedMedia) to
+     * a 512x512 WebP sticker tagged with `pack` and `author`.
+     */
+    async sticker(media, { pack, author }) {
+        const exif = stickerExif({ pack, author });
+
+        if (media.type === 'video' || media.mimetype === 'image/gif') {
+            if (media.seconds > STICKER_MAX_SECONDS) {
+                throw new Error(`video maksimal ${STICKER_MAX_SECONDS} detik`);
+            }
+            const animated = await this.ffmpeg(media.buffer, 'webp', command => command
+                .noAudio()
+                .videoCodec('libwebp')
+                .videoFilters(
+                    `fps=${STICKER_FPS}`,
+                    `scale=${STICKER_SIZE}:${STICKER_SIZE}:force_original_aspect_ratio=decrease`,
+                    `pad=${STICKER_SIZE}:${STICKER_SIZE}:-1:-1:color=0x00000000`,
+                    'format=rgba'
+                )
+                .outputOptions(['-loop 0', '-q:v 50', '-preset default']),
+                STICKER_MAX_SECONDS
+            );
+
+            try {
+                const webp = await fs.readFile(animated);
+                if (webp.length > STICKER_MAX_BYTES.animated) throw new Error('hasil sticker terlalu besar, coba video lebih pendek');
+                await fs.writeFile(animated, addWebpExif(webp, exif, { width: STICKER_SIZE, height: STICKER_SIZE }));
+                return animated;
+            } catch (err) {
+                await fs.remove(animated);
+                throw err;
+            }
+        }
+
+        return this.produce('webp', async (output) => {
+            // Lower the quality until it fits WhatsApp's limit
+            for (const quality of [80, 60, 40, 20]) {
+                const { data, info } = await sharp(media.buffer, { animated: false })
+                    .timeout({ seconds: this.timeout })
+                    .resize(STICKER_SIZE, STICKER_SIZE, { fit: 'contain', background: { r: 0, g: 0, b: 0, alpha: 0 } })
+                    .webp({ quality })
+                    .toBuffer({ resolveWithObject: true });
+
+                if (data.length <= STICKER_MAX_BYTES.static) {
+                    return fs.writeFile(output, addWebpExif(data, exif, info));
+                }
+            }
+            throw new Error('hasil sticker terlalu besar');
+        });
+    }
+
+    // Sticker to PNG; animated stickers keep their first frame
+    async image(media) {
+        return this.produce('png', output => sharp(media.buffer, { animated: false })
+            .timeout({ seconds: this.timeout })
+            .png()
+            .toFile(output)
+        );
+    }
+
+    // Soundtrack of a video (or any audio) as MP3
+    async audio(media) {
+        return this.ffmpeg(media.buffer, 'mp3', command => command
+            .noVideo()
+            .audioCodec('libmp3lame')
+            .audioBitrate('128k')
+        );
+    }
+
+    // Mono Opus in Ogg, the format WhatsApp plays as a voice note
+    async voiceNote(media) {
+        return this.ffmpeg(media.buffer, 'ogg', command => command
+            .noVideo()
+            .audioCodec('libopus')
+            .audioBitrate('48k')
+            .audioChannels(1)
+            .audioFrequency(48000)
+            .format('ogg')
+        );
+    }
+}
+
+/**
+ * @param {object} options
+ * @param {string} options.tempDir        where inputs and outputs are written (TEMP_DIR)
+ * @param {number} [options.timeout]      seconds before a conversion is killed (CONVERT_TIMEOUT, default 60)
+ * @param {number} [options.maxDuration]  seconds of audio/video kept (CONVERT_MAX_DURATION, default 600)
+ */
+function createMediaConverter({
+    timeout = parseInt(process.env.CONVERT_TIMEOUT) || 60,
+    maxDuration = parseInt(process.env.CONVERT_MAX_DURATION) || 600,
+    ...options
+}) {
+    return new MediaConverter({ timeout, maxDuration, ...options });
+}
+
+module.exports = { createMediaConverter };
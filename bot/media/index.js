@@ -0,0 +1,172 @@
+/**
+ * Media archive - WhatsApp attachments stored in MEDIA_DIR by content hash.
+ *
+ * The same file received in several chats is stored once; its metadata
+ * (FILES.MEDIA, keyed by hash) lists every chat it was seen in, which is
+ * also what the server checks before serving it. Each chat has a size
+ * quota: when it is exceeded the chat's oldest media are released, and a
+ * file is deleted once no chat references it. Images and stickers get a
+ * JPEG thumbnail made with sharp; videos reuse the thumbnail WhatsApp sends.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const sharp = require('sharp');
+
+const MB = 1024 * 1024;
+const THUMBNAIL_WIDTH = 320;
+
+const EXTENSIONS = {
+    'image/jpeg': 'jpg',
+    'image/png': 'png',
+    'image/webp': 'webp',
+    'image/gif': 'gif',
+    'video/mp4': 'mp4',
+    'video/3gpp': '3gp',
+    'audio/ogg': 'ogg',
+    'audio/mpeg': 'mp3',
+    'audio/mp4': 'm4a',
+    'application/pdf': 'pdf'
+};
+
+function extensionFor(mimetype = '') {
+    const base = mimetype.split(';')[0].trim();
+    return EXTENSIONS[base] || base.split('/')[1] || 'bin';
+}
+
+class MediaArchive {
+    constructor({ dir, db, collection, quotaPerChat, maxFileSize, logger = console }) {
+        this.dir = dir;
+        this.db = db;
+        this.collection = collection;
+        this.quotaPerChat = quotaPerChat;
+        this.maxFileSize = maxFileSize;
+        this.logger = logger;
+    }
+    
+    // Files are spread over 256 folders by the first byte of their hash
+    file(meta) {
+        return path.join(this.dir, meta.id.slice(0, 2), `${meta.id}.${meta.ext}`);
+    }
+    
+    thumbnailFile(meta) {
+        return path.join(this.dir, meta.id.slice(0, 2), `${meta.id}_thumb.jpg`);
+    }
+    
+    get(id) {
+        return this.db.get(this.collection)[id] || null;
+    }
+    
+    // Bytes used by the media a chat references
+    usage(chatId, all = this.db.get(this.collection)) {
+        return Object.values(all)
+            .filter(meta => meta.chats[chatId])
+            .reduce((total, meta) => total + meta.size, 0);
+    }
+    
+    /**
+     * Stores `buffer` for `chatId` and returns its metadata, or null when
+     * the file is larger than the per-file limit or the chat's whole quota.
+     */
+    async save(chatId, buffer, { type, mimetype, fileName = null, thumbnail = null } = {}) {
+        if (buffer.length > this.maxFileSize || buffer.length > this.quotaPerChat) {
+            this.logger.warn(`📁 Media from ${chatId} not archived: ${Math.round(buffer.length / MB)} MB is over the limit`);
+            return null;
+        }
+        
+        const id = crypto.createHash('sha256').update(buffer).digest('hex');
+        let meta = this.get(id);
+        
+        if (meta?.chats[chatId]) return meta;
+        await this.makeRoom(chatId, buffer.length);
+        
+        if (!meta) {
+            meta = {
+                id,
+                type,
+                mimetype: mimetype || 'application/octet-stream',
+                ext: extensionFor(mimetype),
+                size: buffer.length,
+                fileName,
+                thumbnail: false,
+                chats: {},
+                createdAt: Date.now()
+            };
+            
+            await fs.outputFile(this.file(meta), buffer);
+            meta.thumbnail = await this.createThumbnail(meta, buffer, thumbnail);
+        }
+        
+        meta.chats[chatId] = Date.now();
+        this.db.update(this.collection, id, meta);
+        return meta;
+    }
+    
+    async createThumbnail(meta, buffer, provided) {
+        try {
+            if (meta.type === 'image' || meta.type === 'sticker') {
+                await sharp(buffer, { animated: false })
+                    .resize({ width: THUMBNAIL_WIDTH, withoutEnlargement: true })
+                    .jpeg({ quality: 70 })
+                    .toFile(this.thumbnailFile(meta));
+                return true;
+            }
+            if (provided?.length) {
+                await fs.outputFile(this.thumbnailFile(meta), provided);
+                return true;
+            }
+        } catch (err) {
+            this.logger.warn(`📁 Thumbnail failed for ${meta.id}: ${err.message}`);
+        }
+        return false;
+    }
+    
+    // Releases the chat's oldest media until `incoming` bytes fit its quota
+    async makeRoom(chatId, incoming) {
+        const all = this.db.get(this.collection);
+        let used = this.usage(chatId, all);
+        if (used + incoming <= this.quotaPerChat) return;
+        
+        const oldest = Object.values(all)
+            .filter(meta => meta.chats[chatId])
+            .sort((a, b) => a.chats[chatId] - b.chats[chatId]);
+        
+        for (const meta of oldest) {
+            if (used + incoming <= this.quotaPerChat) break;
+            await this.release(meta, chatId);
+            used -= meta.size;
+        }
+    }
+    
+    async release(meta, chatId) {
+        delete meta.chats[chatId];
+        
+        if (Object.keys(meta.chats).length > 0) {
+            this.db.update(this.collection, meta.id, meta);
+            return;
+        }
+        
+        this.db.delete(this.collection, meta.id);
+        await fs.remove(this.file(meta));
+        if (meta.thumbnail) await fs.remove(this.thumbnailFile(meta));
+    }
+}
+
+/**
+ * @param {object} options
+ * @param {string} options.dir            where files are written (MEDIA_DIR)
+ * @param {object} options.db             storage from ../storage
+ * @param {string} options.collection     metadata collection name
+ * @param {number} [options.quotaPerChat] bytes per chat (MEDIA_CHAT_QUOTA_MB, default 200 MB)
+ * @param {number} [options.maxFileSize]  bytes per file (MEDIA_MAX_FILE_MB, default 50 MB)
+ */
+function createMediaArchive({
+    quotaPerChat = (parseInt(process.env.MEDIA_CHAT_QUOTA_MB) || 200) * MB,
+    maxFileSize = (parseInt(process.env.MEDIA_MAX_FILE_MB) || 50) * MB,
+    ...options
+}) {
+    return new MediaArchive({ quotaPerChat, maxFileSize, ...options });
+}
+
+module.exports = { createMediaArchive, extensionFor };
@@ -0,0 +1,58 @@
+/**
+ * Import the JSON data files into the SQL storage.
+ *
+ * Usage:
+ *   STORAGE_DRIVER=sqlite node scripts/migrate.js
+ *   STORAGE_DRIVER=postgres POSTGRES_URL=... node scripts/migrate.js
+ *
+ * Reads every collection from DATA_DIR (default ./data) and writes it to the
+ * configured SQL backend. Messages are imported one by one with their
+ * timestamps converted to milliseconds. Safe to run more than once: rows are
+ * upserted, not duplicated.
+ */
+
+const { createStorage, JsonStorage, FILES } = require('../storage');
+
+const DATA_DIR = process.env.DATA_DIR || './data';
+// Messages are imported separately below
+const COLLECTIONS = Object.values(FILES).filter(collection => collection !== FILES.MESSAGES);
+
+async function migrate() {
+    const driver = process.env.STORAGE_DRIVER;
+    if (!driver || driver === 'json') {
+        throw new Error('Set STORAGE_DRIVER to sqlite or postgres to choose the target');
+    }
+    
+    const source = new JsonStorage({ dir: DATA_DIR });
+    const target = createStorage({ driver, dataDir: DATA_DIR });
+    await target.init();
+    
+    for (const collection of COLLECTIONS) {
+        const data = source.get(collection);
+        target.set(collection, { ...target.get(collection), ...data });
+        console.log(`✅ ${collection}: ${Object.keys(data).length} records`);
+    }
+    
+    const messages = source.get('messages');
+    let imported = 0;
+    
+    for (const [chatId, records] of Object.entries(messages)) {
+        for (const record of records) {
+            const timestamp = Number(record.timestamp) || 0;
+            target.appendMessage(chatId, {
+                ...record,
+                chatId,
+                timestamp: timestamp < 1e12 ? timestamp * 1000 : timestamp
+            });
+            imported++;
+        }
+    }
+    
+    await target.close();
+    console.log(`✅ messages: ${imported} records in ${Object.keys(messages).length} chats`);
+}
+
+migrate().catch(err => {
+    console.error('❌ Migration failed:', err.message);
+    process.exit(1);
+});
@@ -0,0 +1,30 @@
+/**
+ * Data collections (files in DATA_DIR with the JSON storage, rows with SQL).
+ * Shared by the bot and scripts/migrate.js so a new collection is picked
+ * up by both.
+ */
+
+const FILES = {
+    USERS: 'users',
+    OTP: 'otp',
+    MESSAGES: 'messages',
+    SETTINGS: 'settings',
+    GROUPS: 'groups',
+    QUEUE: 'queue',
+    STATS: 'stats',
+    ADMINS: 'admins',
+    AUTORESPONSES: 'autoresponses',
+    SCHEDULES: 'schedules',
+    CAMPAIGNS: 'campaigns',
+    DEADLETTER: 'deadletter',
+    MEDIA: 'media',
+    WARNINGS: 'warnings',
+    MODLOG: 'modlog',
+    BANS: 'bans',
+    TEMPLATES: 'templates',
+    DELIVERIES: 'deliveries',
+    WEBHOOKS: 'webhooks',
+    WEBHOOK_LOG: 'webhooklog'
+};
+
+module.exports = { FILES };
@@ -0,0 +1,52 @@
+/**
+ * Storage backend selection for the bot's `DB` helper.
+ *
+ * Every backend implements the same interface:
+ *   init()                              - prepare files/tables, load caches
+ *   get(collection) / set(collection, data)
+ *   update(collection, key, value) / delete(collection, key)
+ *   appendMessage(chatId, record)
+ *   getMessages(chatId, { before, limit }) -> { messages, hasMore }
+ *   listChats()                         -> [{ chatId, lastMessage }]
+ *   pruneMessages(olderThan)            -> number of removed messages
+ *   flush() / close()
+ *
+ * Selected with STORAGE_DRIVER:
+ *   json     - data/*.json files (default)
+ *   sqlite   - SQLITE_PATH (default data/ndiicloud.db)
+ *   postgres - POSTGRES_URL or DATABASE_URL
+ *
+ * FILES (./collections) names the collections the bot keeps.
+ */
+
+const path = require('path');
+const { JsonStorage } = require('./json');
+const { SqlStorage } = require('./sql');
+const { FILES } = require('./collections');
+
+function createStorage({ driver, dataDir, collections, logger } = {}) {
+    const selected = driver || process.env.STORAGE_DRIVER || 'json';
+    
+    switch (selected) {
+        case 'json':
+            return new JsonStorage({ dir: dataDir, collections });
+            
+        case 'sqlite':
+            return new SqlStorage({
+                driver: 'sqlite',
+                filename: process.env.SQLITE_PATH || path.join(dataDir, 'ndiicloud.db'),
+                logger
+            });
+            
+        case 'postgres': {
+            const url = process.env.POSTGRES_URL || process.env.DATABASE_URL;
+            if (!url) throw new Error('POSTGRES_URL or DATABASE_URL is required for postgres storage');
+            return new SqlStorage({ driver: 'postgres', url, logger });
+        }
+            
+        default:
+            throw new Error(`Unknown storage driver: ${selected}`);
+    }
+}
+
+module.exports = { createStorage, JsonStorage, SqlStorage, FILES };
@@ -0,0 +1,117 @@
+/**
+ * JSON file storage - one file per collection in DATA_DIR.
+ *
+ * This is the original storage format of the bot. Every write rewrites the
+ * whole collection file, so it is only meant for small installs and local
+ * development; use the SQL storage for anything bigger.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+
+// Older message records stored WhatsApp timestamps in seconds
+const messageTime = (m) => {
+    const value = Number(m.timestamp) || 0;
+    return value < 1e12 ? value * 1000 : value;
+};
+
+class JsonStorage {
+    constructor({ dir, collections = [], maxMessagesPerChat = 1000 } = {}) {
+        this.dir = dir;
+        this.collections = collections;
+        this.maxMessagesPerChat = maxMessagesPerChat;
+    }
+    
+    file(collection) {
+        return path.join(this.dir, `${collection}.json`);
+    }
+    
+    async init() {
+        fs.ensureDirSync(this.dir);
+        this.collections.forEach(collection => {
+            const file = this.file(collection);
+            if (!fs.existsSync(file)) fs.writeJsonSync(file, {});
+        });
+    }
+    
+    get(collection) {
+        try {
+            return fs.readJsonSync(this.file(collection));
+        } catch {
+            return {};
+        }
+    }
+    
+    set(collection, data) {
+        fs.writeJsonSync(this.file(collection), data, { spaces: 2 });
+    }
+    
+    update(collection, key, value) {
+        const data = this.get(collection);
+        data[key] = value;
+        this.set(collection, data);
+    }
+    
+    delete(collection, key) {
+        const data = this.get(collection);
+        delete data[key];
+        this.set(collection, data);
+    }
+    
+    // Messages
+    
+    appendMessage(chatId, record) {
+        const messages = this.get('messages');
+        if (!messages[chatId]) messages[chatId] = [];
+        
+        messages[chatId].push(record);
+        
+        // Keep only the most recent messages per chat
+        if (messages[chatId].length > this.maxMessagesPerChat) {
+            messages[chatId] = messages[chatId].slice(-this.maxMessagesPerChat);
+        }
+        
+        this.set('messages', messages);
+    }
+    
+    async getMessages(chatId, { before, limit = 50 } = {}) {
+        const all = [...(this.get('messages')[chatId] || [])]
+            .sort((a, b) => messageTime(a) - messageTime(b));
+        const older = before ? all.filter(m => messageTime(m) < before) : all;
+        
+        return {
+            messages: older.slice(-limit),
+            hasMore: older.length > limit
+        };
+    }
+    
+    async listChats() {
+        const messages = this.get('messages');
+        
+        return Object.entries(messages)
+            .filter(([, msgs]) => msgs.length > 0)
+            .map(([chatId, msgs]) => ({
+                chatId,
+                lastMessage: msgs.reduce((a, b) => (messageTime(b) >= messageTime(a) ? b : a))
+            }));
+    }
+    
+    async pruneMessages(olderThan) {
+        const messages = this.get('messages');
+        let removed = 0;
+        
+        for (const [chatId, msgs] of Object.entries(messages)) {
+            messages[chatId] = msgs.filter(m => messageTime(m) > olderThan);
+            removed += msgs.length - messages[chatId].length;
+        }
+        
+        this.set('messages', messages);
+        return removed;
+    }
+    
+    async flush() {}
+    
+    async close() {}
+}
+
+module.exports = { JsonStorage };
@@ -0,0 +1,214 @@
+/**
+ * SQL storage - SQLite (better-sqlite3) locally, Postgres in production.
+ *
+ * Collections are stored as one row per top-level key in the `kv` table and
+ * cached in memory after init(), so DB.get() stays synchronous for the bot.
+ * Writes only touch the rows that changed and are applied in order in the
+ * background; reads that hit the database wait for pending writes first.
+ * Messages live in their own table and are never loaded as a whole.
+ */
+
+const SCHEMA = [
+    `CREATE TABLE IF NOT EXISTS kv (
+        collection TEXT NOT NULL,
+        key TEXT NOT NULL,
+        value TEXT NOT NULL,
+        PRIMARY KEY (collection, key)
+    )`,
+    `CREATE TABLE IF NOT EXISTS messages (
+        chat_id TEXT NOT NULL,
+        id TEXT NOT NULL,
+        timestamp BIGINT NOT NULL,
+        data TEXT NOT NULL,
+        PRIMARY KEY (chat_id, id)
+    )`,
+    `CREATE INDEX IF NOT EXISTS messages_chat_time ON messages (chat_id, timestamp)`
+];
+
+// =====================================================
+// DRIVERS
+// =====================================================
+
+function createSqliteDriver(filename) {
+    const Database = require('better-sqlite3');
+    const db = new Database(filename);
+    db.pragma('journal_mode = WAL');
+
+    return {
+        dialect: 'sqlite',
+        async query(text, params = []) {
+            // Queries are written with Postgres-style $n placeholders
+            const stmt = db.prepare(text.replace(/\$\d+/g, '?'));
+            if (stmt.reader) return stmt.all(...params);
+            stmt.run(...params);
+            return [];
+        },
+        async close() {
+            db.close();
+        }
+    };
+}
+
+function createPostgresDriver(connectionString) {
+    const { createPool } = require('@vercel/postgres');
+    const pool = createPool({ connectionString });
+
+    return {
+        dialect: 'postgres',
+        async query(text, params = []) {
+            const { rows } = await pool.query(text, params);
+            return rows;
+        },
+        async close() {
+            await pool.end();
+        }
+    };
+}
+
+// =====================================================
+// STORAGE
+// =====================================================
+
+class SqlStorage {
+    constructor({ driver, url, filename, logger = console } = {}) {
+        this.driver = driver === 'postgres' ?
+            createPostgresDriver(url) :
+            createSqliteDriver(filename);
+        this.logger = logger;
+        this.cache = new Map();
+        this.pending = Promise.resolve();
+    }
+
+    async init() {
+        for (const statement of SCHEMA) {
+            await this.driver.query(statement);
+        }
+
+        const rows = await this.driver.query('SELECT collection, key, value FROM kv');
+        for (const row of rows) {
+            if (!this.cache.has(row.collection)) this.cache.set(row.collection, {});
+            this.cache.get(row.collection)[row.key] = JSON.parse(row.value);
+        }
+    }
+
+    // Queue a write behind the previous ones so rows land in call order
+    write(text, params) {
+        this.pending = this.pending
+            .then(() => this.driver.query(text, params))
+            .catch(err => this.logger.error(`Storage write failed: ${err.message}`));
+        return this.pending;
+    }
+
+    upsert(collection, key, value) {
+        return this.write(
+            `INSERT INTO kv (collection, key, value) VALUES ($1, $2, $3)
+             ON CONFLICT (collection, key) DO UPDATE SET value = excluded.value`,
+            [collection, key, JSON.stringify(value)]
+        );
+    }
+
+    get(collection) {
+        // Callers mutate what they get and hand it back to set()
+        return structuredClone(this.cache.get(collection) || {});
+    }
+
+    set(collection, data) {
+        const current = this.cache.get(collection) || {};
+
+        for (const [key, value] of Object.entries(data)) {
+            if (JSON.stringify(current[key]) !== JSON.stringify(value)) {
+                this.upsert(collection, key, value);
+            }
+        }
+
+        for (const key of Object.keys(current)) {
+            if (!(key in data)) {
+                this.write('DELETE FROM kv WHERE collection = $1 AND key = $2', [collection, key]);
+            }
+        }
+
+        this.cache.set(collection, structuredClone(data));
+    }
+
+    update(collection, key, value) {
+        if (!this.cache.has(collection)) this.cache.set(collection, {});
+        this.cache.get(collection)[key] = structuredClone(value);
+        this.upsert(collection, key, value);
+    }
+
+    delete(collection, key) {
+        const data = this.cache.get(collection);
+        if (data) delete data[key];
+        this.write('DELETE FROM kv WHERE collection = $1 AND key = $2', [collection, key]);
+    }
+
+    // Messages
+
+    appendMessage(chatId, record) {
+        return this.write(
+            `INSERT INTO messages (chat_id, id, timestamp, data) VALUES ($1, $2, $3, $4)
+             ON CONFLICT (chat_id, id) DO UPDATE SET timestamp = excluded.timestamp, data = excluded.data`,
+            [chatId, String(record.id), record.timestamp, JSON.stringify(record)]
+        );
+    }
+
+    async getMessages(chatId, { before, limit = 50 } = {}) {
+        await this.pending;
+
+        // Fetch one extra row to know whether there is another page
+        const rows = before ?
+            await this.driver.query(
+                `SELECT data FROM messages WHERE chat_id = $1 AND timestamp < $2
+                 ORDER BY timestamp DESC LIMIT $3`,
+                [chatId, before, limit + 1]
+            ) :
+            await this.driver.query(
+                `SELECT data FROM messages WHERE chat_id = $1
+                 ORDER BY timestamp DESC LIMIT $2`,
+                [chatId, limit + 1]
+            );
+
+        return {
+            messages: rows.slice(0, limit).map(row => JSON.parse(row.data)).reverse(),
+            hasMore: rows.length > limit
+        };
+    }
+
+    async listChats() {
+        await this.pending;
+
+        const rows = await this.driver.query(
+            `SELECT m.chat_id, m.data FROM messages m
+             JOIN (SELECT chat_id, MAX(timestamp) AS latest FROM messages GROUP BY chat_id) l
+               ON l.chat_id = m.chat_id AND l.latest = m.timestamp`
+        );
+
+        // Several messages can share the latest timestamp; keep one per chat
+        const chats = new Map();
+        rows.forEach(row => chats.set(row.chat_id, JSON.parse(row.data)));
+
+        return [...chats].map(([chatId, lastMessage]) => ({ chatId, lastMessage }));
+    }
+
+    async pruneMessages(olderThan) {
+        await this.pending;
+
+        const [{ count }] = await this.driver.query(
+            'SELECT COUNT(*) AS count FROM messages WHERE timestamp <= $1',
+            [olderThan]
+        );
+        await this.driver.query('DELETE FROM messages WHERE timestamp <= $1', [olderThan]);
+        return Number(count);
+    }
+
+    async flush() {
+        await this.pending;
+    }
+
+    async close() {
+        await this.flush();
+        await this.driver.close();
+    }
+}
+
+module.exports = { SqlStorage };
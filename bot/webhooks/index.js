@@ -0,0 +1,393 @@
+/**
+ * Outgoing webhooks - bot and auth events POSTed to URLs admins subscribe.
+ *
+ * A subscription lists the WEBHOOK_EVENTS it wants, or '*' for all of them.
+ * Every event becomes one delivery per subscriber in the delivery log,
+ * sent one at a time; a failing delivery is retried with exponential
+ * backoff, like the message queue, and marked failed after `maxAttempts`.
+ * The log keeps each attempt's response until it is pruned.
+ *
+ * Requests are JSON `{ id, event, timestamp, data }` with the headers
+ *   X-Webhook-Event, X-Webhook-Delivery (the delivery id, the same on retries)
+ *   X-Webhook-Timestamp (seconds) and
+ *   X-Webhook-Signature: sha256=<HMAC-SHA256 of "<timestamp>.<body>" keyed
+ *   with the subscription's secret>
+ * Receivers should compare the signature with signPayload and ignore old
+ * timestamps.
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+
+const WEBHOOK_EVENTS = [
+    'message.received',
+    'command.executed',
+    'user.registered',
+    'otp.verified',
+    'group.participant.added',
+    'group.participant.removed',
+    'call.rejected',
+    'bot.connection.changed'
+];
+// Only sent by test(), whatever the subscription listens to
+const TEST_EVENT = 'webhook.test';
+const DELIVERY_STATUSES = ['pending', 'delivered', 'failed'];
+
+const BACKOFF_BASE = 10 * 1000;
+const BACKOFF_MAX = 60 * 60 * 1000;
+// Characters of the receiver's answer kept in the log
+const RESPONSE_EXCERPT = 200;
+
+function signPayload(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function generateSecret() {
+    return crypto.randomBytes(24).toString('hex');
+}
+
+// The API only shows the secret when it is created or rotated
+function publicWebhook({ secret, ...webhook }) {
+    return { ...webhook, secretHint: `…${secret.slice(-4)}` };
+}
+
+// Log listings leave out the payload and the responses, see delivery()
+function summarize({ payload, responses, ...delivery }) {
+    return { ...delivery, lastResponse: responses[responses.length - 1] || null };
+}
+
+class WebhookDispatcher {
+    constructor({ db, collection, logCollection, timeout, maxAttempts, logger = console }) {
+        this.db = db;
+        this.collection = collection;
+        this.logCollection = logCollection;
+        this.timeout = timeout;
+        this.maxAttempts = maxAttempts;
+        this.logger = logger;
+        this.pending = [];
+        this.processing = false;
+        this.timer = null;
+    }
+
+    // Picks up deliveries a restart left pending; call once the storage is initialized
+    load() {
+        this.pending = Object.values(this.db.get(this.logCollection)).filter(d => d.status === 'pending');
+        this.process();
+    }
+
+    // Subscriptions
+
+    list() {
+        return Object.values(this.db.get(this.collection))
+            .sort((a, b) => a.createdAt - b.createdAt)
+            .map(publicWebhook);
+    }
+
+    get(id) {
+        const webhook = this.db.get(this.collection)[id];
+        return webhook ? publicWebhook(webhook) : null;
+    }
+
+    /**
+     * Checks a subscription; fields missing from `input` keep their value in
+     * `current` when updating. Returns { webhook, errors } like the bot's
+     * validate helpers.
+     */
+    validate(input = {}, current = null) {
+        const errors = {};
+        const events = input.events ?? current?.events ?? [];
+        const webhook = {
+            url: String(input.url ?? current?.url ?? '').trim(),
+            events: [...new Set((Array.isArray(events) ? events : String(events).split(','))
+                .map(event => String(event).trim())
+                .filter(Boolean))],
+            description: String(input.description ?? current?.description ?? '').trim(),
+            active: input.active ?? current?.active ?? true
+        };
+
+        let url = null;
+        try {
+            url = new URL(webhook.url);
+        } catch {
+            // Reported below
+        }
+        if (!url || !['http:', 'https:'].includes(url.protocol)) errors.url = 'must be an http or https URL';
+
+        const unknown = webhook.events.filter(event => event !== '*' && !WEBHOOK_EVENTS.includes(event));
+        if (webhook.events.length === 0) {
+            errors.events = 'must list at least one event, or *';
+        } else if (unknown.length > 0) {
+            errors.events = `has unknown ${unknown.join(', ')}; use ${WEBHOOK_EVENTS.join(', ')} or *`;
+        }
+
+        if (typeof webhook.active !== 'boolean') errors.active = 'must be true or false';
+        if (webhook.description.length > 200) errors.description = 'must be at most 200 characters';
+        if (input.secret !== undefined && String(input.secret).length < 16) {
+            errors.secret = 'must be at least 16 characters';
+        }
+
+        return { webhook, errors };
+    }
+
+    // `secret` is generated unless the input has one
+    create(input, createdBy = null) {
+        const { webhook, errors } = this.validate(input);
+        if (Object.keys(errors).length > 0) return { success: false, errors };
+
+        const now = Date.now();
+        const created = {
+            id: crypto.randomUUID(),
+            ...webhook,
+            secret: input.secret !== undefined ? String(input.secret) : generateSecret(),
+            createdBy,
+            createdAt: now,
+            updatedAt: now
+        };
+
+        this.db.update(this.collection, created.id, created);
+        this.logger.info(`🔗 Webhook ${created.id} created for ${created.url}`);
+        return { success: true, webhook: { ...publicWebhook(created), secret: created.secret } };
+    }
+
+    update(id, input) {
+        const current = this.db.get(this.collection)[id];
+        if (!current) return { success: false, notFound: true };
+
+        const { webhook, errors } = this.validate(input, current);
+        if (Object.keys(errors).length > 0) return { success: false, errors };
+
+        const updated = {
+            ...current,
+            ...webhook,
+            ...(input.secret !== undefined && { secret: String(input.secret) }),
+            updatedAt: Date.now()
+        };
+        this.db.update(this.collection, id, updated);
+        return { success: true, webhook: publicWebhook(updated) };
+    }
+
+    // Its pending deliveries fail on their next attempt
+    delete(id) {
+        if (!this.db.get(this.collection)[id]) return false;
+
+        this.db.delete(this.collection, id);
+        this.logger.info(`🔗 Webhook ${id} deleted`);
+        return true;
+    }
+
+    // New secret, or null when there is no such webhook
+    rotateSecret(id) {
+        const webhook = this.db.get(this.collection)[id];
+        if (!webhook) return null;
+
+        webhook.secret = generateSecret();
+        webhook.updatedAt = Date.now();
+        this.db.update(this.collection, id, webhook);
+        return webhook.secret;
+    }
+
+    // Events
+
+    // Queues `event` for every active subscription that wants it, returns how many
+    emit(event, data = {}) {
+        const subscribers = Object.values(this.db.get(this.collection))
+            .filter(webhook => webhook.active && (webhook.events.includes('*') || webhook.events.includes(event)));
+
+        subscribers.forEach(webhook => this.enqueue(webhook, event, data));
+        if (subscribers.length > 0) this.process();
+        return subscribers.length;
+    }
+
+    // A webhook.test delivery to one subscription, null when there is none
+    test(id) {
+        const webhook = this.db.get(this.collection)[id];
+        if (!webhook) return null;
+
+        const delivery = this.enqueue(webhook, TEST_EVENT, { webhookId: id });
+        this.process();
+        return summarize(delivery);
+    }
+
+    enqueue(webhook, event, data) {
+        const id = crypto.randomUUID();
+        const now = Date.now();
+        const delivery = {
+            id,
+            webhookId: webhook.id,
+            event,
+            // Serialised now, so later changes to `data` are not sent
+            payload: JSON.parse(JSON.stringify({ id, event, timestamp: now, data })),
+            status: 'pending',
+            attempts: 0,
+            nextAttemptAt: 0,
+            responses: [],
+            error: null,
+            createdAt: now,
+            finishedAt: null
+        };
+
+        this.pending.push(delivery);
+        this.db.update(this.logCollection, id, delivery);
+        return delivery;
+    }
+
+    // Oldest ready delivery
+    next() {
+        const now = Date.now();
+        return this.pending
+            .filter(delivery => delivery.nextAttemptAt <= now)
+            .sort((a, b) => a.createdAt - b.createdAt)[0];
+    }
+
+    async process() {
+        if (this.processing) return;
+
+        this.processing = true;
+        clearTimeout(this.timer);
+
+        try {
+            let delivery;
+            while ((delivery = this.next())) {
+                try {
+                    await this.attempt(delivery);
+                } catch (err) {
+                    // Storage errors; the delivery waits instead of being retried in a loop
+                    this.logger.error(`🔗 Webhook delivery ${delivery.id} could not be processed: ${err.message}`);
+                    delivery.nextAttemptAt = Date.now() + BACKOFF_BASE;
+                }
+            }
+        } catch (err) {
+            this.logger.error(`🔗 Webhook processing failed: ${err.message}`);
+        } finally {
+            this.processing = false;
+        }
+
+        // Wake up for the earliest delivery still backing off
+        const waiting = this.pending.map(delivery => delivery.nextAttemptAt);
+        if (waiting.length > 0) {
+            this.timer = setTimeout(() => this.process(), Math.max(0, Math.min(...waiting) - Date.now()));
+        }
+    }
+
+    async attempt(delivery) {
+        const webhook = this.db.get(this.collection)[delivery.webhookId];
+        if (!webhook || (!webhook.active && delivery.event !== TEST_EVENT)) {
+            return this.finish(delivery, 'failed', webhook ? 'Webhook is disabled' : 'Webhook was deleted');
+        }
+
+        const body = JSON.stringify(delivery.payload);
+        const timestamp = Math.floor(Date.now() / 1000);
+        const started = Date.now();
+        let response;
+
+        try {
+            const result = await axios.post(webhook.url, body, {
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'NdiiClouD-Webhooks',
+                    'X-Webhook-Event': delivery.event,
+                    'X-Webhook-Delivery': delivery.id,
+                    'X-Webhook-Timestamp': String(timestamp),
+                    'X-Webhook-Signature': `sha256=${signPayload(webhook.secret, timestamp, body)}`
+                },
+                timeout: this.timeout,
+                maxRedirects: 0,
+                responseType: 'text',
+                transformResponse: [(data) => data],
+                validateStatus: () => true
+            });
+
+            response = {
+                at: started,
+                duration: Date.now() - started,
+                status: result.status,
+                body: String(result.data ?? '').slice(0, RESPONSE_EXCERPT),
+                error: result.status >= 200 && result.status < 300 ? null : `HTTP ${result.status}`
+            };
+        } catch (err) {
+            response = { at: started, duration: Date.now() - started, status: null, body: null, error: err.message };
+        }
+
+        delivery.attempts++;
+        delivery.responses.push(response);
+
+        if (!response.error) return this.finish(delivery, 'delivered');
+        if (delivery.attempts >= this.maxAttempts) {
+            this.logger.warn(`🔗 Webhook delivery ${delivery.id} (${delivery.event}) failed after ${delivery.attempts} attempts: ${response.error}`);
+            return this.finish(delivery, 'failed', response.error);
+        }
+
+        const backoff = Math.min(BACKOFF_BASE * 2 ** (delivery.attempts - 1), BACKOFF_MAX);
+        delivery.nextAttemptAt = Date.now() + backoff;
+        this.db.update(this.logCollection, delivery.id, delivery);
+    }
+
+    finish(delivery, status, error = null) {
+        delivery.status = status;
+        delivery.error = error;
+        delivery.finishedAt = Date.now();
+        this.pending = this.pending.filter(d => d !== delivery);
+        this.db.update(this.logCollection, delivery.id, delivery);
+    }
+
+    // Delivery log
+
+    deliveries({ webhookId = null, event = null, status = null, limit = 50 } = {}) {
+        return Object.values(this.db.get(this.logCollection))
+            .filter(delivery =>
+                (!webhookId || delivery.webhookId === webhookId) &&
+                (!event || delivery.event === event) &&
+                (!status || delivery.status === status)
+            )
+            .sort((a, b) => b.createdAt - a.createdAt)
+            .slice(0, limit)
+            .map(summarize);
+    }
+
+    // With its payload and every response
+    delivery(id) {
+        return this.db.get(this.logCollection)[id] || null;
+    }
+
+    // Sends a finished delivery again with the same id and payload
+    redeliver(id) {
+        const delivery = this.delivery(id);
+        if (!delivery) return { success: false, notFound: true };
+        if (delivery.status === 'pending') return { success: false, error: 'Delivery is still pending' };
+
+        Object.assign(delivery, { status: 'pending', attempts: 0, nextAttemptAt: 0, error: null, finishedAt: null });
+        this.pending.push(delivery);
+        this.db.update(this.logCollection, id, delivery);
+        this.process();
+        return { success: true, delivery: summarize(delivery) };
+    }
+
+    // Drops finished deliveries older than `before`, returns how many
+    prune(before) {
+        const log = this.db.get(this.logCollection);
+        const old = Object.values(log).filter(delivery => delivery.status !== 'pending' && delivery.finishedAt < before);
+        if (old.length === 0) return 0;
+
+        old.forEach(delivery => delete log[delivery.id]);
+        this.db.set(this.logCollection, log);
+        return old.length;
+    }
+}
+
+/**
+ * @param {object} options
+ * @param {object} options.db             storage from ../storage
+ * @param {string} options.collection     subscriptions collection name
+ * @param {string} options.logCollection  delivery log collection name
+ * @param {number} [options.timeout]      ms to wait for a receiver (WEBHOOK_TIMEOUT_MS, default 10 s)
+ * @param {number} [options.maxAttempts]  attempts before a delivery fails (WEBHOOK_MAX_ATTEMPTS, default 6)
+ */
+function createWebhookDispatcher({
+    timeout = parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10 * 1000,
+    maxAttempts = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 6,
+    ...options
+}) {
+    return new WebhookDispatcher({ timeout, maxAttempts, ...options });
+}
+
+module.exports = { createWebhookDispatcher, signPayload, WEBHOOK_EVENTS, DELIVERY_STATUSES };
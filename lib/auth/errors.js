@@ -0,0 +1,19 @@
+/**
+ * Error thrown by the auth module. `status` is the HTTP status to answer
+ * with; `code` is a stable identifier the web client can map to a message.
+ */
+class AuthError extends Error {
+    constructor(message, status = 400, { code, ...details } = {}) {
+        super(message);
+        this.name = 'AuthError';
+        this.status = status;
+        this.code = code || null;
+        this.details = details;
+    }
+    
+    toJSON() {
+        return { error: this.message, code: this.code, ...this.details };
+    }
+}
+
+module.exports = { AuthError };
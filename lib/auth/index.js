@@ -0,0 +1,429 @@
+/**
+ * =====================================================
+ * NdiiClouD Auth - shared by server.js and /api/auth/*
+ * =====================================================
+ * Login flow:
+ *   requestOTP({ phone | email, ip })  -> code stored (hashed) + delivered
+ *   verifyOTP({ phone | email, code }) -> session + user record
+ *   loginAdmin({ username, password }) -> staff session with role
+ *   getSession(sessionId)              -> enforces idle/absolute timeout
+ *   refreshSession / destroySession / listSessions / revokeUserSessions
+ *
+ * Storage keys:
+ *   otp:<target>            hashed OTP code, expires after OTP_TTL
+ *   otp-lock:<target>:<ip>  lockout after too many wrong codes from an IP
+ *   otp-rate:<kind>:<id>    hourly OTP request counters (see ./otp)
+ *   login-fail:<kind>:<id>  failed admin logins per username / IP
+ *   login-lock:<kind>:<id>  lockout after too many failed logins (see ./login)
+ *   session:<id>            session data, expires after SESSION_IDLE_TTL
+ *                           without activity, SESSION_MAX_AGE after login
+ *   user-sessions:<userId>  ids of the user's sessions (active devices)
+ *   user:<target>           user record, kept across logins
+ *   admin:<username>        admin account (accountStore)
+ *   admins                  list of admin usernames (accountStore)
+ * =====================================================
+ */
+
+const crypto = require('crypto');
+const { createSessionStore, MemoryStore, LocalKVStore, KVStore } = require('./stores');
+const { PERMISSIONS, ROLES, hasPermission } = require('./roles');
+const { AuthError } = require('./errors');
+const { createOTPService, OTP_TTL } = require('./otp');
+const { createLoginLimiter } = require('./login');
+
+const SESSION_IDLE_TTL = parseInt(process.env.SESSION_IDLE_TTL) || 24 * 60 * 60;     // 24 hours
+const SESSION_MAX_AGE = parseInt(process.env.SESSION_MAX_AGE) || 7 * 24 * 60 * 60;   // 7 days
+// Don't rewrite the session on every request just to bump lastSeenAt
+const SESSION_TOUCH_INTERVAL = 60 * 1000;
+
+function generateId() {
+    return crypto.randomBytes(16).toString('hex');
+}
+
+function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+    return `scrypt$${salt}$${hash}`;
+}
+
+function checkPassword(password, stored) {
+    const [scheme, salt, hash] = (stored || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) return false;
+    
+    const expected = Buffer.from(hash, 'hex');
+    const actual = crypto.scryptSync(String(password), salt, expected.length);
+    return crypto.timingSafeEqual(expected, actual);
+}
+
+// Phone numbers are stored by digits only so "+62 812-..." and "62812..." match
+function normalizeTarget({ phone, email }) {
+    if (phone) return phone.replace(/[^0-9]/g, '');
+    if (email) return email.trim().toLowerCase();
+    return null;
+}
+
+/**
+ * @param {object} options
+ * @param {object} options.store         session store (see ./stores)
+ * @param {object} [options.accountStore] store for admin accounts, must be
+ *                                        persistent (defaults to `store`)
+ * @param {Function} [options.deliverOTP] async ({ phone, email, code }) => void
+ * @param {Function} [options.onUserVerified] async (user) => void
+ * @param {Function} [options.onAdminsChanged] async (admins) => void
+ */
+function createAuth({
+    store,
+    accountStore = store,
+    deliverOTP = async () => {},
+    onUserVerified = async () => {},
+    onAdminsChanged = async () => {}
+}) {
+    const otp = createOTPService({ store });
+    const loginLimiter = createLoginLimiter({ store });
+
+    // Seconds until the session must go: idle timeout capped by absolute expiry
+    function sessionTTL(session) {
+        const remaining = Math.ceil((session.expiresAt - Date.now()) / 1000);
+        return Math.max(1, Math.min(SESSION_IDLE_TTL, remaining));
+    }
+
+    async function getSessionIds(userId) {
+        return (await store.get(`user-sessions:${userId}`)) || [];
+    }
+
+    async function setSessionIds(userId, ids) {
+        await store.set(`user-sessions:${userId}`, ids, { ttl: SESSION_MAX_AGE });
+    }
+
+    async function createSession(user, { device = {}, expiresAt } = {}) {
+        const sessionId = generateId();
+        const now = Date.now();
+        const session = {
+            ...user,
+            sessionId,
+            createdAt: now,
+            lastSeenAt: now,
+            expiresAt: expiresAt || now + SESSION_MAX_AGE * 1000,
+            device: {
+                userAgent: device.userAgent || null,
+                ip: device.ip || null
+            }
+        };
+
+        await store.set(`session:${sessionId}`, session, { ttl: sessionTTL(session) });
+        await setSessionIds(user.id, [...(await getSessionIds(user.id)), sessionId]);
+        return session;
+    }
+
+    async function saveOTP(target, code) {
+        await otp.save(target, String(code));
+    }
+
+    async function requestOTP({ phone, email, ip }) {
+        const target = normalizeTarget({ phone, email });
+        if (!target) throw new AuthError('Phone or email is required', 400, { code: 'TARGET_REQUIRED' });
+
+        const { code, expiresIn, resendAfter } = await otp.request(target, { ip });
+        await deliverOTP({ phone: phone ? target : null, email: email ? target : null, code });
+
+        return { success: true, message: 'OTP sent', expiresIn, resendAfter };
+    }
+
+    async function verifyOTP({ phone, email, code, device }) {
+        const target = normalizeTarget({ phone, email });
+        if (!target) throw new AuthError('Phone or email is required', 400, { code: 'TARGET_REQUIRED' });
+
+        await otp.verify(target, code, { ip: device?.ip });
+
+        // Keep the same user id across logins
+        const existing = await store.get(`user:${target}`);
+        const user = {
+            id: existing?.id || generateId(),
+            name: existing?.name || target,
+            phone: phone ? target : (existing?.phone || null),
+            email: email ? target : (existing?.email || null),
+            role: existing?.role || 'user',
+            createdAt: existing?.createdAt || Date.now()
+        };
+        await store.set(`user:${target}`, user);
+        await onUserVerified(user);
+
+        const session = await createSession(user, { device });
+        return { success: true, sessionId: session.sessionId, user: session };
+    }
+
+    // =================================================
+    // ADMIN ACCOUNTS
+    // =================================================
+
+    // Account without the password hash, safe to return from the API
+    function publicAdmin(account) {
+        const { passwordHash, ...rest } = account;
+        return rest;
+    }
+
+    async function getAdmin(username) {
+        return await accountStore.get(`admin:${String(username).toLowerCase()}`);
+    }
+
+    async function listAdmins() {
+        const usernames = (await accountStore.get('admins')) || [];
+        const admins = [];
+
+        for (const username of usernames) {
+            const account = await getAdmin(username);
+            if (account) admins.push(publicAdmin(account));
+        }
+        return admins;
+    }
+
+    /**
+     * Create or update an admin account. `password` is only required when
+     * creating; on update, omitted fields keep their current value.
+     */
+    async function saveAdmin({ username, name, password, role, phone, disabled }) {
+        if (!username || !/^[a-z0-9._-]{3,32}$/i.test(username)) {
+            throw new AuthError('Username must be 3-32 letters, digits, dots, dashes or underscores');
+        }
+        if (role !== undefined && !ROLES[role]) {
+            throw new AuthError(`Unknown role: ${role}`);
+        }
+        if (password !== undefined && String(password).length < 8) {
+            throw new AuthError('Password must be at least 8 characters');
+        }
+
+        const key = username.toLowerCase();
+        const existing = await getAdmin(key);
+        if (!existing && !password) throw new AuthError('Password is required');
+
+        const account = {
+            username: key,
+            name: name ?? existing?.name ?? key,
+            role: role ?? existing?.role ?? 'support',
+            phone: phone !== undefined ? (phone ? String(phone).replace(/[^0-9]/g, '') : null) : (existing?.phone ?? null),
+            disabled: disabled ?? existing?.disabled ?? false,
+            passwordHash: password ? hashPassword(password) : existing.passwordHash,
+            createdAt: existing?.createdAt ?? Date.now(),
+            updatedAt: Date.now()
+        };
+
+        await assertOwnerRemains(key, account);
+        await accountStore.set(`admin:${key}`, account);
+
+        const usernames = (await accountStore.get('admins')) || [];
+        if (!usernames.includes(key)) {
+            await accountStore.set('admins', [...usernames, key]);
+        }
+
+        // Role or access changed: make the admin log in again
+        if (existing && (existing.role !== account.role || account.disabled || password)) {
+            await revokeUserSessions(`admin:${key}`);
+        }
+
+        await onAdminsChanged(await listAdmins());
+        return publicAdmin(account);
+    }
+
+    async function removeAdmin(username) {
+        const key = String(username).toLowerCase();
+        if (!(await getAdmin(key))) throw new AuthError('Admin not found', 404);
+
+        await assertOwnerRemains(key, null);
+        await accountStore.del(`admin:${key}`);
+
+        const usernames = (await accountStore.get('admins')) || [];
+        await accountStore.set('admins', usernames.filter(u => u !== key));
+        const revoked = await revokeUserSessions(`admin:${key}`);
+
+        await onAdminsChanged(await listAdmins());
+        return revoked;
+    }
+
+    // Never leave the install without an enabled owner
+    async function assertOwnerRemains(username, next) {
+        const admins = await listAdmins();
+        const otherOwners = admins
+            .filter(a => a.role === 'owner' && !a.disabled && a.username !== username);
+        const wasOwner = admins.some(a => a.username === username && a.role === 'owner' && !a.disabled);
+        const stillOwner = next && next.role === 'owner' && !next.disabled;
+
+        if (wasOwner && !stillOwner && otherOwners.length === 0) {
+            throw new AuthError('At least one enabled owner is required');
+        }
+    }
+
+    /**
+     * Create the first owner account from ADMIN_USERNAME / ADMIN_PASSWORD
+     * (and optional ADMIN_PHONE) when no admin account exists yet.
+     */
+    async function ensureOwner(env = process.env) {
+        if ((await listAdmins()).length > 0) return null;
+        if (!env.ADMIN_USERNAME || !env.ADMIN_PASSWORD) return null;
+
+        return await saveAdmin({
+            username: env.ADMIN_USERNAME,
+            name: env.ADMIN_NAME || 'Owner',
+            password: env.ADMIN_PASSWORD,
+            phone: env.ADMIN_PHONE || null,
+            role: 'owner'
+        });
+    }
+
+    async function loginAdmin({ username, password, device = {} }) {
+        if (!username) throw new AuthError('Invalid username or password', 401);
+
+        const key = String(username).toLowerCase();
+        await loginLimiter.check(key, { ip: device.ip });
+
+        const account = await getAdmin(key);
+        if (!account || account.disabled || !checkPassword(password, account.passwordHash)) {
+            await loginLimiter.failed(key, { ip: device.ip });
+            throw new AuthError('Invalid username or password', 401);
+        }
+        await loginLimiter.succeeded(key);
+
+        const session = await createSession({
+            id: `admin:${account.username}`,
+            name: account.name,
+            role: 'admin',
+            adminRole: account.role,
+            username: account.username,
+            phone: account.phone
+        }, { device });
+
+        return { success: true, isAdmin: true, sessionId: session.sessionId, user: session };
+    }
+
+    // =================================================
+    // SESSIONS
+    // =================================================
+
+    async function getSession(sessionId) {
+        if (!sessionId) return null;
+
+        const session = await store.get(`session:${sessionId}`);
+        if (!session) return null;
+
+        const now = Date.now();
+        // Sessions from before expiry tracking only have createdAt
+        const expiresAt = session.expiresAt || session.createdAt + SESSION_MAX_AGE * 1000;
+        const lastSeenAt = session.lastSeenAt || session.createdAt;
+
+        if (expiresAt <= now || lastSeenAt + SESSION_IDLE_TTL * 1000 <= now) {
+            await destroySession(sessionId);
+            return null;
+        }
+
+        if (now - lastSeenAt >= SESSION_TOUCH_INTERVAL) {
+            session.lastSeenAt = now;
+            session.expiresAt = expiresAt;
+            await store.set(`session:${sessionId}`, session, { ttl: sessionTTL(session) });
+        }
+
+        return session;
+    }
+
+    /**
+     * Swap the session for a new id. The absolute expiry is kept, so
+     * refreshing can't extend a login past SESSION_MAX_AGE.
+     */
+    async function refreshSession(sessionId, { device } = {}) {
+        const session = await getSession(sessionId);
+        if (!session) throw new AuthError('Session expired', 401);
+
+        const { sessionId: _old, createdAt, lastSeenAt, expiresAt, device: oldDevice, ...user } = session;
+        const fresh = await createSession(user, {
+            device: device || oldDevice,
+            expiresAt
+        });
+        await destroySession(sessionId);
+
+        return { success: true, sessionId: fresh.sessionId, user: fresh };
+    }
+
+    async function destroySession(sessionId) {
+        if (!sessionId) return;
+
+        const session = await store.get(`session:${sessionId}`);
+        await store.del(`session:${sessionId}`);
+
+        if (session) {
+            const ids = await getSessionIds(session.id);
+            await setSessionIds(session.id, ids.filter(id => id !== sessionId));
+        }
+    }
+
+    /**
+     * Active sessions (devices) of a user. Ids whose session already
+     * expired are dropped from the index on the way.
+     */
+    async function listSessions(userId) {
+        const ids = await getSessionIds(userId);
+        const sessions = [];
+
+        for (const id of ids) {
+            const session = await store.get(`session:${id}`);
+            if (session) sessions.push(session);
+        }
+
+        if (sessions.length !== ids.length) {
+            await setSessionIds(userId, sessions.map(s => s.sessionId));
+        }
+
+        return sessions.map(s => ({
+            sessionId: s.sessionId,
+            createdAt: s.createdAt,
+            lastSeenAt: s.lastSeenAt || s.createdAt,
+            expiresAt: s.expiresAt,
+            device: s.device || {}
+        }));
+    }
+
+    /**
+     * Revoke every session of a user except `except`.
+     * Returns the revoked session ids so callers can drop live connections.
+     */
+    async function revokeUserSessions(userId, { except } = {}) {
+        const ids = await getSessionIds(userId);
+        const revoked = ids.filter(id => id !== except);
+
+        for (const id of revoked) {
+            await store.del(`session:${id}`);
+        }
+        await setSessionIds(userId, ids.filter(id => id === except));
+
+        return revoked;
+    }
+
+    return {
+        requestOTP,
+        verifyOTP,
+        saveOTP,
+        loginAdmin,
+        listAdmins,
+        saveAdmin,
+        removeAdmin,
+        ensureOwner,
+        getSession,
+        refreshSession,
+        destroySession,
+        listSessions,
+        revokeUserSessions,
+        normalizeTarget
+    };
+}
+
+module.exports = {
+    createAuth,
+    createSessionStore,
+    MemoryStore,
+    LocalKVStore,
+    KVStore,
+    AuthError,
+    PERMISSIONS,
+    ROLES,
+    hasPermission,
+    OTP_TTL,
+    SESSION_IDLE_TTL,
+    SESSION_MAX_AGE
+};
@@ -0,0 +1,84 @@
+/**
+ * Attempt limits for admin password logins, like ./otp does for codes.
+ *
+ * - After LOGIN_MAX_ATTEMPTS wrong passwords for one username within
+ *   LOGIN_LOCK_SECONDS, that username is locked for LOGIN_LOCK_SECONDS
+ * - After LOGIN_MAX_PER_IP failed logins from one IP within an hour, the
+ *   IP is locked for an hour
+ * - A successful login clears the username's failures
+ *
+ * Unknown usernames are counted the same way, so the answer doesn't tell
+ * which accounts exist. Locked logins throw LOGIN_LOCKED with retryAfter.
+ */
+
+const { AuthError } = require('./errors');
+
+const int = (value, fallback) => parseInt(value) || fallback;
+
+const LOGIN_MAX_ATTEMPTS = int(process.env.LOGIN_MAX_ATTEMPTS, 5);
+const LOGIN_LOCK_SECONDS = int(process.env.LOGIN_LOCK_SECONDS, 15 * 60);
+const LOGIN_MAX_PER_IP = int(process.env.LOGIN_MAX_PER_IP, 20);           // per hour
+const IP_WINDOW = 60 * 60;
+
+const secondsUntil = (time) => Math.max(1, Math.ceil((time - Date.now()) / 1000));
+
+function createLoginLimiter({ store }) {
+    async function assertNotLocked(key) {
+        const lock = await store.get(`login-lock:${key}`);
+        if (lock && lock.until > Date.now()) {
+            throw new AuthError('Too many failed logins', 429, {
+                code: 'LOGIN_LOCKED',
+                retryAfter: secondsUntil(lock.until)
+            });
+        }
+    }
+
+    /**
+     * Count one failure in a fixed window of `seconds`. Once `max` is
+     * reached the counter is dropped and `key` is locked for `seconds`.
+     * Returns whether it got locked.
+     */
+    async function fail(key, max, seconds) {
+        const now = Date.now();
+        const current = await store.get(`login-fail:${key}`);
+        const bucket = current && current.resetAt > now ?
+            current :
+            { count: 0, resetAt: now + seconds * 1000 };
+
+        bucket.count++;
+        if (bucket.count < max) {
+            await store.set(`login-fail:${key}`, bucket, { ttl: secondsUntil(bucket.resetAt) });
+            return false;
+        }
+
+        await store.del(`login-fail:${key}`);
+        await store.set(`login-lock:${key}`, { until: now + seconds * 1000 }, { ttl: seconds });
+        return true;
+    }
+
+    // Throws LOGIN_LOCKED when the username or the IP is locked
+    async function check(username, { ip } = {}) {
+        if (ip) await assertNotLocked(`ip:${ip}`);
+        await assertNotLocked(`account:${username}`);
+    }
+
+    // Counts a wrong password; throws LOGIN_LOCKED if it locked the username or IP
+    async function failed(username, { ip } = {}) {
+        const ipLocked = ip ? await fail(`ip:${ip}`, LOGIN_MAX_PER_IP, IP_WINDOW) : false;
+        const accountLocked = await fail(`account:${username}`, LOGIN_MAX_ATTEMPTS, LOGIN_LOCK_SECONDS);
+
+        if (ipLocked || accountLocked) await check(username, { ip });
+    }
+
+    async function succeeded(username) {
+        await store.del(`login-fail:account:${username}`);
+    }
+
+    return { check, failed, succeeded };
+}
+
+module.exports = {
+    createLoginLimiter,
+    LOGIN_MAX_ATTEMPTS,
+    LOGIN_LOCK_SECONDS
+};
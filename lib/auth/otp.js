@@ -0,0 +1,162 @@
+/**
+ * One-time password codes for login.
+ *
+ * - Codes come from crypto.randomInt and only their hash is stored
+ * - A code is dropped after OTP_MAX_ATTEMPTS wrong guesses and the target
+ *   is locked for OTP_LOCK_SECONDS from the IP that made them, so wrong
+ *   guesses from elsewhere can't lock the owner out of their own login
+ * - Requests are limited per phone/email and per IP within an hour, with
+ *   a cooldown between two sends to the same target
+ *
+ * Errors carry a `code` the web client turns into a message:
+ *   OTP_COOLDOWN, OTP_RATE_LIMITED, OTP_LOCKED, OTP_NOT_FOUND,
+ *   OTP_EXPIRED, OTP_INVALID
+ */
+
+const crypto = require('crypto');
+const { AuthError } = require('./errors');
+
+const int = (value, fallback) => parseInt(value) || fallback;
+
+const OTP_TTL = 5 * 60;                                                   // 5 minutes
+const OTP_MAX_ATTEMPTS = int(process.env.OTP_MAX_ATTEMPTS, 5);
+const OTP_LOCK_SECONDS = int(process.env.OTP_LOCK_SECONDS, 15 * 60);
+const OTP_RESEND_COOLDOWN = int(process.env.OTP_RESEND_COOLDOWN, 60);
+const OTP_MAX_PER_TARGET = int(process.env.OTP_MAX_PER_TARGET, 5);       // per hour
+const OTP_MAX_PER_IP = int(process.env.OTP_MAX_PER_IP, 20);              // per hour
+const RATE_WINDOW = 60 * 60;
+
+function hashCode(target, code) {
+    return crypto
+        .createHmac('sha256', process.env.OTP_SECRET || 'ndiicloud-otp')
+        .update(`${target}:${code}`)
+        .digest('hex');
+}
+
+function sameHash(a, b) {
+    const left = Buffer.from(String(a), 'hex');
+    const right = Buffer.from(String(b), 'hex');
+    return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+const secondsUntil = (time) => Math.max(1, Math.ceil((time - Date.now()) / 1000));
+
+function createOTPService({ store }) {
+    /**
+     * Count one request in a fixed one-hour window. Throws once `max` is
+     * exceeded; the counter expires with the window.
+     */
+    async function hit(key, max) {
+        const now = Date.now();
+        const current = await store.get(key);
+        const bucket = current && current.resetAt > now ?
+            current :
+            { count: 0, resetAt: now + RATE_WINDOW * 1000 };
+        
+        if (bucket.count >= max) {
+            throw new AuthError('Too many OTP requests', 429, {
+                code: 'OTP_RATE_LIMITED',
+                retryAfter: secondsUntil(bucket.resetAt)
+            });
+        }
+        
+        bucket.count++;
+        await store.set(key, bucket, { ttl: secondsUntil(bucket.resetAt) });
+    }
+    
+    const lockKey = (target, ip) => ip ? `otp-lock:${target}:${ip}` : `otp-lock:${target}`;
+    
+    async function assertNotLocked(target, ip) {
+        const lock = await store.get(lockKey(target, ip));
+        if (lock && lock.until > Date.now()) {
+            throw new AuthError('Too many wrong codes', 429, {
+                code: 'OTP_LOCKED',
+                retryAfter: secondsUntil(lock.until)
+            });
+        }
+    }
+    
+    /**
+     * Store a code for `target`. Used directly for codes an admin sends
+     * by hand, which skip the request limits.
+     */
+    async function save(target, code) {
+        await store.set(`otp:${target}`, {
+            hash: hashCode(target, code),
+            expires: Date.now() + OTP_TTL * 1000,
+            sentAt: Date.now(),
+            attempts: 0
+        }, { ttl: OTP_TTL });
+    }
+    
+    /**
+     * Generate a code for a login request. Returns the code so the caller
+     * can deliver it; it is never stored in clear.
+     */
+    async function request(target, { ip } = {}) {
+        await assertNotLocked(target, ip);
+        
+        const existing = await store.get(`otp:${target}`);
+        if (existing?.sentAt && Date.now() - existing.sentAt < OTP_RESEND_COOLDOWN * 1000) {
+            throw new AuthError('Please wait before requesting a new code', 429, {
+                code: 'OTP_COOLDOWN',
+                retryAfter: secondsUntil(existing.sentAt + OTP_RESEND_COOLDOWN * 1000)
+            });
+        }
+        
+        if (ip) await hit(`otp-rate:ip:${ip}`, OTP_MAX_PER_IP);
+        await hit(`otp-rate:target:${target}`, OTP_MAX_PER_TARGET);
+        
+        const code = crypto.randomInt(100000, 1000000).toString();
+        await save(target, code);
+        
+        return { code, expiresIn: OTP_TTL, resendAfter: OTP_RESEND_COOLDOWN };
+    }
+    
+    async function verify(target, code, { ip } = {}) {
+        await assertNotLocked(target, ip);
+        
+        const otp = await store.get(`otp:${target}`);
+        if (!otp || !otp.hash) {
+            throw new AuthError('OTP not found or expired', 400, { code: 'OTP_NOT_FOUND' });
+        }
+        
+        if (otp.expires < Date.now()) {
+            await store.del(`otp:${target}`);
+            throw new AuthError('OTP expired', 400, { code: 'OTP_EXPIRED' });
+        }
+        
+        if (!sameHash(otp.hash, hashCode(target, String(code)))) {
+            otp.attempts++;
+            
+            if (otp.attempts >= OTP_MAX_ATTEMPTS) {
+                await store.del(`otp:${target}`);
+                await store.set(lockKey(target, ip), {
+                    until: Date.now() + OTP_LOCK_SECONDS * 1000
+                }, { ttl: OTP_LOCK_SECONDS });
+                
+                throw new AuthError('Too many wrong codes', 429, {
+                    code: 'OTP_LOCKED',
+                    retryAfter: OTP_LOCK_SECONDS
+                });
+            }
+            
+            await store.set(`otp:${target}`, otp, { ttl: secondsUntil(otp.expires) });
+            throw new AuthError('Invalid code', 400, {
+                code: 'OTP_INVALID',
+                attemptsLeft: OTP_MAX_ATTEMPTS - otp.attempts
+            });
+        }
+        
+        await store.del(`otp:${target}`);
+    }
+    
+    return { request, verify, save };
+}
+
+module.exports = {
+    createOTPService,
+    OTP_TTL,
+    OTP_MAX_ATTEMPTS,
+    OTP_RESEND_COOLDOWN
+};
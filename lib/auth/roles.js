@@ -0,0 +1,45 @@
+/**
+ * Admin roles and their permissions.
+ *
+ * Shared by the web API (requireAdmin(permission) in server.js) and the bot's
+ * admin commands (the `permission` of each command in bot/commands), so a
+ * staff member can do the same things from the dashboard and from WhatsApp.
+ */
+
+const PERMISSIONS = {
+    VIEW_STATS: 'view_stats',
+    VIEW_USERS: 'view_users',
+    SEND_MESSAGE: 'send_message',
+    SEND_OTP: 'send_otp',
+    BROADCAST: 'broadcast',
+    BLOCK: 'block',
+    MANAGE_CHATS: 'manage_chats',
+    MANAGE_GROUPS: 'manage_groups',
+    MANAGE_PROFILE: 'manage_profile',
+    MANAGE_SESSIONS: 'manage_sessions',
+    MANAGE_REPLIES: 'manage_replies',
+    MANAGE_QUEUE: 'manage_queue',
+    SETTINGS: 'settings',
+    RESTART: 'restart',
+    MANAGE_ADMINS: 'manage_admins'
+};
+
+const ALL = Object.values(PERMISSIONS);
+
+const ROLES = {
+    owner: ALL,
+    operator: ALL.filter(p => p !== PERMISSIONS.MANAGE_ADMINS),
+    support: [
+        PERMISSIONS.VIEW_STATS,
+        PERMISSIONS.VIEW_USERS,
+        PERMISSIONS.SEND_MESSAGE,
+        PERMISSIONS.SEND_OTP,
+        PERMISSIONS.MANAGE_REPLIES
+    ]
+};
+
+function hasPermission(role, permission) {
+    return !!ROLES[role]?.includes(permission);
+}
+
+module.exports = { PERMISSIONS, ROLES, hasPermission };
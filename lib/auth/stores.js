@@ -0,0 +1,131 @@
+/**
+ * Key/value stores for auth data (sessions, OTP codes, user records).
+ *
+ * All stores share the same async interface:
+ *   get(key)                     -> value or null
+ *   set(key, value, { ttl })     -> ttl in seconds, optional
+ *   del(key)
+ *
+ * - MemoryStore:  Map, for the long-running Express server
+ * - KVStore:      Vercel KV, for the serverless functions
+ * - LocalKVStore: JSON file stand-in for Vercel KV (`vercel dev` without
+ *                 KV credentials), shared by every function invocation
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+class MemoryStore {
+    constructor() {
+        this.data = new Map();
+    }
+    
+    async get(key) {
+        const entry = this.data.get(key);
+        if (!entry) return null;
+        if (entry.expires && entry.expires <= Date.now()) {
+            this.data.delete(key);
+            return null;
+        }
+        return entry.value;
+    }
+    
+    async set(key, value, { ttl } = {}) {
+        this.data.set(key, {
+            value,
+            expires: ttl ? Date.now() + ttl * 1000 : null
+        });
+    }
+    
+    async del(key) {
+        this.data.delete(key);
+    }
+}
+
+class LocalKVStore {
+    constructor(file = process.env.LOCAL_KV_PATH || path.join(process.cwd(), '.kv', 'store.json')) {
+        this.file = file;
+    }
+    
+    read() {
+        try {
+            return JSON.parse(fs.readFileSync(this.file, 'utf8'));
+        } catch {
+            return {};
+        }
+    }
+    
+    write(data) {
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+        fs.writeFileSync(this.file, JSON.stringify(data, null, 2));
+    }
+    
+    async get(key) {
+        const data = this.read();
+        const entry = data[key];
+        if (!entry) return null;
+        if (entry.expires && entry.expires <= Date.now()) {
+            delete data[key];
+            this.write(data);
+            return null;
+        }
+        return entry.value;
+    }
+    
+    async set(key, value, { ttl } = {}) {
+        const data = this.read();
+        data[key] = {
+            value,
+            expires: ttl ? Date.now() + ttl * 1000 : null
+        };
+        this.write(data);
+    }
+    
+    async del(key) {
+        const data = this.read();
+        delete data[key];
+        this.write(data);
+    }
+}
+
+class KVStore {
+    constructor(kv = require('@vercel/kv').kv) {
+        this.kv = kv;
+    }
+    
+    async get(key) {
+        const value = await this.kv.get(key);
+        // Older records were written as JSON strings
+        return typeof value === 'string' ? JSON.parse(value) : value;
+    }
+    
+    async set(key, value, { ttl } = {}) {
+        await this.kv.set(key, JSON.stringify(value), ttl ? { ex: ttl } : undefined);
+    }
+    
+    async del(key) {
+        await this.kv.del(key);
+    }
+}
+
+/**
+ * Pick a store for the current deployment. AUTH_STORE forces one of
+ * `memory`, `kv` or `local`; otherwise Vercel KV is used when its
+ * credentials are present and `fallback` when they are not.
+ */
+function createSessionStore({ fallback = 'memory' } = {}) {
+    const type = process.env.AUTH_STORE || (process.env.KV_REST_API_URL ? 'kv' : fallback);
+    
+    switch (type) {
+        case 'kv':
+            return new KVStore();
+        case 'local':
+            return new LocalKVStore();
+        case 'memory':
+            return new MemoryStore();
+        default:
+            throw new Error(`Unknown auth store: ${type}`);
+    }
+}
+
+module.exports = { MemoryStore, LocalKVStore, KVStore, createSessionStore };
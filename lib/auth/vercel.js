@@ -0,0 +1,65 @@
+/**
+ * Auth instance for the Vercel functions in /api/auth.
+ *
+ * Uses Vercel KV when configured (LocalKVStore otherwise, so `vercel dev`
+ * works without credentials) and delivers OTP codes through the external
+ * WhatsApp bot service, or by email for email logins. Either failing fails
+ * the OTP request.
+ */
+
+const { createAuth, createSessionStore, AuthError, OTP_TTL } = require('./index');
+const { createMailer } = require('../mail');
+
+const BOT_SERVICE_URL = process.env.WHATSAPP_BOT_URL || 'http://localhost:3001';
+
+const mailer = createMailer();
+
+async function deliverOTP({ phone, email, code }) {
+    if (email) {
+        try {
+            await mailer.sendOTP(email, code, { ttlMinutes: OTP_TTL / 60 });
+        } catch (err) {
+            console.error('Email OTP error:', err);
+            throw new AuthError('Failed to send OTP email', 502, { code: 'OTP_DELIVERY_FAILED' });
+        }
+        return;
+    }
+    if (!phone) return;
+    
+    try {
+        const botResponse = await fetch(`${BOT_SERVICE_URL}/send-otp`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                ...(process.env.BOT_SERVICE_TOKEN && {
+                    Authorization: `Bearer ${process.env.BOT_SERVICE_TOKEN}`
+                })
+            },
+            body: JSON.stringify({ phone, code })
+        });
+        
+        if (!botResponse.ok) {
+            throw new Error(`Bot service answered ${botResponse.status}`);
+        }
+    } catch (err) {
+        // The code itself is never logged, only stored hashed
+        console.error('Bot service error:', err);
+        throw new AuthError('Failed to send OTP via WhatsApp', 502, { code: 'OTP_DELIVERY_FAILED' });
+    }
+}
+
+// Vercel's edge sets x-real-ip to the address it received the request from,
+// replacing whatever the client sent; X-Forwarded-For is not trusted
+function clientDevice(req) {
+    return {
+        userAgent: req.headers['user-agent'] || null,
+        ip: req.headers['x-real-ip'] || req.socket?.remoteAddress || null
+    };
+}
+
+const auth = createAuth({
+    store: createSessionStore({ fallback: 'local' }),
+    deliverOTP
+});
+
+module.exports = { auth, clientDevice };
@@ -0,0 +1,558 @@
+/**
+ * English. `commandHelp` translates the descriptions and usages of the
+ * commands in bot/commands, which are written in Indonesian.
+ */
+
+module.exports = {
+    languageName: 'English',
+
+    commands: {
+        unknown: '❓ Unknown command. Type /menu to see the list.',
+        groupOnly: '❌ This command only works in groups.',
+        privateOnly: '❌ This command only works in private chats.',
+        groupAdminOnly: '❌ Only group admins can use this command.',
+        noAccess: '❌ You do not have access to this command.',
+        missingPermission: '❌ Role *{role}* does not have the `{permission}` permission.',
+        cooldown: '⏳ Wait {seconds} seconds before using /{command} again.',
+        format: '❌ Usage: {usage}\nType /help {command} for details.',
+        failed: '❌ /{command} failed: {error}'
+    },
+
+    commandHelp: {
+        menu: { description: 'Show this menu' },
+        help: { description: 'Details of a command', usage: '[command]' },
+        ping: { description: 'Check latency' },
+        info: { description: 'Bot info' },
+        waktu: { description: 'Current time' },
+        owner: { description: 'About the creator' },
+        lang: { description: 'Your language' },
+        sticker: { description: 'Image/video to sticker' },
+        toimg: { description: 'Sticker to image' },
+        tomp3: { description: 'Video to audio' },
+        tovn: { description: 'Audio to voice note' },
+        groupinfo: { description: 'Group info' },
+        tagall: { description: 'Mention every member', usage: '[message]' },
+        hidetag: { description: 'Mention everyone without a list', usage: '[message]' },
+        kick: { description: 'Remove a member' },
+        add: { description: 'Add a member', usage: '[number]' },
+        promote: { description: 'Make admin' },
+        demote: { description: 'Revoke admin' },
+        groupset: { description: 'Group settings' },
+        warn: { description: 'Warn a member', usage: '@user [reason]' },
+        warnings: { description: 'List warnings' },
+        resetwarn: { description: 'Clear warnings' },
+        modlog: { description: 'Moderation log', usage: '[count]' },
+        block: { description: 'Block a user', usage: '[number]' },
+        unblock: { description: 'Unblock a user', usage: '[number]' },
+        ban: { description: 'Ban from the bot', usage: '[number] [30m|2h|1d|perm] [reason]' },
+        unban: { description: 'Lift a bot ban', usage: '[number]' },
+        banlist: { description: 'Banned users' },
+        clearchat: { description: 'Clear a chat', usage: '[number]' },
+        archive: { description: 'Archive a chat', usage: '[number]' },
+        unarchive: { description: 'Unarchive a chat', usage: '[number]' },
+        mute: { description: 'Mute a chat', usage: '[number] [days]' },
+        unmute: { description: 'Unmute a chat', usage: '[number]' },
+        pin: { description: 'Pin a chat', usage: '[number]' },
+        unpin: { description: 'Unpin a chat', usage: '[number]' },
+        delete: { description: 'Delete the replied message', usage: '[sender number] (reply to a message)' },
+        react: { description: 'React to the replied message', usage: '[emoji] (reply to a message)' },
+        broadcast: { description: 'Send to everyone', usage: '[options |] [message]' },
+        campaigns: { description: 'List broadcasts' },
+        campaign: { description: 'Broadcast status or control' },
+        otp: { description: 'Send an OTP', usage: '[number] [code]' },
+        notify: { description: 'Send a notification', usage: '[number] [message]' },
+        templates: { description: 'Message templates' },
+        template: { description: 'View, change or reset a template', usage: '[name] [id|en|reset] | [text]' },
+        schedule: { description: 'Schedule a message', usage: '[number] [time] | [message]' },
+        schedules: { description: 'Scheduled messages' },
+        unschedule: { description: 'Cancel a schedule' },
+        queue: { description: 'Message queue' },
+        getstatus: { description: 'View statuses', usage: '[number]' },
+        sendstatus: { description: 'Post a status', usage: '[text]' },
+        save: { description: 'Save the replied contact', usage: '(reply to a contact)' },
+        getcontact: { description: 'Look up a number on WhatsApp', usage: '[number]' },
+        setpp: { description: 'Change this chat\'s picture', usage: '(reply to an image)' },
+        setppbot: { description: 'Change the bot\'s profile picture', usage: '(reply to an image)' },
+        setname: { description: 'Change the bot\'s name', usage: '[name]' },
+        setstatus: { description: 'Change the bot\'s about text', usage: '[text]' },
+        stats: { description: 'Bot statistics' },
+        getgroups: { description: 'List groups' },
+        joingroup: { description: 'Join a group' },
+        leave: { description: 'Leave a group' },
+        settings: { description: 'Show bot settings' },
+        set: { description: 'Change a setting, /settings lists the keys' },
+        restart: { description: 'Restart the bot' },
+        shutdown: { description: 'Stop the bot' }
+    },
+
+    menu: {
+        title: '🤖 *NdiiClouD Bot Menu*',
+        footer: 'Type /help [command] for details.\n\n🌩️ *NdiiClouD v3.0*',
+        sections: {
+            general: '📱 User Commands',
+            media: '🎨 Media',
+            group: '👥 Group Admin',
+            admin: '👑 Admin Commands'
+        }
+    },
+
+    help: {
+        unknownCommand: '❌ Unknown command /{command}. Type /menu to see the list.',
+        format: '📝 Usage: {usage}',
+        aliases: '🔀 Aliases: {aliases}',
+        access: '🔐 Access: {access}',
+        everyone: 'everyone',
+        groupAdmin: 'group admins',
+        botAdmin: 'bot admins (`{permission}`)',
+        scope: '📍 Where: {scope}',
+        scopes: {
+            all: 'groups & private chats',
+            group: 'groups only',
+            private: 'private chats only'
+        },
+        cooldown: '⏳ Cooldown: {seconds} seconds'
+    },
+
+    ping: '🏓 Pong!\n⏱️ Latency: {latency}ms',
+    owner: '🌩️ *NdiiClouD*\n\nMade by: NdiiClouD Team\nVersion: 3.0.0\nWebsite: ndiicloud.com',
+
+    info: {
+        body: '🤖 *NdiiClouD Bot Info*\n\n' +
+            '📦 Version: 3.0.0 Pro\n' +
+            '📚 Library: Wileys\n' +
+            '⏱️ Uptime: {uptime}\n' +
+            '👥 Total Users: {users}\n' +
+            '📨 Messages Handled: {messages}\n' +
+            '🔁 Reconnections: {reconnections}\n' +
+            '🕐 Last Connected: {lastConnected}\n\n' +
+            '🌩️ *Powered by NdiiClouD*',
+        never: 'Never'
+    },
+
+    lang: {
+        current: '🌐 Your language: *{language}*\n\nChange it with /lang [{options}]',
+        changed: '✅ Language changed to *{language}*',
+        invalid: '❌ Language *{language}* is not available. Options: {options}',
+        groupNote: '\n\nThis group\'s language is set by its admins with /groupset language'
+    },
+
+    convert: {
+        busy: '⏳ Your previous conversion is still running, please wait.',
+        failed: '❌ Failed: {error}',
+        usage: {
+            sticker: '/sticker [pack] | [author] replying to an image or video (10 seconds max)',
+            toimg: '/toimg replying to a sticker',
+            tomp3: '/tomp3 replying to a video or audio',
+            tovn: '/tovn replying to an audio or video'
+        }
+    },
+
+    ban: {
+        spamTitle: '⚠️ *Spam Detected!*',
+        bannedTitle: '🚫 *You Are Banned*',
+        body: '{title}\n\nYou cannot use the bot {length}.\n📝 Reason: {reason}',
+        permanent: 'anymore',
+        remaining: 'for another {duration}'
+    },
+
+    call: {
+        rejected: '⚠️ Sorry, I cannot take calls.\nPlease send a text message instead.\n\n🌩️ NdiiClouD Bot'
+    },
+
+    otp: {
+        message: '🔐 *NdiiClouD OTP CODE*\n\nCode: *{code}*\n\n⏰ Valid for 5 minutes\n🔒 Do not share it!\n\n🌩️ NdiiClouD Security'
+    },
+
+    notify: {
+        message: '🔔 *NdiiClouD Notification*\n\n{message}\n\n🌩️ NdiiClouD'
+    },
+
+    broadcast: {
+        message: '📢 *NdiiClouD ANNOUNCEMENT*\n\n{message}\n\n🌩️ *NdiiClouD Team*'
+    },
+
+    reminder: {
+        message: '👋 *Hi{#if name} {name}{/if}!*\n\nWe miss you! You have not been active on NdiiClouD for a while.\nCome back and chat with your friends! 🌩️'
+    },
+
+    autoReplies: {
+        greetings: [
+            '👋 Hi! How can I help you?',
+            'Hello! How can I assist you today?'
+        ],
+        goodbyes: [
+            '👋 See you! Come back soon!',
+            'Bye bye! Have a great day! ✨'
+        ],
+        thanks: [
+            'You\'re welcome! 😊',
+            'No problem! Happy to help!'
+        ],
+        help: [
+            '🆘 *NdiiClouD Help*\n\nType:\n• *login* - How to log in\n• *features* - See the features\n• *admin* - Contact an admin\n• *otp* - OTP problems',
+            'Need help? Contact an admin from the settings menu!'
+        ],
+        questions: [
+            'Sorry, I did not get that. Type *help* to see the menu.',
+            'Interesting question! Contact an admin for more info.',
+            'I am still learning. Try one of the available commands! 😊'
+        ]
+    },
+
+    group: {
+        goodbye: '👋 Goodbye @{user}!',
+        invited: '👋 You are invited to a group:\n{link}',
+        info: '👥 *{subject}*\n\n' +
+            '🆔 {id}\n' +
+            '👑 Owner: {owner}\n' +
+            '📅 Created: {created}\n' +
+            '👤 Members: {members}\n' +
+            '🛡️ Admins: {admins}\n' +
+            '🔒 Send messages: {send}\n' +
+            '✏️ Edit info: {edit}\n\n' +
+            '📝 {description}',
+        adminsOnly: 'admins only',
+        allMembers: 'all members',
+        noDescription: 'No description',
+        tagAll: 'Attention everyone!',
+        settings: '⚙️ *Group Settings*\n\n{settings}\n\n' +
+            'Change with /groupset [key] [value]\n' +
+            'Reset with /groupset [key] reset\n' +
+            'commands: {categories}, all, none',
+        unknownSetting: '❌ Unknown setting *{key}*.\nKeys: {keys}',
+        setUsage: '❌ Format: /groupset [key] [value]',
+        participants: {
+            botNotAdmin: '❌ The bot must be a group admin for this command.',
+            usage: '❌ Format: /{command} @user, a number, or reply to the member\'s message',
+            failed: '❌ Failed: {error}',
+            result: '👥 */{command}*: {succeeded} succeeded, {failed} failed\n\n{lines}',
+            errors: {
+                401: 'rejected by WhatsApp',
+                403: 'cannot be added because of their privacy settings, invite link sent',
+                404: 'not a group member',
+                406: 'cannot be changed (group creator)',
+                408: 'recently left the group',
+                409: 'already in the group',
+                unknown: 'failed (code {status})'
+            }
+        }
+    },
+
+    moderation: {
+        warning: '⚠️ {member} warning {count}/{max}: {reason}',
+        muted: '\n🔇 Muted for {minutes} minutes',
+        kickFailed: '⚠️ {member} should have been removed ({reason}), but the bot is not a group admin.',
+        kicked: '🚫 {member} removed: {reason}',
+        reasons: {
+            inviteLink: 'group invite link',
+            link: 'sent a link',
+            bannedWords: 'banned word',
+            massMention: 'mentioned {count} people',
+            forwarded: 'message forwarded many times',
+            muted: 'currently muted',
+            maxWarnings: '{count}/{max} warnings ({reason})',
+            manual: 'broke the group rules',
+            reset: 'warnings cleared'
+        },
+        warnUsage: '❌ Format: /warn @user [reason], or reply to their message with /warn [reason]',
+        noWarnings: '✅ No warnings.',
+        warningsTitle: '⚠️ *Warnings ({count})*',
+        mutedUntil: ' 🔇 until {time}',
+        resetUsage: '❌ Format: /resetwarn @user',
+        reset: '✅ Warnings of {member} cleared.',
+        nothingToReset: 'ℹ️ {member} has no warnings.',
+        logEmpty: '🛡️ The moderation log is empty.',
+        logTitle: '🛡️ *Moderation Log ({count})*',
+        logEntry: '  {reason} ({rule}, by {by})'
+    },
+
+    campaign: {
+        usage: '❌ Format: /broadcast [message]\n' +
+            'or /broadcast tag=vip active=7 inactive=30 rate=30 template=[name] | [message]\n\n' +
+            'The message can use {name}, {phone}, {date}; see /templates',
+        invalid: '❌ Could not create the broadcast:\n{details}',
+        started: '📢 Broadcast started\n\n' +
+            '🆔 {id}\n' +
+            '👥 Recipients: {total}\n' +
+            '⚡ {rate} messages/minute\n\n' +
+            'Check it with /campaign {id}',
+        empty: '📢 No broadcasts yet.',
+        listTitle: '📢 *Recent Broadcasts*',
+        notFound: '❌ Broadcast {id} not found.',
+        controlled: '✅ Broadcast {id}: {status}',
+        cannotControl: '❌ Broadcast {id} is {status} and cannot {action}.',
+        status: '📢 *Broadcast {id}*\n\n' +
+            '📌 Status: {status}\n' +
+            '👥 Total: {total}\n' +
+            '✅ Sent: {sent}\n' +
+            '❌ Failed: {failed}\n' +
+            '⏳ Not sent yet: {pending}\n' +
+            '⚡ {rate} messages/minute\n' +
+            '🕐 {createdAt}',
+        report: {
+            title: '📢 *Broadcast Report*',
+            body: '🆔 {id}\n' +
+                '📌 Status: {status}\n' +
+                '👥 Total: {total}\n' +
+                '✅ Sent: {sent}\n' +
+                '📬 Delivered: {delivered}\n' +
+                '👀 Read: {read}\n' +
+                '❌ Failed: {failed}',
+            unconfirmed: '❔ Unconfirmed: {count}',
+            pending: '⏳ Not sent yet: {count}',
+            took: '⏱️ Took: {took}'
+        }
+    },
+
+    queue: {
+        paused: '✅ Queue paused.',
+        resumed: '✅ Queue resumed.',
+        deadEmpty: '📭 No dead letters.',
+        deadTitle: '💀 *Dead Letters ({count})*',
+        retryHint: 'Resend with /queue retry [id|all]',
+        retryUsage: '❌ Format: /queue retry [id|all]',
+        retried: '🔁 {count} messages put back in the queue.',
+        notFound: '❌ Message not found.',
+        purged: '🗑️ {count} messages removed from the queue.',
+        purgedDead: '🗑️ {count} dead letters removed.',
+        status: '📬 *Message Queue*\n\n' +
+            '📌 Status: {state}\n' +
+            '⏳ Queued: {length}\n' +
+            '🔴 High: {high} · 🟡 Normal: {normal} · 🟢 Low: {low}\n' +
+            '🔁 Waiting to retry: {backingOff}\n' +
+            '💀 Dead letters: {deadLetter}\n\n' +
+            '/queue [pause|resume|dead|retry|purge]',
+        states: {
+            paused: 'paused',
+            sending: 'sending',
+            ready: 'ready'
+        }
+    },
+
+    schedule: {
+        usage: '❌ Format: /schedule [number|groupId|here] [time] | [message]\n\n' +
+            'Time:\n• 2024-01-31 08:00\n• 08:00 / tomorrow 08:00\n• cron 0 8 * * 1 (every Monday 08:00)\n' +
+            'Add a timezone at the end if needed, e.g. Asia/Makassar.\n' +
+            'Reply to an image/video/document to schedule media.',
+        invalid: '❌ Invalid schedule:\n{details}',
+        created: '✅ Message scheduled\n\n' +
+            '🆔 {id}\n' +
+            '📱 To: {to}\n' +
+            '⏰ {when}',
+        empty: '📅 No scheduled messages.',
+        listTitle: '📅 *Scheduled Messages ({count})*',
+        disabled: ' (disabled)',
+        notFound: '❌ Schedule {id} not found.',
+        cancelled: '✅ Schedule {id} cancelled.'
+    },
+
+    bans: {
+        usage: '❌ Format: /ban [number] [30m|2h|1d|perm] [reason]',
+        adminImmune: '❌ Admins cannot be banned.',
+        defaultReason: 'banned by an admin',
+        bannedUntil: '🚫 {user} banned until {until}.\n📝 {reason}',
+        bannedPermanently: '🚫 {user} banned permanently.\n📝 {reason}',
+        unbanUsage: '❌ Format: /unban [number]',
+        unbanned: '✅ {user} is no longer banned.',
+        notBanned: 'ℹ️ {user} is not banned.',
+        empty: '✅ Nobody is banned.',
+        listTitle: '🚫 *Banned Users ({count})*',
+        offenses: '📱 {user} (offense #{offenses})',
+        remaining: '⏰ {duration} left',
+        permanent: '⏰ permanent',
+        by: '📝 {reason} — by {by}'
+    },
+
+    settings: {
+        body: '⚙️ *Bot Settings*\n\n' +
+            '• adminNumber: {adminNumber}\n' +
+            '• autoReplyEnabled: {autoReplyEnabled}\n' +
+            '• reminderInterval: {reminderInterval} days\n' +
+            '• spamWindowSeconds: {spamWindowSeconds} seconds\n' +
+            '• spamDmLimit: {spamDmLimit} messages\n' +
+            '• spamGroupLimit: {spamGroupLimit} messages\n' +
+            '• spamCommandLimit: {spamCommandLimit} commands\n' +
+            '• welcomeMessage:\n{welcomeMessage}\n\n' +
+            'Change with /set [key] [value]',
+        unknown: '❌ Unknown setting *{key}*.\nKeys: {keys}',
+        updated: '✅ {key} updated.',
+        invalid: '❌ {key} {error}',
+        errors: {
+            unknown: 'unknown setting',
+            groupId: 'must be a group id ending in @g.us',
+            phone: 'must be a phone number with 8-15 digits',
+            boolean: 'must be on or off',
+            integer: 'must be a whole number between {min} and {max}',
+            empty: 'must not be empty',
+            tooLong: 'must be at most {max} characters',
+            template: 'is not a valid template: {error}',
+            enum: 'must be one of {options}',
+            timezone: 'must be a timezone like Asia/Jakarta',
+            list: 'must only contain {options}',
+            tooMany: 'must have at most {max} entries',
+            regex: 'can only contain plain words, regular expressions are set from the dashboard: {entry}',
+            invalidEntry: 'has an invalid or too long entry: {entry}'
+        }
+    },
+
+    templates: {
+        descriptions: {
+            otp: 'Login OTP code',
+            notify: 'Notifications from /notify and the dashboard',
+            broadcast: 'Frame of broadcast messages',
+            welcome: 'Welcome for new group members',
+            goodbye: 'Goodbye for group members',
+            reminder: 'Reminder for inactive users'
+        },
+        listTitle: '📝 *Message Templates*',
+        listFooter: '✏️ = changed\nType /template [name] for details',
+        invalidLanguage: '❌ The language must be one of: {languages}',
+        invalid: '❌ Could not save the template:\n{details}',
+        saved: '✅ Template *{name}* ({language}) saved.\n\n👀 *Example:*\n{preview}',
+        nothingSaved: '❌ Template {name} has no saved text.',
+        reset: '✅ Template *{name}* is back to its default.',
+        deleted: '🗑️ Template *{name}* deleted.',
+        notFound: '❌ Template {name} not found. See /templates',
+        variables: '🔤 Variables: {variables}',
+        preview: '👀 *Example for you:*\n{preview}'
+    },
+
+    online: '🤖 *NdiiClouD Bot Online!*\n\n' +
+        '⏰ {time}\n' +
+        '📊 Connection #{count}\n' +
+        '🌩️ Ready to serve!',
+
+    stats: '📊 *NdiiClouD Statistics*\n\n' +
+        '👥 Total Users: {users}\n' +
+        '📨 Messages: {messages}\n' +
+        '📤 Sent: {sent}\n' +
+        '📥 Received: {received}\n' +
+        '⏳ Queue: {queue} messages\n' +
+        '🔁 Connections: {connections}\n' +
+        '⚡ Uptime: {uptime}\n\n' +
+        '🌩️ *Real-time Stats*',
+
+    groups: {
+        title: '👥 *Groups ({count})*',
+        entry: '📌 *{subject}*\n' +
+            'ID: {id}\n' +
+            'Members: {members}\n' +
+            'Created: {created}'
+    },
+
+    profile: {
+        statusTitle: '📱 *Status Updates*',
+        statusCount: '{jid}: {count} updates',
+        statusOf: '📱 Status for {number}:',
+        statusSent: '✅ Status sent!',
+        pictureUpdated: '✅ Profile picture updated!',
+        nameUpdated: '✅ Name updated to: {name}',
+        statusUpdated: '✅ Status updated'
+    },
+
+    chats: {
+        blocked: '✅ Blocked {number}',
+        unblocked: '✅ Unblocked {number}',
+        cleared: '✅ Cleared chat with {number}',
+        archived: '✅ Archived chat {number}',
+        unarchived: '✅ Unarchived chat {number}',
+        muted: '🔇 Muted {number} for {days} days',
+        unmuted: '🔊 Unmuted {number}',
+        pinned: '📌 Pinned chat {number}',
+        unpinned: '📍 Unpinned chat {number}',
+        deleted: '✅ Message deleted'
+    },
+
+    system: {
+        restarting: '🔄 Restarting bot...',
+        shuttingDown: '👋 Shutting down...'
+    },
+
+    media: {
+        tooLarge: 'the file can be at most {size} MB'
+    },
+
+    dailyReport: '📊 *Daily Report*\n\n' +
+        '📅 {date}\n' +
+        '👥 Total Users: {users}\n' +
+        '📨 Messages Today: {received}\n' +
+        '📤 Sent: {sent}\n' +
+        '⏱️ Uptime: {uptime}\n\n' +
+        '🌩️ NdiiClouD Systems',
+
+    web: {
+        connecting: 'Connecting to NdiiClouD...',
+        tagline: 'The Digital Era, The Age of Technology',
+        login: {
+            phoneTab: '📱 Phone',
+            emailTab: '📧 Email',
+            phoneLabel: 'Phone Number',
+            emailLabel: 'Email',
+            sendOtp: 'Send OTP',
+            otpSentTo: 'Enter the OTP code sent to',
+            verify: 'Verify',
+            noCode: 'Didn\'t get the code?',
+            resend: 'Resend',
+            resendIn: 'Resend ({seconds}s)',
+            adminToggle: 'Log in as admin',
+            adminUsername: 'Admin username',
+            password: 'Password',
+            adminLogin: 'Admin Login',
+            fillPhone: 'Please enter your phone number',
+            fillEmail: 'Please enter your email',
+            otpSentEmail: 'OTP sent! Check your email inbox',
+            otpSentWhatsapp: 'OTP sent! Check WhatsApp',
+            connectionError: 'Could not reach the server',
+            enterFullCode: 'Enter the full OTP code',
+            success: '✅ Logged in!',
+            adminSuccess: '👑 Admin login successful!',
+            verifyError: 'Verification failed',
+            fillAdmin: 'Please enter username and password',
+            adminFailed: 'Admin login failed',
+            adminLocked: '🔒 Too many failed logins. Try again in {minutes} minutes',
+            adminWelcome: '👑 Welcome {name} ({role})!',
+            adminError: 'Admin login error',
+            sessionExpired: 'Session expired, please log in again'
+        },
+        otpErrors: {
+            cooldown: '⏳ Wait {seconds} seconds before resending',
+            rateLimited: '🚫 Too many OTP requests. Try again in {minutes} minutes',
+            locked: '🔒 Too many wrong codes. Try again in {minutes} minutes',
+            invalid: '❌ Wrong code, {attempts} attempts left',
+            expired: '⌛ The code has expired, please resend',
+            deliveryFailed: '📧 Could not send the OTP email, try again later',
+            failed: 'Could not process the OTP'
+        },
+        chat: {
+            status: 'Status',
+            calls: 'Calls',
+            settings: 'Settings',
+            search: '🔍 Search chats...',
+            tabChats: 'Chats',
+            tabStatus: 'Status',
+            tabChannels: 'Channels',
+            tabCommunity: 'Community',
+            communityPreview: 'Welcome to the digital era! 🚀',
+            community: 'NdiiClouD Community',
+            adChannel: 'Ads Channel',
+            adPreview: 'Promote your business - From 2K',
+            online: 'Online',
+            selectChat: 'Select a Chat',
+            clickToStart: 'Click a chat to start',
+            welcome: 'Hi! Welcome to NdiiClouD Chat 👋',
+            voiceCall: 'Voice Call',
+            videoCall: 'Video Call',
+            menu: 'Menu',
+            placeholder: 'Type a message...',
+            historyFailed: 'Could not load the chat history',
+            sendFailed: 'Message not sent',
+            mediaUnavailable: 'Media not available',
+            callRejected: 'Call declined'
+        },
+        settings: {
+            language: 'Language',
+            languageHint: 'Language of the app and the bot',
+            languageSaved: '✅ Language changed'
+        }
+    }
+};
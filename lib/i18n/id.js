@@ -0,0 +1,496 @@
+/**
+ * Bahasa Indonesia, the default language. Command descriptions and usages
+ * come from the definitions in bot/commands, so only other languages need
+ * a `commandHelp` section.
+ */
+
+module.exports = {
+    languageName: 'Bahasa Indonesia',
+
+    commands: {
+        unknown: '❓ Perintah tidak dikenal. Ketik /menu untuk melihat daftar.',
+        groupOnly: '❌ Perintah ini hanya bisa dipakai di grup.',
+        privateOnly: '❌ Perintah ini hanya bisa dipakai di chat pribadi.',
+        groupAdminOnly: '❌ Hanya admin grup yang bisa memakai perintah ini.',
+        noAccess: '❌ Anda tidak memiliki akses untuk perintah ini.',
+        missingPermission: '❌ Role *{role}* tidak memiliki izin `{permission}`.',
+        cooldown: '⏳ Tunggu {seconds} detik sebelum memakai /{command} lagi.',
+        format: '❌ Format: {usage}\nKetik /help {command} untuk detail.',
+        failed: '❌ Gagal menjalankan /{command}: {error}'
+    },
+
+    menu: {
+        title: '🤖 *NdiiClouD Bot Menu*',
+        footer: 'Ketik /help [perintah] untuk detail.\n\n🌩️ *NdiiClouD v3.0*',
+        sections: {
+            general: '📱 User Commands',
+            media: '🎨 Media',
+            group: '👥 Group Admin',
+            admin: '👑 Admin Commands'
+        }
+    },
+
+    help: {
+        unknownCommand: '❌ Perintah /{command} tidak dikenal. Ketik /menu untuk melihat daftar.',
+        format: '📝 Format: {usage}',
+        aliases: '🔀 Alias: {aliases}',
+        access: '🔐 Akses: {access}',
+        everyone: 'semua orang',
+        groupAdmin: 'admin grup',
+        botAdmin: 'admin bot (`{permission}`)',
+        scope: '📍 Tempat: {scope}',
+        scopes: {
+            all: 'grup & chat pribadi',
+            group: 'grup saja',
+            private: 'chat pribadi saja'
+        },
+        cooldown: '⏳ Cooldown: {seconds} detik'
+    },
+
+    ping: '🏓 Pong!\n⏱️ Latency: {latency}ms',
+    owner: '🌩️ *NdiiClouD*\n\nDibuat oleh: NdiiClouD Team\nVersion: 3.0.0\nWebsite: ndiicloud.com',
+
+    info: {
+        body: '🤖 *NdiiClouD Bot Info*\n\n' +
+            '📦 Versi: 3.0.0 Pro\n' +
+            '📚 Library: Wileys\n' +
+            '⏱️ Uptime: {uptime}\n' +
+            '👥 Total Pengguna: {users}\n' +
+            '📨 Pesan Ditangani: {messages}\n' +
+            '🔁 Koneksi Ulang: {reconnections}\n' +
+            '🕐 Terakhir Terhubung: {lastConnected}\n\n' +
+            '🌩️ *Powered by NdiiClouD*',
+        never: 'Belum pernah'
+    },
+
+    lang: {
+        current: '🌐 Bahasa kamu: *{language}*\n\nUbah dengan /lang [{options}]',
+        changed: '✅ Bahasa diubah ke *{language}*',
+        invalid: '❌ Bahasa *{language}* tidak tersedia. Pilihan: {options}',
+        groupNote: '\n\nBahasa grup ini diatur admin dengan /groupset language'
+    },
+
+    convert: {
+        busy: '⏳ Konversi sebelumnya masih berjalan, tunggu sebentar.',
+        failed: '❌ Gagal: {error}',
+        usage: {
+            sticker: '/sticker [pack] | [author] sambil membalas gambar atau video (maks 10 detik)',
+            toimg: '/toimg sambil membalas sticker',
+            tomp3: '/tomp3 sambil membalas video atau audio',
+            tovn: '/tovn sambil membalas audio atau video'
+        }
+    },
+
+    ban: {
+        spamTitle: '⚠️ *Spam Terdeteksi!*',
+        bannedTitle: '🚫 *Anda Diblokir*',
+        body: '{title}\n\nAnda tidak bisa memakai bot {length}.\n📝 Alasan: {reason}',
+        permanent: 'permanen',
+        remaining: 'selama {duration} lagi'
+    },
+
+    call: {
+        rejected: '⚠️ Maaf, saya tidak bisa menerima panggilan.\nSilakan kirim pesan teks saja.\n\n🌩️ NdiiClouD Bot'
+    },
+
+    otp: {
+        message: '🔐 *KODE OTP NdiiClouD*\n\nKode: *{code}*\n\n⏰ Berlaku 5 menit\n🔒 Jangan bagikan!\n\n🌩️ NdiiClouD Security'
+    },
+
+    notify: {
+        message: '🔔 *Notifikasi NdiiClouD*\n\n{message}\n\n🌩️ NdiiClouD'
+    },
+
+    broadcast: {
+        message: '📢 *PENGUMUMAN NdiiClouD*\n\n{message}\n\n🌩️ *Tim NdiiClouD*'
+    },
+
+    reminder: {
+        message: '👋 *Halo{#if name} {name}{/if}!*\n\nKami rindu Anda! Sudah lama tidak aktif di NdiiClouD.\nYuk, mampir lagi dan chat dengan teman-teman! 🌩️'
+    },
+
+    // Built-in auto-responder rules, see defaultAutoResponses
+    autoReplies: {
+        greetings: [
+            '👋 Halo! Ada yang bisa saya bantu?',
+            'Hai! Selamat datang di NdiiClouD! 🌩️'
+        ],
+        goodbyes: [
+            '👋 Sampai jumpa! Jangan lupa mampir lagi ya!',
+            'Dadah! Hati-hati di jalan! 🚗'
+        ],
+        thanks: [
+            'Sama-sama! 😊',
+            'Terima kasih kembali! 🙏'
+        ],
+        help: [
+            '🆘 *Bantuan NdiiClouD*\n\nKetik:\n• *login* - Cara login\n• *fitur* - Lihat fitur\n• *admin* - Hubungi admin\n• *otp* - Masalah OTP',
+            'Butuh bantuan? Silakan hubungi admin di menu pengaturan!'
+        ],
+        questions: [
+            'Maaf, saya belum mengerti. Ketik *bantuan* untuk melihat menu.',
+            'Hmm, pertanyaan menarik! Hubungi admin untuk info lebih lanjut.',
+            'Saya masih belajar. Coba ketik perintah yang tersedia ya! 😊'
+        ]
+    },
+
+    group: {
+        goodbye: '👋 Sampai jumpa @{user}!',
+        invited: '👋 Kamu diundang ke grup:\n{link}',
+        info: '👥 *{subject}*\n\n' +
+            '🆔 {id}\n' +
+            '👑 Owner: {owner}\n' +
+            '📅 Dibuat: {created}\n' +
+            '👤 Anggota: {members}\n' +
+            '🛡️ Admin: {admins}\n' +
+            '🔒 Kirim pesan: {send}\n' +
+            '✏️ Edit info: {edit}\n\n' +
+            '📝 {description}',
+        adminsOnly: 'hanya admin',
+        allMembers: 'semua anggota',
+        noDescription: 'Tidak ada deskripsi',
+        tagAll: 'Perhatian semua!',
+        settings: '⚙️ *Pengaturan Grup*\n\n{settings}\n\n' +
+            'Ubah dengan /groupset [key] [value]\n' +
+            'Reset dengan /groupset [key] reset\n' +
+            'commands: {categories}, all, none',
+        unknownSetting: '❌ Setting *{key}* tidak dikenal.\nKey: {keys}',
+        setUsage: '❌ Format: /groupset [key] [value]',
+        participants: {
+            botNotAdmin: '❌ Bot harus jadi admin grup untuk perintah ini.',
+            usage: '❌ Format: /{command} @user, nomor, atau balas pesan anggota',
+            failed: '❌ Gagal: {error}',
+            result: '👥 */{command}*: {succeeded} berhasil, {failed} gagal\n\n{lines}',
+            errors: {
+                401: 'ditolak WhatsApp',
+                403: 'tidak bisa ditambahkan karena privasi, link undangan dikirim',
+                404: 'bukan anggota grup',
+                406: 'tidak bisa diubah (pembuat grup)',
+                408: 'baru saja keluar dari grup',
+                409: 'sudah ada di grup',
+                unknown: 'gagal (kode {status})'
+            }
+        }
+    },
+
+    moderation: {
+        warning: '⚠️ {member} peringatan {count}/{max}: {reason}',
+        muted: '\n🔇 Dibisukan {minutes} menit',
+        kickFailed: '⚠️ {member} seharusnya dikeluarkan ({reason}), tapi bot bukan admin grup.',
+        kicked: '🚫 {member} dikeluarkan: {reason}',
+        // Saved with the strike and in the moderation log
+        reasons: {
+            inviteLink: 'link undangan grup',
+            link: 'mengirim link',
+            bannedWords: 'kata terlarang',
+            massMention: 'mention {count} orang',
+            forwarded: 'pesan diteruskan berkali-kali',
+            muted: 'sedang dibisukan',
+            maxWarnings: '{count}/{max} peringatan ({reason})',
+            manual: 'melanggar aturan grup',
+            reset: 'peringatan dihapus'
+        },
+        warnUsage: '❌ Format: /warn @user [alasan], atau balas pesannya dengan /warn [alasan]',
+        noWarnings: '✅ Tidak ada peringatan.',
+        warningsTitle: '⚠️ *Peringatan ({count})*',
+        mutedUntil: ' 🔇 s/d {time}',
+        resetUsage: '❌ Format: /resetwarn @user',
+        reset: '✅ Peringatan {member} dihapus.',
+        nothingToReset: 'ℹ️ {member} tidak punya peringatan.',
+        logEmpty: '🛡️ Log moderasi kosong.',
+        logTitle: '🛡️ *Log Moderasi ({count})*',
+        logEntry: '  {reason} ({rule}, oleh {by})'
+    },
+
+    campaign: {
+        usage: '❌ Format: /broadcast [pesan]\n' +
+            'atau /broadcast tag=vip active=7 inactive=30 rate=30 template=[nama] | [pesan]\n\n' +
+            'Pesan bisa memakai {name}, {phone}, {date}; lihat /templates',
+        invalid: '❌ Broadcast gagal dibuat:\n{details}',
+        started: '📢 Broadcast dimulai\n\n' +
+            '🆔 {id}\n' +
+            '👥 Penerima: {total}\n' +
+            '⚡ {rate} pesan/menit\n\n' +
+            'Cek dengan /campaign {id}',
+        empty: '📢 Belum ada broadcast.',
+        listTitle: '📢 *Broadcast Terakhir*',
+        notFound: '❌ Broadcast {id} tidak ditemukan.',
+        controlled: '✅ Broadcast {id}: {status}',
+        cannotControl: '❌ Broadcast {id} berstatus {status}, tidak bisa di-{action}.',
+        status: '📢 *Broadcast {id}*\n\n' +
+            '📌 Status: {status}\n' +
+            '👥 Total: {total}\n' +
+            '✅ Terkirim: {sent}\n' +
+            '❌ Gagal: {failed}\n' +
+            '⏳ Belum dikirim: {pending}\n' +
+            '⚡ {rate} pesan/menit\n' +
+            '🕐 {createdAt}',
+        report: {
+            title: '📢 *Laporan Broadcast*',
+            body: '🆔 {id}\n' +
+                '📌 Status: {status}\n' +
+                '👥 Total: {total}\n' +
+                '✅ Terkirim: {sent}\n' +
+                '📬 Diterima: {delivered}\n' +
+                '👀 Dibaca: {read}\n' +
+                '❌ Gagal: {failed}',
+            unconfirmed: '❔ Tidak pasti: {count}',
+            pending: '⏳ Belum dikirim: {count}',
+            took: '⏱️ Durasi: {took}'
+        }
+    },
+
+    queue: {
+        paused: '✅ Antrian dijeda.',
+        resumed: '✅ Antrian dilanjutkan.',
+        deadEmpty: '📭 Dead letter kosong.',
+        deadTitle: '💀 *Dead Letter ({count})*',
+        retryHint: 'Kirim ulang dengan /queue retry [id|all]',
+        retryUsage: '❌ Format: /queue retry [id|all]',
+        retried: '🔁 {count} pesan dikembalikan ke antrian.',
+        notFound: '❌ Pesan tidak ditemukan.',
+        purged: '🗑️ {count} pesan dihapus dari antrian.',
+        purgedDead: '🗑️ {count} pesan dihapus dari dead letter.',
+        status: '📬 *Message Queue*\n\n' +
+            '📌 Status: {state}\n' +
+            '⏳ Antrian: {length}\n' +
+            '🔴 High: {high} · 🟡 Normal: {normal} · 🟢 Low: {low}\n' +
+            '🔁 Menunggu retry: {backingOff}\n' +
+            '💀 Dead letter: {deadLetter}\n\n' +
+            '/queue [pause|resume|dead|retry|purge]',
+        states: {
+            paused: 'dijeda',
+            sending: 'mengirim',
+            ready: 'siap'
+        }
+    },
+
+    schedule: {
+        usage: '❌ Format: /schedule [nomor|groupId|here] [waktu] | [pesan]\n\n' +
+            'Waktu:\n• 2024-01-31 08:00\n• 08:00 / besok 08:00\n• cron 0 8 * * 1 (tiap Senin 08:00)\n' +
+            'Tambahkan zona waktu di akhir jika perlu, mis. Asia/Makassar.\n' +
+            'Reply gambar/video/dokumen untuk menjadwalkan media.',
+        invalid: '❌ Jadwal tidak valid:\n{details}',
+        created: '✅ Pesan dijadwalkan\n\n' +
+            '🆔 {id}\n' +
+            '📱 Ke: {to}\n' +
+            '⏰ {when}',
+        empty: '📅 Tidak ada pesan terjadwal.',
+        listTitle: '📅 *Pesan Terjadwal ({count})*',
+        disabled: ' (nonaktif)',
+        notFound: '❌ Jadwal {id} tidak ditemukan.',
+        cancelled: '✅ Jadwal {id} dibatalkan.'
+    },
+
+    // Admin commands; the `ban` section is what banned users see
+    bans: {
+        usage: '❌ Format: /ban [nomor] [30m|2h|1d|perm] [alasan]',
+        adminImmune: '❌ Admin tidak bisa diblokir.',
+        defaultReason: 'diblokir admin',
+        bannedUntil: '🚫 {user} diblokir sampai {until}.\n📝 {reason}',
+        bannedPermanently: '🚫 {user} diblokir permanen.\n📝 {reason}',
+        unbanUsage: '❌ Format: /unban [nomor]',
+        unbanned: '✅ {user} tidak diblokir lagi.',
+        notBanned: 'ℹ️ {user} tidak sedang diblokir.',
+        empty: '✅ Tidak ada user yang diblokir.',
+        listTitle: '🚫 *User Diblokir ({count})*',
+        offenses: '📱 {user} (pelanggaran ke-{offenses})',
+        remaining: '⏰ sisa {duration}',
+        permanent: '⏰ permanen',
+        by: '📝 {reason} — oleh {by}'
+    },
+
+    settings: {
+        body: '⚙️ *Bot Settings*\n\n' +
+            '• adminNumber: {adminNumber}\n' +
+            '• autoReplyEnabled: {autoReplyEnabled}\n' +
+            '• reminderInterval: {reminderInterval} hari\n' +
+            '• spamWindowSeconds: {spamWindowSeconds} detik\n' +
+            '• spamDmLimit: {spamDmLimit} pesan\n' +
+            '• spamGroupLimit: {spamGroupLimit} pesan\n' +
+            '• spamCommandLimit: {spamCommandLimit} perintah\n' +
+            '• welcomeMessage:\n{welcomeMessage}\n\n' +
+            'Ubah dengan /set [key] [value]',
+        unknown: '❌ Setting *{key}* tidak dikenal.\nKey: {keys}',
+        updated: '✅ {key} diperbarui.',
+        invalid: '❌ {key} {error}',
+        errors: {
+            unknown: 'tidak dikenal',
+            groupId: 'harus id grup yang berakhiran @g.us',
+            phone: 'harus nomor telepon 8-15 digit',
+            boolean: 'harus on atau off',
+            integer: 'harus bilangan bulat antara {min} dan {max}',
+            empty: 'tidak boleh kosong',
+            tooLong: 'maksimal {max} karakter',
+            template: 'bukan template yang valid: {error}',
+            enum: 'harus salah satu dari {options}',
+            timezone: 'harus zona waktu seperti Asia/Jakarta',
+            list: 'hanya boleh berisi {options}',
+            tooMany: 'maksimal {max} entri',
+            regex: 'hanya boleh berisi kata biasa, regex hanya bisa diatur dari dashboard: {entry}',
+            invalidEntry: 'berisi entri yang tidak valid atau terlalu panjang: {entry}'
+        }
+    },
+
+    templates: {
+        descriptions: {
+            otp: 'Kode OTP login',
+            notify: 'Notifikasi dari /notify dan dashboard',
+            broadcast: 'Bingkai pesan broadcast',
+            welcome: 'Sambutan member baru grup',
+            goodbye: 'Perpisahan member grup',
+            reminder: 'Pengingat user yang tidak aktif'
+        },
+        listTitle: '📝 *Template Pesan*',
+        listFooter: '✏️ = sudah diubah\nKetik /template [nama] untuk detail',
+        invalidLanguage: '❌ Bahasa harus salah satu dari: {languages}',
+        invalid: '❌ Template gagal disimpan:\n{details}',
+        saved: '✅ Template *{name}* ({language}) disimpan.\n\n👀 *Contoh:*\n{preview}',
+        nothingSaved: '❌ Template {name} tidak punya teks tersimpan.',
+        reset: '✅ Template *{name}* kembali ke default.',
+        deleted: '🗑️ Template *{name}* dihapus.',
+        notFound: '❌ Template {name} tidak ditemukan. Lihat /templates',
+        variables: '🔤 Variabel: {variables}',
+        preview: '👀 *Contoh untuk kamu:*\n{preview}'
+    },
+
+    online: '🤖 *NdiiClouD Bot Online!*\n\n' +
+        '⏰ {time}\n' +
+        '📊 Koneksi #{count}\n' +
+        '🌩️ Siap melayani!',
+
+    stats: '📊 *Statistik NdiiClouD*\n\n' +
+        '👥 Total Pengguna: {users}\n' +
+        '📨 Pesan: {messages}\n' +
+        '📤 Terkirim: {sent}\n' +
+        '📥 Diterima: {received}\n' +
+        '⏳ Antrian: {queue} pesan\n' +
+        '🔁 Koneksi: {connections}\n' +
+        '⚡ Uptime: {uptime}\n\n' +
+        '🌩️ *Real-time Stats*',
+
+    groups: {
+        title: '👥 *Daftar Grup ({count})*',
+        entry: '📌 *{subject}*\n' +
+            'ID: {id}\n' +
+            'Anggota: {members}\n' +
+            'Dibuat: {created}'
+    },
+
+    profile: {
+        statusTitle: '📱 *Status Terbaru*',
+        statusCount: '{jid}: {count} status',
+        statusOf: '📱 Status {number}:',
+        statusSent: '✅ Status terkirim!',
+        pictureUpdated: '✅ Foto profil diperbarui!',
+        nameUpdated: '✅ Nama diubah menjadi: {name}',
+        statusUpdated: '✅ Status diperbarui'
+    },
+
+    chats: {
+        blocked: '✅ {number} diblokir',
+        unblocked: '✅ Blokir {number} dibuka',
+        cleared: '✅ Chat dengan {number} dihapus',
+        archived: '✅ Chat {number} diarsipkan',
+        unarchived: '✅ Chat {number} dikeluarkan dari arsip',
+        muted: '🔇 {number} dibisukan selama {days} hari',
+        unmuted: '🔊 {number} tidak dibisukan lagi',
+        pinned: '📌 Chat {number} disematkan',
+        unpinned: '📍 Chat {number} tidak disematkan lagi',
+        deleted: '✅ Pesan dihapus'
+    },
+
+    system: {
+        restarting: '🔄 Merestart bot...',
+        shuttingDown: '👋 Mematikan bot...'
+    },
+
+    media: {
+        tooLarge: 'file maksimal {size} MB'
+    },
+
+    dailyReport: '📊 *Laporan Harian*\n\n' +
+        '📅 {date}\n' +
+        '👥 Total Pengguna: {users}\n' +
+        '📨 Pesan Hari Ini: {received}\n' +
+        '📤 Terkirim: {sent}\n' +
+        '⏱️ Uptime: {uptime}\n\n' +
+        '🌩️ NdiiClouD Systems',
+
+    // Web client (public/index.html), served flat by /api/i18n/:language
+    web: {
+        connecting: 'Menghubungkan ke NdiiClouD...',
+        tagline: 'Era Digital, Jaman Teknologi',
+        login: {
+            phoneTab: '📱 Telepon',
+            emailTab: '📧 Email',
+            phoneLabel: 'Nomor Telepon',
+            emailLabel: 'Email',
+            sendOtp: 'Kirim OTP',
+            otpSentTo: 'Masukkan kode OTP yang dikirim ke',
+            verify: 'Verifikasi',
+            noCode: 'Tidak menerima kode?',
+            resend: 'Kirim Ulang',
+            resendIn: 'Kirim Ulang ({seconds}s)',
+            adminToggle: 'Login sebagai Admin',
+            adminUsername: 'Username Admin',
+            password: 'Password',
+            adminLogin: 'Login Admin',
+            fillPhone: 'Mohon isi nomor telepon',
+            fillEmail: 'Mohon isi email',
+            otpSentEmail: 'OTP dikirim! Periksa inbox email kamu',
+            otpSentWhatsapp: 'OTP dikirim! Periksa WhatsApp',
+            connectionError: 'Error koneksi server',
+            enterFullCode: 'Masukkan kode OTP lengkap',
+            success: '✅ Login berhasil!',
+            adminSuccess: '👑 Login Admin berhasil!',
+            verifyError: 'Error verifikasi',
+            fillAdmin: 'Mohon isi username dan password',
+            adminFailed: 'Login admin gagal',
+            adminLocked: '🔒 Terlalu banyak login gagal. Coba lagi dalam {minutes} menit',
+            adminWelcome: '👑 Selamat datang {name} ({role})!',
+            adminError: 'Error login admin',
+            sessionExpired: 'Sesi berakhir, silakan login kembali'
+        },
+        otpErrors: {
+            cooldown: '⏳ Tunggu {seconds} detik sebelum kirim ulang',
+            rateLimited: '🚫 Terlalu banyak permintaan OTP. Coba lagi dalam {minutes} menit',
+            locked: '🔒 Terlalu banyak kode salah. Coba lagi dalam {minutes} menit',
+            invalid: '❌ Kode salah, sisa {attempts} percobaan',
+            expired: '⌛ Kode sudah kedaluwarsa, silakan kirim ulang',
+            deliveryFailed: '📧 Gagal mengirim email OTP, coba lagi nanti',
+            failed: 'Gagal memproses OTP'
+        },
+        chat: {
+            status: 'Status',
+            calls: 'Panggilan',
+            settings: 'Pengaturan',
+            search: '🔍 Cari chat...',
+            tabChats: 'Chat',
+            tabStatus: 'Status',
+            tabChannels: 'Saluran',
+            tabCommunity: 'Komunitas',
+            communityPreview: 'Selamat datang di era digital! 🚀',
+            community: 'Komunitas NdiiClouD',
+            adChannel: 'Saluran Iklan',
+            adPreview: 'Promosikan bisnismu - Mulai dari 2K',
+            online: 'Online',
+            selectChat: 'Pilih Chat',
+            clickToStart: 'Klik chat untuk memulai',
+            welcome: 'Halo! Selamat datang di NdiiClouD Chat 👋',
+            voiceCall: 'Panggilan Suara',
+            videoCall: 'Panggilan Video',
+            menu: 'Menu',
+            placeholder: 'Ketik pesan...',
+            historyFailed: 'Gagal memuat riwayat chat',
+            sendFailed: 'Pesan gagal dikirim',
+            mediaUnavailable: 'Media tidak tersedia',
+            callRejected: 'Panggilan ditolak'
+        },
+        settings: {
+            language: 'Bahasa',
+            languageHint: 'Bahasa aplikasi dan bot',
+            languageSaved: '✅ Bahasa diubah'
+        }
+    }
+};
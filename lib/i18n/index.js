@@ -0,0 +1,83 @@
+/**
+ * Message catalog shared by the bot and the web client.
+ *
+ * Catalogs (./id.js, ./en.js) are nested objects addressed with dotted
+ * keys, e.g. t('en', 'commands.unknown'). `{name}` placeholders are filled
+ * from `params`; unknown placeholders are left as they are, so the texts
+ * that are defaults of message templates (otp, notify, broadcast, reminder,
+ * group.goodbye) can be rendered later with lib/templates.
+ * Keys missing in a language fall back to DEFAULT_LANGUAGE, then to the
+ * key itself. The `web` section is what /api/i18n/:language serves.
+ */
+
+const CATALOGS = {
+    id: require('./id'),
+    en: require('./en')
+};
+
+const LANGUAGES = Object.keys(CATALOGS);
+const DEFAULT_LANGUAGE = 'id';
+
+// Calling codes with a catalog in their language; everyone else gets English
+const COUNTRY_LANGUAGES = {
+    '62': 'id'
+};
+
+function lookup(language, key) {
+    return key.split('.').reduce((node, part) => node?.[part], CATALOGS[language]);
+}
+
+function fill(text, params) {
+    return text.replace(/\{(\w+)\}/g, (match, name) => params[name] ?? match);
+}
+
+// Lists (e.g. auto-reply variants) come back as arrays of filled strings
+function t(language, key, params = {}) {
+    const value = lookup(language, key) ?? lookup(DEFAULT_LANGUAGE, key);
+    if (value === undefined) return key;
+    return Array.isArray(value) ? value.map(text => fill(text, params)) : fill(value, params);
+}
+
+// Whether `language` itself has the key, without falling back
+function has(language, key) {
+    return lookup(language, key) !== undefined;
+}
+
+// "EN", " id " -> a supported language, or null
+function normalizeLanguage(value) {
+    const language = String(value || '').trim().toLowerCase();
+    return LANGUAGES.includes(language) ? language : null;
+}
+
+function languageForPhone(phone) {
+    const number = String(phone || '').replace(/[^0-9]/g, '');
+    if (!number) return DEFAULT_LANGUAGE;
+
+    const code = Object.keys(COUNTRY_LANGUAGES).find(prefix => number.startsWith(prefix));
+    return code ? COUNTRY_LANGUAGES[code] : 'en';
+}
+
+// The `web` section as flat "a.b" keys, with default-language fallbacks
+function webMessages(language) {
+    const messages = {};
+    const flatten = (node, prefix) => {
+        for (const [key, value] of Object.entries(node || {})) {
+            if (value && typeof value === 'object' && !Array.isArray(value)) flatten(value, `${prefix}${key}.`);
+            else messages[`${prefix}${key}`] = value;
+        }
+    };
+
+    flatten(CATALOGS[DEFAULT_LANGUAGE].web, '');
+    flatten(CATALOGS[language]?.web, '');
+    return messages;
+}
+
+module.exports = {
+    LANGUAGES,
+    DEFAULT_LANGUAGE,
+    t,
+    has,
+    normalizeLanguage,
+    languageForPhone,
+    webMessages
+};
@@ -0,0 +1,65 @@
+/**
+ * Email delivery for OTP codes and notifications.
+ *
+ * Transport is chosen with MAIL_TRANSPORT (default: `smtp` when SMTP_HOST
+ * is set, `file` otherwise):
+ *   smtp - SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASS, SMTP_SECURE
+ *   file - writes every message as .eml to MAIL_CAPTURE_DIR
+ *          (default data/mail-outbox) for local development
+ * MAIL_FROM sets the sender address.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const templates = require('./templates');
+
+function createTransport(env = process.env) {
+    const type = env.MAIL_TRANSPORT || (env.SMTP_HOST ? 'smtp' : 'file');
+    
+    switch (type) {
+        case 'smtp':
+            return nodemailer.createTransport({
+                host: env.SMTP_HOST,
+                port: parseInt(env.SMTP_PORT) || 587,
+                secure: env.SMTP_SECURE === 'true',
+                auth: env.SMTP_USER ? { user: env.SMTP_USER, pass: env.SMTP_PASS } : undefined
+            });
+            
+        case 'file': {
+            const dir = env.MAIL_CAPTURE_DIR || path.join('data', 'mail-outbox');
+            const transport = nodemailer.createTransport({ streamTransport: true, buffer: true });
+            
+            // Capture instead of sending: one .eml per message
+            return {
+                async sendMail(mail) {
+                    const info = await transport.sendMail(mail);
+                    const file = path.join(dir, `${Date.now()}-${info.messageId.replace(/[<>@]/g, '')}.eml`);
+                    
+                    fs.mkdirSync(dir, { recursive: true });
+                    fs.writeFileSync(file, info.message);
+                    console.log(`📧 [DEV] Mail to ${mail.to} saved to ${file}`);
+                    
+                    return { ...info, file };
+                }
+            };
+        }
+            
+        default:
+            throw new Error(`Unknown mail transport: ${type}`);
+    }
+}
+
+function createMailer({ transport = createTransport(), from = process.env.MAIL_FROM || 'NdiiClouD <no-reply@ndiicloud.com>' } = {}) {
+    async function send(to, { subject, text, html }) {
+        return await transport.sendMail({ from, to, subject, text, html });
+    }
+    
+    return {
+        send,
+        sendOTP: (to, code, { ttlMinutes } = {}) => send(to, templates.otp({ code, ttlMinutes })),
+        sendNotification: (to, message) => send(to, templates.notification({ message }))
+    };
+}
+
+module.exports = { createMailer, createTransport, templates };
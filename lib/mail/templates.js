@@ -0,0 +1,48 @@
+/**
+ * Email templates. The wording mirrors the WhatsApp messages the bot sends
+ * (cmdSendOTP / cmdNotify in bot/index.js) so users get the same text on
+ * both channels.
+ */
+
+const escapeHtml = (text) => String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+function layout(title, body) {
+    return `<!DOCTYPE html>
+<html lang="id">
+<body style="margin:0;padding:24px;background:#f5f5f7;font-family:-apple-system,Segoe UI,Roboto,sans-serif;color:#333;">
+    <div style="max-width:480px;margin:0 auto;background:#fff;border-radius:16px;padding:32px;">
+        <div style="font-size:20px;font-weight:700;margin-bottom:20px;">${title}</div>
+        ${body}
+        <div style="margin-top:32px;font-size:13px;color:#888;">🌩️ NdiiClouD - Era Digital, Jaman Teknologi</div>
+    </div>
+</body>
+</html>`;
+}
+
+function otp({ code, ttlMinutes = 5 }) {
+    return {
+        subject: `Kode OTP NdiiClouD: ${code}`,
+        text: `🔐 KODE OTP NdiiClouD\n\nKode: ${code}\n\n⏰ Berlaku ${ttlMinutes} menit\n🔒 Jangan bagikan!\n\n🌩️ NdiiClouD Security`,
+        html: layout('🔐 KODE OTP NdiiClouD', `
+        <div style="font-size:15px;">Kode:</div>
+        <div style="font-size:36px;font-weight:700;letter-spacing:8px;margin:8px 0 20px;">${escapeHtml(code)}</div>
+        <div style="font-size:14px;">⏰ Berlaku ${ttlMinutes} menit</div>
+        <div style="font-size:14px;">🔒 Jangan bagikan!</div>
+        <div style="margin-top:20px;font-size:14px;">🌩️ NdiiClouD Security</div>`)
+    };
+}
+
+function notification({ message }) {
+    return {
+        subject: 'Notifikasi NdiiClouD',
+        text: `🔔 Notifikasi NdiiClouD\n\n${message}\n\n🌩️ NdiiClouD`,
+        html: layout('🔔 Notifikasi NdiiClouD', `
+        <div style="font-size:15px;line-height:1.6;white-space:pre-wrap;">${escapeHtml(message)}</div>`)
+    };
+}
+
+module.exports = { otp, notification };
@@ -0,0 +1,119 @@
+/**
+ * Message templates: the text the bot sends for OTPs, notifications,
+ * broadcasts, group welcomes and reminders (see MESSAGE TEMPLATES in
+ * bot/index.js for the stored ones and their variables).
+ *
+ *   {name}                      - a variable; names the caller did not pass
+ *                                 are left as they are, like lib/i18n
+ *   {name|bold}                 - a variable through a formatter, see FORMATTERS
+ *   {#if name}...{else}...{/if} - shown when `name` is set (not empty, 0 or
+ *                                 false); {#if !name} for the opposite.
+ *                                 {else} is optional and blocks may nest
+ *
+ * WhatsApp formatting (*bold*, _italic_, ~strike~, ```mono```) in the text
+ * itself is sent as written.
+ */
+
+// Empty values stay empty instead of becoming "**"
+const FORMATTERS = {
+    bold: (value) => `*${value}*`,
+    italic: (value) => `_${value}_`,
+    strike: (value) => `~${value}~`,
+    mono: (value) => `\`\`\`${value}\`\`\``,
+    upper: (value) => value.toUpperCase(),
+    lower: (value) => value.toLowerCase()
+};
+
+const BLOCK = /\{(#if\s+(!?)(\w+)|else|\/if)\}/g;
+const VARIABLE = /\{(\w+)(?:\|(\w+))?\}/g;
+
+class TemplateError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'TemplateError';
+    }
+}
+
+// Text and {#if} nodes; throws TemplateError for unbalanced blocks
+function parse(text) {
+    const root = { then: [] };
+    const stack = [{ node: root, branch: root.then }];
+    let last = 0;
+
+    for (const match of text.matchAll(BLOCK)) {
+        const current = stack[stack.length - 1];
+        current.branch.push(text.slice(last, match.index));
+        last = match.index + match[0].length;
+
+        if (match[1].startsWith('#if')) {
+            const node = { name: match[3], negate: match[2] === '!', then: [], otherwise: [] };
+            current.branch.push(node);
+            stack.push({ node, branch: node.then });
+        } else if (stack.length === 1) {
+            throw new TemplateError(`{${match[1]}} without {#if}`);
+        } else if (match[1] === 'else') {
+            if (current.branch === current.node.otherwise) throw new TemplateError(`{#if ${current.node.name}} has two {else}`);
+            current.branch = current.node.otherwise;
+        } else {
+            stack.pop();
+        }
+    }
+
+    if (stack.length > 1) throw new TemplateError(`{#if ${stack[stack.length - 1].node.name}} is not closed with {/if}`);
+    stack[0].branch.push(text.slice(last));
+    return root.then;
+}
+
+function isSet(value) {
+    if (Array.isArray(value)) return value.length > 0;
+    return value !== undefined && value !== null && value !== '' && value !== false && value !== 0;
+}
+
+function fill(text, variables) {
+    return text.replace(VARIABLE, (match, name, formatter) => {
+        if (!(name in variables)) return match;
+        if (formatter && !FORMATTERS[formatter]) return match;
+
+        const value = String(variables[name] ?? '');
+        return formatter && value ? FORMATTERS[formatter](value) : value;
+    });
+}
+
+function renderNodes(nodes, variables) {
+    return nodes.map(node => {
+        if (typeof node === 'string') return fill(node, variables);
+        const shown = isSet(variables[node.name]) !== node.negate;
+        return renderNodes(shown ? node.then : node.otherwise, variables);
+    }).join('');
+}
+
+function renderTemplate(text, variables = {}) {
+    return renderNodes(parse(String(text ?? '')), variables);
+}
+
+// Problem with the template as a message, or null when it renders
+function checkTemplate(text) {
+    try {
+        parse(String(text ?? ''));
+    } catch (err) {
+        if (err instanceof TemplateError) return err.message;
+        throw err;
+    }
+
+    const unknown = [...String(text ?? '').matchAll(VARIABLE)]
+        .map(match => match[2])
+        .filter(formatter => formatter && !FORMATTERS[formatter]);
+    return unknown.length > 0 ?
+        `unknown formatter ${unknown[0]}, use one of ${Object.keys(FORMATTERS).join(', ')}` :
+        null;
+}
+
+// Variable names a template uses, in order of appearance
+function templateVariables(text) {
+    const names = [...String(text ?? '').matchAll(/\{(?:#if\s+!?)?(\w+)(?:\|\w+)?\}/g)]
+        .map(match => match[1])
+        .filter(name => name !== 'else');
+    return [...new Set(names)];
+}
+
+module.exports = { renderTemplate, checkTemplate, templateVariables, FORMATTERS, TemplateError };
@@ -4,10 +4,15 @@ const socketIo = require('socket.io');
 const cors = require('cors');
 const bodyParser = require('body-parser');
 const path = require('path');
+const crypto = require('crypto');
 const fs = require('fs-extra');
+const multer = require('multer');
 
 // Import bot (will start automatically)
-const { botAPI, isBotReady } = require('./bot/index');
+const { botAPI, isBotReady, TEMP_DIR, UPLOAD_MAX_SIZE } = require('./bot/index');
+const { createAuth, createSessionStore, LocalKVStore, AuthError, PERMISSIONS, hasPermission, OTP_TTL } = require('./lib/auth');
+const { createMailer } = require('./lib/mail');
+const { t, webMessages, normalizeLanguage, DEFAULT_LANGUAGE, LANGUAGES } = require('./lib/i18n');
 
 const app = express();
 const server = http.createServer(app);
@@ -15,35 +20,105 @@ const io = socketIo(server, {
     cors: { origin: "*" }
 });
 
+// Proxies in front of the server whose X-Forwarded-For is believed
+// (TRUST_PROXY: a hop count, true, or addresses/subnets). Off by default, so
+// clients cannot pick their own IP for the per-IP OTP limit
+app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY));
+
 // Middleware
 app.use(cors());
 app.use(bodyParser.json());
 app.use(express.static('public'));
 
-// Constants
-const ADMIN_SECRET = '#6287717274346';
-const activeSessions = new Map();
+// Email channel for OTP codes and notifications (see lib/mail)
+const mailer = createMailer();
+
+// Auth (shared with the Vercel functions in /api/auth)
+const auth = createAuth({
+    store: createSessionStore({ fallback: 'memory' }),
+    // Admin accounts must survive restarts, sessions don't have to
+    accountStore: process.env.KV_REST_API_URL ?
+        createSessionStore() :
+        new LocalKVStore(path.join('data', 'accounts.json')),
+    deliverOTP: async ({ phone, email, code }) => {
+        if (phone) await botAPI.sendOTP(phone, code);
+        if (email) {
+            try {
+                await mailer.sendOTP(email, code, { ttlMinutes: OTP_TTL / 60 });
+            } catch (err) {
+                console.error('Email OTP error:', err);
+                throw new AuthError('Failed to send OTP email', 502, { code: 'OTP_DELIVERY_FAILED' });
+            }
+        }
+    },
+    onUserVerified: async (user) => {
+        botAPI.registerUser(user.phone || user.email, user);
+    },
+    // The bot checks WhatsApp admin commands against these accounts
+    onAdminsChanged: async (admins) => {
+        botAPI.setAdmins(admins);
+    }
+});
+
+auth.ensureOwner()
+    .then(async (owner) => {
+        if (owner) console.log(`👑 Created owner account: ${owner.username}`);
+        
+        const admins = await auth.listAdmins();
+        if (admins.length === 0) {
+            console.warn('⚠️ No admin accounts. Set ADMIN_USERNAME and ADMIN_PASSWORD to create the owner.');
+        }
+        botAPI.setAdmins(admins);
+    })
+    .catch(err => console.error('Failed to load admin accounts:', err));
+
+// Codes sent by admins with the bot's /otp command are valid for login too
+botAPI.events.on('otp_issued', ({ phone, code }) => {
+    auth.saveOTP(auth.normalizeTarget({ phone }), code)
+        .catch(err => console.error('Failed to save OTP issued by the bot:', err));
+});
 
 // Auth Middleware
-const requireAuth = (req, res, next) => {
-    const sessionId = req.headers.sessionid || req.body.sessionId;
-    const session = activeSessions.get(sessionId);
-    
-    if (!session) {
-        return res.status(401).json({ error: 'Unauthorized' });
+const requireAuth = async (req, res, next) => {
+    try {
+        const sessionId = req.headers.sessionid || req.body.sessionId;
+        const session = await auth.getSession(sessionId);
+        
+        if (!session) {
+            return res.status(401).json({ error: 'Unauthorized' });
+        }
+        
+        req.session = session;
+        next();
+    } catch (err) {
+        res.status(500).json({ error: err.message });
     }
-    
-    req.session = session;
-    next();
 };
 
-const requireAdmin = (req, res, next) => {
+// Staff only; with a permission, the admin's role must grant it
+const requireAdmin = (permission) => (req, res, next) => {
     if (!req.session || req.session.role !== 'admin') {
         return res.status(403).json({ error: 'Admin only' });
     }
+    if (permission && !hasPermission(req.session.adminRole, permission)) {
+        return res.status(403).json({ error: `Missing permission: ${permission}` });
+    }
     next();
 };
 
+// Community room every logged-in user can read and post to
+const COMMUNITY_CHAT_ID = 'ndiicloud';
+// Admin sockets see traffic from every chat
+const ADMIN_ROOM = 'admins';
+
+const canAccessChat = (session, chatId) => {
+    if (session.role === 'admin') return true;
+    if (chatId === COMMUNITY_CHAT_ID) return true;
+    
+    const phone = (session.phone || '').replace(/[^0-9]/g, '');
+    return !!phone && chatId.split('@')[0] === phone;
+};
+
 // Routes
 
 // Health check
@@ -58,130 +133,859 @@ app.get('/api/health', (req, res) => {
 // Request OTP
 app.post('/api/auth/otp', async (req, res) => {
     try {
-        const { phone, email, adminCode } = req.body;
-        
-        // Admin login
-        if (adminCode === ADMIN_SECRET) {
-            return res.json({ success: true, isAdmin: true });
-        }
-        
-        // Regular OTP
-        if (phone) {
-            await botAPI.sendOTP(phone);
-        }
-        
-        res.json({ success: true, message: 'OTP sent' });
+        const { phone, email } = req.body;
+        res.json(await auth.requestOTP({ phone, email, ip: getDevice(req).ip }));
     } catch (err) {
-        res.status(500).json({ error: err.message });
+        sendError(res, err);
     }
 });
 
 // Verify OTP
 app.post('/api/auth/verify', async (req, res) => {
     try {
-        const { phone, email, code, adminCode } = req.body;
-        
-        // Admin verification
-        if (adminCode === ADMIN_SECRET) {
-            const sessionId = generateId();
-            const adminData = {
-                id: 'admin',
-                name: 'Administrator',
-                role: 'admin',
-                sessionId,
-                createdAt: Date.now()
-            };
-            activeSessions.set(sessionId, adminData);
-            
-            return res.json({
-                success: true,
-                isAdmin: true,
-                sessionId,
-                user: adminData
-            });
+        const { phone, email, code } = req.body;
+        const device = getDevice(req);
+        const result = await auth.verifyOTP({ phone, email, code, device });
+        
+        botAPI.emitWebhook('otp.verified', {
+            userId: result.user.id,
+            phone: result.user.phone || null,
+            email: result.user.email || null,
+            ip: device.ip,
+            userAgent: device.userAgent
+        });
+        res.json(result);
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+// Staff login with a named admin account
+app.post('/api/auth/admin', async (req, res) => {
+    try {
+        const { username, password } = req.body;
+        res.json(await auth.loginAdmin({ username, password, device: getDevice(req) }));
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+// Web client strings, flat keys (see lib/i18n). Unknown languages get the default
+app.get('/api/i18n/:language', (req, res) => {
+    const language = normalizeLanguage(req.params.language) || DEFAULT_LANGUAGE;
+    res.json({
+        language,
+        languages: LANGUAGES.map(code => ({ code, name: t(code, 'languageName') })),
+        messages: webMessages(language)
+    });
+});
+
+// Current session, with the language the bot uses for this user (null for
+// admin accounts without a phone or email)
+app.get('/api/auth/session', requireAuth, (req, res) => {
+    const user = req.session.phone || req.session.email;
+    res.json({
+        success: true,
+        user: { ...req.session, language: user ? botAPI.getUserLanguage(user) : null }
+    });
+});
+
+// Language of the web client and of the bot's messages to this user
+app.put('/api/user/language', requireAuth, (req, res) => {
+    const user = req.session.phone || req.session.email;
+    if (!user) {
+        return res.status(400).json({ error: 'Account has no phone or email' });
+    }
+    
+    const language = botAPI.setUserLanguage(user, req.body?.language);
+    if (!language) {
+        return res.status(400).json({ error: 'Invalid language', errors: { language: `must be one of ${LANGUAGES.join(', ')}` } });
+    }
+    res.json({ success: true, language });
+});
+
+// Swap the session id for a fresh one
+app.post('/api/auth/refresh', requireAuth, async (req, res) => {
+    try {
+        // Open sockets re-authenticate with the new id (see web client)
+        res.json(await auth.refreshSession(req.session.sessionId, { device: getDevice(req) }));
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+app.post('/api/auth/logout', requireAuth, async (req, res) => {
+    try {
+        await auth.destroySession(req.session.sessionId);
+        disconnectSessions([req.session.sessionId]);
+        res.json({ success: true });
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+// Active devices of the current user
+app.get('/api/auth/sessions', requireAuth, async (req, res) => {
+    try {
+        const sessions = await auth.listSessions(req.session.id);
+        res.json(sessions.map(session => ({
+            ...session,
+            current: session.sessionId === req.session.sessionId
+        })));
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+// Revoke one device ({ sessionId }) or every other device (no body)
+app.delete('/api/auth/sessions', requireAuth, async (req, res) => {
+    const { sessionId } = req.body || {};
+    
+    try {
+        if (sessionId) {
+            const owned = await auth.listSessions(req.session.id);
+            if (!owned.some(session => session.sessionId === sessionId)) {
+                return res.status(404).json({ error: 'Session not found' });
+            }
+            await auth.destroySession(sessionId);
+            disconnectSessions([sessionId]);
+            return res.json({ success: true, revoked: [sessionId] });
         }
         
-        // Regular verification
-        const target = phone || email;
-        const result = botAPI.verifyOTP(target, code);
+        const revoked = await auth.revokeUserSessions(req.session.id, { except: req.session.sessionId });
+        disconnectSessions(revoked);
+        res.json({ success: true, revoked });
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+// OTP delivery for the Vercel deployment (WHATSAPP_BOT_URL points here).
+// Off unless BOT_SERVICE_TOKEN is set, since it sends any code to any number
+app.post('/send-otp', async (req, res) => {
+    const token = process.env.BOT_SERVICE_TOKEN;
+    if (!token) {
+        return res.status(503).json({ error: 'OTP delivery service is not configured' });
+    }
+    if (req.headers.authorization !== `Bearer ${token}`) {
+        return res.status(401).json({ error: 'Unauthorized' });
+    }
+    
+    const { phone, code } = req.body;
+    if (!phone || !code) {
+        return res.status(400).json({ error: 'phone and code are required' });
+    }
+    
+    try {
+        await botAPI.sendOTP(phone, code);
+        res.json({ success: true });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Chat list
+app.get('/api/chats', requireAuth, async (req, res) => {
+    try {
+        const chats = await botAPI.getChats();
+        res.json(chats.filter(chat => canAccessChat(req.session, chat.id)));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Chat history
+app.get('/api/chats/:chatId/messages', requireAuth, async (req, res) => {
+    try {
+        const { chatId } = req.params;
         
-        if (!result.valid) {
-            return res.status(400).json({ error: result.message });
+        if (!canAccessChat(req.session, chatId)) {
+            return res.status(403).json({ error: 'Forbidden' });
         }
         
-        const sessionId = generateId();
-        const userData = {
-            id: generateId(),
-            name: target,
-            phone: phone || null,
-            email: email || null,
-            role: 'user',
-            sessionId,
-            createdAt: Date.now()
-        };
-        
-        activeSessions.set(sessionId, userData);
-        botAPI.registerUser(target, userData);
-        
-        res.json({
-            success: true,
-            sessionId,
-            user: userData
-        });
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 100);
+        const before = req.query.before ? parseInt(req.query.before) : undefined;
         
+        res.json(await botAPI.getMessages(chatId, { before, limit }));
     } catch (err) {
         res.status(500).json({ error: err.message });
     }
 });
 
+// Archived attachments (?thumb=1 for the thumbnail); readable by anyone
+// who can read one of the chats the file was seen in
+app.get('/api/media/:id', requireAuth, (req, res) => {
+    const media = botAPI.getMedia(req.params.id);
+    if (!media) return res.status(404).json({ error: 'Media not found' });
+    
+    if (!Object.keys(media.chats).some(chatId => canAccessChat(req.session, chatId))) {
+        return res.status(403).json({ error: 'Forbidden' });
+    }
+    
+    const thumb = req.query.thumb && media.thumbnailPath;
+    // Content-addressed, so the bytes behind an id never change
+    res.set('Cache-Control', 'private, max-age=31536000, immutable');
+    // Documents keep their original name when saved
+    if (!thumb && media.fileName) res.attachment(media.fileName);
+    res.type(thumb ? 'image/jpeg' : media.mimetype);
+    res.sendFile(thumb ? media.thumbnailPath : media.path, (err) => {
+        if (err && !res.headersSent) res.status(404).json({ error: 'Media file missing' });
+    });
+});
+
 // Admin Routes
-app.get('/api/admin/stats', requireAuth, requireAdmin, (req, res) => {
+app.get('/api/admin/stats', requireAuth, requireAdmin(PERMISSIONS.VIEW_STATS), (req, res) => {
     res.json(botAPI.getStats());
 });
 
-app.get('/api/admin/users', requireAuth, requireAdmin, (req, res) => {
+app.get('/api/admin/users', requireAuth, requireAdmin(PERMISSIONS.VIEW_USERS), (req, res) => {
     res.json(botAPI.getUsers());
 });
 
-app.post('/api/admin/send', requireAuth, requireAdmin, async (req, res) => {
-    const { phone, message } = req.body;
-    const result = await botAPI.sendNotification(phone, message);
-    res.json({ success: result });
+// Tags are used to target broadcast campaigns
+app.put('/api/admin/users/:key/tags', requireAuth, requireAdmin(PERMISSIONS.BROADCAST), (req, res) => {
+    const { tags } = req.body;
+    if (!Array.isArray(tags)) return res.status(400).json({ error: 'tags must be an array' });
+    
+    const user = botAPI.setUserTags(req.params.key, tags);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    res.json(user);
+});
+
+app.get('/api/admin/users/:userId/sessions', requireAuth, requireAdmin(PERMISSIONS.MANAGE_SESSIONS), async (req, res) => {
+    try {
+        res.json(await auth.listSessions(req.params.userId));
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+// Kill every session of a user
+app.delete('/api/admin/users/:userId/sessions', requireAuth, requireAdmin(PERMISSIONS.MANAGE_SESSIONS), async (req, res) => {
+    try {
+        const revoked = await auth.revokeUserSessions(req.params.userId);
+        disconnectSessions(revoked);
+        res.json({ success: true, revoked });
+    } catch (err) {
+        sendError(res, err);
+    }
 });
 
-app.post('/api/admin/broadcast', requireAuth, requireAdmin, async (req, res) => {
-    const { message } = req.body;
-    await botAPI.broadcast(message);
+// WhatsApp messages can use template variables ({name}, ...) plus
+// `variables`, and go out in `template` if one is given
+app.post('/api/admin/send', requireAuth, requireAdmin(PERMISSIONS.SEND_MESSAGE), async (req, res) => {
+    const { phone, email, message, template, variables } = req.body;
+    
+    if (email) {
+        try {
+            await mailer.sendNotification(email, message);
+            return res.json({ success: true });
+        } catch (err) {
+            console.error('Email notification error:', err);
+            return res.status(502).json({ error: 'Failed to send email' });
+        }
+    }
+    
+    if (typeof phone !== 'string' || !phone.trim()) {
+        return res.status(400).json({ error: 'Invalid notification', errors: { phone: 'is required' } });
+    }
+    if (template && !botAPI.getTemplate(template)) {
+        return res.status(400).json({ error: 'Invalid notification', errors: { template: 'is not a saved template' } });
+    }
+    try {
+        const result = await botAPI.sendNotification(phone, message, { template, variables });
+        res.json({ success: result });
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+// Dashboard attachments; per-type checks are done by the bot
+const upload = multer({ dest: TEMP_DIR, limits: { fileSize: UPLOAD_MAX_SIZE, files: 1 } });
+
+// Multipart: `file`, `audience` (number | group | broadcast), `to`,
+// `caption`, optional `type`, and for broadcasts the campaign `rate`
+// plus `tags`, `activeWithinDays` and `inactiveForDays` filters
+app.post('/api/admin/send-media', requireAuth, requireAdmin(PERMISSIONS.SEND_MESSAGE), (req, res) => {
+    upload.single('file')(req, res, (err) => {
+        if (err) {
+            return res.status(err.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({ error: err.message });
+        }
+        
+        const { audience, to, caption, type, rate, tags, activeWithinDays, inactiveForDays } = req.body;
+        if (audience === 'broadcast' && !hasPermission(req.session.adminRole, PERMISSIONS.BROADCAST)) {
+            if (req.file) fs.remove(req.file.path).catch(() => {});
+            return res.status(403).json({ error: `Missing permission: ${PERMISSIONS.BROADCAST}` });
+        }
+        
+        const result = botAPI.sendMedia({
+            file: req.file,
+            audience,
+            to,
+            caption,
+            type,
+            rate,
+            filter: { tags, activeWithinDays, inactiveForDays }
+        }, req.session.username);
+        
+        if (!result.success) {
+            return res.status(400).json({ error: 'Invalid media message', errors: result.errors });
+        }
+        res.json(result);
+    });
+});
+
+// Broadcast to everyone; /api/admin/campaigns adds filters and rate
+app.post('/api/admin/broadcast', requireAuth, requireAdmin(PERMISSIONS.BROADCAST), (req, res) => {
+    const result = botAPI.broadcast(req.body.message, req.session.username);
+    if (!result.success) {
+        return res.status(400).json({ error: 'Invalid broadcast', errors: result.errors });
+    }
+    res.json({ success: true, campaign: result.campaign });
+});
+
+app.get('/api/admin/campaigns', requireAuth, requireAdmin(PERMISSIONS.BROADCAST), (req, res) => {
+    res.json(botAPI.getCampaigns());
+});
+
+app.post('/api/admin/campaigns', requireAuth, requireAdmin(PERMISSIONS.BROADCAST), (req, res) => {
+    const { text, filter, rate, template } = req.body;
+    const result = botAPI.createCampaign({ text, filter, rate, template }, req.session.username);
+    if (!result.success) {
+        return res.status(400).json({ error: 'Invalid campaign', errors: result.errors });
+    }
+    res.json(result.campaign);
+});
+
+app.get('/api/admin/campaigns/:id', requireAuth, requireAdmin(PERMISSIONS.BROADCAST), (req, res) => {
+    const campaign = botAPI.getCampaign(req.params.id);
+    if (!campaign) return res.status(404).json({ error: 'Campaign not found' });
+    res.json(campaign);
+});
+
+app.post('/api/admin/campaigns/:id/:action(pause|resume|cancel)', requireAuth, requireAdmin(PERMISSIONS.BROADCAST), (req, res) => {
+    const result = botAPI.controlCampaign(req.params.id, req.params.action);
+    if (result.notFound) return res.status(404).json({ error: 'Campaign not found' });
+    if (!result.success) return res.status(409).json({ error: result.error });
+    res.json(result.campaign);
+});
+
+app.post('/api/admin/otp', requireAuth, requireAdmin(PERMISSIONS.SEND_OTP), async (req, res) => {
+    const { phone, email } = req.body;
+    if (!phone && !email) return res.status(400).json({ error: 'phone or email is required' });
+    
+    // Codes are generated here, never by the browser
+    const code = crypto.randomInt(100000, 1000000).toString();
+    
+    try {
+        await auth.saveOTP(auth.normalizeTarget({ phone, email }), code);
+    } catch (err) {
+        return sendError(res, err);
+    }
+    
+    try {
+        if (email) await mailer.sendOTP(email, code, { ttlMinutes: OTP_TTL / 60 });
+        else await botAPI.sendOTP(phone, code);
+    } catch (err) {
+        console.error('OTP delivery error:', err);
+        return res.status(502).json({ error: 'Failed to send OTP' });
+    }
     res.json({ success: true });
 });
 
-app.post('/api/admin/otp', requireAuth, requireAdmin, async (req, res) => {
-    const { phone, code } = req.body;
-    await botAPI.sendOTP(phone, code);
+// Bot settings, applied by the bot without a restart
+app.get('/api/admin/settings', requireAuth, requireAdmin(PERMISSIONS.SETTINGS), (req, res) => {
+    res.json(botAPI.getSettings());
+});
+
+app.put('/api/admin/settings', requireAuth, requireAdmin(PERMISSIONS.SETTINGS), (req, res) => {
+    // The admin number acts as owner in WhatsApp, so only owners may change it
+    const current = botAPI.getSettings();
+    if ('adminNumber' in req.body &&
+        String(req.body.adminNumber).replace(/[^0-9]/g, '') !== current.adminNumber &&
+        !hasPermission(req.session.adminRole, PERMISSIONS.MANAGE_ADMINS)) {
+        return res.status(403).json({ error: `Missing permission: ${PERMISSIONS.MANAGE_ADMINS}` });
+    }
+    
+    const result = botAPI.updateSettings(req.body);
+    if (!result.success) {
+        return res.status(400).json({ error: 'Invalid settings', errors: result.errors });
+    }
+    res.json(result.settings);
+});
+
+// Bot bans (anti-spam and manual); `minutes` null or missing is permanent
+app.get('/api/admin/bans', requireAuth, requireAdmin(PERMISSIONS.BLOCK), (req, res) => {
+    res.json(botAPI.getBans());
+});
+
+app.post('/api/admin/bans', requireAuth, requireAdmin(PERMISSIONS.BLOCK), (req, res) => {
+    const { phone, minutes, reason } = req.body;
+    const result = botAPI.banUser(phone, { minutes, reason }, req.session.username);
+    if (!result.success) {
+        return res.status(400).json({ error: 'Invalid ban', errors: result.errors });
+    }
+    res.json(result.ban);
+});
+
+app.delete('/api/admin/bans/:phone', requireAuth, requireAdmin(PERMISSIONS.BLOCK), (req, res) => {
+    if (!botAPI.unbanUser(req.params.phone, req.session.username)) {
+        return res.status(404).json({ error: 'No active ban' });
+    }
+    res.json({ success: true });
+});
+
+// Per-group overrides; null for a key puts it back to its default
+app.get('/api/admin/groups', requireAuth, requireAdmin(PERMISSIONS.MANAGE_GROUPS), (req, res) => {
+    res.json(botAPI.getGroupSettingsList());
+});
+
+app.get('/api/admin/groups/:id/settings', requireAuth, requireAdmin(PERMISSIONS.MANAGE_GROUPS), (req, res) => {
+    res.json(botAPI.getGroupSettings(req.params.id));
+});
+
+// Unlike /groupset in chat, bannedWords may hold /regex/ entries here
+app.put('/api/admin/groups/:id/settings', requireAuth, requireAdmin(PERMISSIONS.MANAGE_GROUPS), (req, res) => {
+    const result = botAPI.updateGroupSettings(req.params.id, req.body, { allowRegex: true });
+    if (!result.success) {
+        return res.status(400).json({ error: 'Invalid group settings', errors: result.errors });
+    }
+    res.json(result.settings);
+});
+
+// Strikes and the newest moderation actions (?limit=, up to 200)
+app.get('/api/admin/groups/:id/moderation', requireAuth, requireAdmin(PERMISSIONS.MANAGE_GROUPS), (req, res) => {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+    res.json({
+        warnings: botAPI.getWarnings(req.params.id),
+        log: botAPI.getModerationLog(req.params.id, limit)
+    });
+});
+
+// Message queue and dead letters
+app.get('/api/admin/queue', requireAuth, requireAdmin(PERMISSIONS.MANAGE_QUEUE), (req, res) => {
+    res.json({ status: botAPI.getQueueStatus(), messages: botAPI.getQueue() });
+});
+
+app.post('/api/admin/queue/:action(pause|resume)', requireAuth, requireAdmin(PERMISSIONS.MANAGE_QUEUE), (req, res) => {
+    botAPI.setQueuePaused(req.params.action === 'pause');
+    res.json(botAPI.getQueueStatus());
+});
+
+app.delete('/api/admin/queue', requireAuth, requireAdmin(PERMISSIONS.MANAGE_QUEUE), (req, res) => {
+    res.json({ success: true, removed: botAPI.purgeQueue() });
+});
+
+app.get('/api/admin/queue/dead', requireAuth, requireAdmin(PERMISSIONS.MANAGE_QUEUE), (req, res) => {
+    res.json(botAPI.getDeadLetters());
+});
+
+// Without an id every dead letter is retried
+app.post('/api/admin/queue/dead/retry', requireAuth, requireAdmin(PERMISSIONS.MANAGE_QUEUE), (req, res) => {
+    res.json({ success: true, retried: botAPI.retryDeadLetters(req.body.id || null) });
+});
+
+app.delete('/api/admin/queue/dead', requireAuth, requireAdmin(PERMISSIONS.MANAGE_QUEUE), (req, res) => {
+    res.json({ success: true, removed: botAPI.purgeQueue({ dead: true }) });
+});
+
+app.delete('/api/admin/queue/:id', requireAuth, requireAdmin(PERMISSIONS.MANAGE_QUEUE), (req, res) => {
+    if (!botAPI.removeQueued(req.params.id)) {
+        return res.status(404).json({ error: 'Message not found' });
+    }
+    res.json({ success: true });
+});
+
+// Delivery status of sent messages (pending, server_ack, delivered, read, failed)
+app.get('/api/admin/deliveries', requireAuth, requireAdmin(PERMISSIONS.SEND_MESSAGE), (req, res) => {
+    const { chatId, status, campaignId } = req.query;
+    if (status && !botAPI.deliveryStatuses.includes(status)) {
+        return res.status(400).json({
+            error: 'Invalid filter',
+            errors: { status: `must be one of ${botAPI.deliveryStatuses.join(', ')}` }
+        });
+    }
+    
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 100, 1), 500);
+    res.json(botAPI.getDeliveries({ chatId, status, campaignId, limit }));
+});
+
+// By delivery id or WhatsApp message id, with its history and group receipts
+app.get('/api/admin/deliveries/:id', requireAuth, requireAdmin(PERMISSIONS.SEND_MESSAGE), (req, res) => {
+    const delivery = botAPI.getDelivery(req.params.id);
+    if (!delivery) return res.status(404).json({ error: 'Delivery not found' });
+    res.json(delivery);
+});
+
+// Outgoing webhooks (see bot/webhooks). Secrets are only returned when a
+// webhook is created or its secret rotated
+app.get('/api/admin/webhooks', requireAuth, requireAdmin(PERMISSIONS.SETTINGS), (req, res) => {
+    res.json({ events: botAPI.webhookEvents, webhooks: botAPI.getWebhooks() });
+});
+
+app.post('/api/admin/webhooks', requireAuth, requireAdmin(PERMISSIONS.SETTINGS), (req, res) => {
+    const { url, events, description, active, secret } = req.body;
+    const result = botAPI.createWebhook({ url, events, description, active, secret }, req.session.username);
+    if (!result.success) {
+        return res.status(400).json({ error: 'Invalid webhook', errors: result.errors });
+    }
+    res.json(result.webhook);
+});
+
+// Delivery log, newest first
+app.get('/api/admin/webhooks/deliveries', requireAuth, requireAdmin(PERMISSIONS.SETTINGS), (req, res) => {
+    const { webhookId, event, status } = req.query;
+    if (status && !botAPI.webhookDeliveryStatuses.includes(status)) {
+        return res.status(400).json({
+            error: 'Invalid filter',
+            errors: { status: `must be one of ${botAPI.webhookDeliveryStatuses.join(', ')}` }
+        });
+    }
+    
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 500);
+    res.json(botAPI.getWebhookDeliveries({ webhookId, event, status, limit }));
+});
+
+app.get('/api/admin/webhooks/deliveries/:id', requireAuth, requireAdmin(PERMISSIONS.SETTINGS), (req, res) => {
+    const delivery = botAPI.getWebhookDelivery(req.params.id);
+    if (!delivery) return res.status(404).json({ error: 'Delivery not found' });
+    res.json(delivery);
+});
+
+app.post('/api/admin/webhooks/deliveries/:id/redeliver', requireAuth, requireAdmin(PERMISSIONS.SETTINGS), (req, res) => {
+    const result = botAPI.redeliverWebhook(req.params.id);
+    if (result.notFound) return res.status(404).json({ error: 'Delivery not found' });
+    if (!result.success) return res.status(400).json({ error: result.error });
+    res.json(result.delivery);
+});
+
+app.get('/api/admin/webhooks/:id', requireAuth, requireAdmin(PERMISSIONS.SETTINGS), (req, res) => {
+    const webhook = botAPI.getWebhook(req.params.id);
+    if (!webhook) return res.status(404).json({ error: 'Webhook not found' });
+    res.json(webhook);
+});
+
+app.put('/api/admin/webhooks/:id', requireAuth, requireAdmin(PERMISSIONS.SETTINGS), (req, res) => {
+    const { url, events, description, active, secret } = req.body;
+    const result = botAPI.updateWebhook(req.params.id, { url, events, description, active, secret });
+    if (result.notFound) return res.status(404).json({ error: 'Webhook not found' });
+    if (!result.success) {
+        return res.status(400).json({ error: 'Invalid webhook', errors: result.errors });
+    }
+    res.json(result.webhook);
+});
+
+app.delete('/api/admin/webhooks/:id', requireAuth, requireAdmin(PERMISSIONS.SETTINGS), (req, res) => {
+    if (!botAPI.deleteWebhook(req.params.id)) {
+        return res.status(404).json({ error: 'Webhook not found' });
+    }
+    res.json({ success: true });
+});
+
+app.post('/api/admin/webhooks/:id/rotate', requireAuth, requireAdmin(PERMISSIONS.SETTINGS), (req, res) => {
+    const secret = botAPI.rotateWebhookSecret(req.params.id);
+    if (!secret) return res.status(404).json({ error: 'Webhook not found' });
+    res.json({ success: true, secret });
+});
+
+// Sends a webhook.test event to this webhook only
+app.post('/api/admin/webhooks/:id/test', requireAuth, requireAdmin(PERMISSIONS.SETTINGS), (req, res) => {
+    const delivery = botAPI.testWebhook(req.params.id);
+    if (!delivery) return res.status(404).json({ error: 'Webhook not found' });
+    res.json({ success: true, delivery });
+});
+
+// Scheduled messages (one-off `at` or recurring `cron`, see bot MessageScheduler)
+app.get('/api/admin/schedules', requireAuth, requireAdmin(PERMISSIONS.SEND_MESSAGE), (req, res) => {
+    res.json(botAPI.getSchedules());
+});
+
+app.post('/api/admin/schedules', requireAuth, requireAdmin(PERMISSIONS.SEND_MESSAGE), (req, res) => {
+    const { to, type, text, mediaUrl, at, cron, timezone } = req.body;
+    const result = botAPI.createSchedule({ to, type, text, mediaUrl, at, cron, timezone }, req.session.username);
+    if (!result.success) {
+        return res.status(400).json({ error: 'Invalid schedule', errors: result.errors });
+    }
+    res.json(result.schedule);
+});
+
+app.put('/api/admin/schedules/:id', requireAuth, requireAdmin(PERMISSIONS.SEND_MESSAGE), (req, res) => {
+    const { to, type, text, mediaUrl, at, cron, timezone, enabled } = req.body;
+    const result = botAPI.updateSchedule(req.params.id, { to, type, text, mediaUrl, at, cron, timezone, enabled });
+    if (result.notFound) return res.status(404).json({ error: 'Schedule not found' });
+    if (!result.success) {
+        return res.status(400).json({ error: 'Invalid schedule', errors: result.errors });
+    }
+    res.json(result.schedule);
+});
+
+app.delete('/api/admin/schedules/:id', requireAuth, requireAdmin(PERMISSIONS.SEND_MESSAGE), (req, res) => {
+    if (!botAPI.cancelSchedule(req.params.id)) {
+        return res.status(404).json({ error: 'Schedule not found' });
+    }
     res.json({ success: true });
 });
 
+// Auto-responder rules
+app.get('/api/admin/autoresponses', requireAuth, requireAdmin(PERMISSIONS.MANAGE_REPLIES), (req, res) => {
+    res.json(botAPI.getAutoResponses());
+});
+
+app.post('/api/admin/autoresponses', requireAuth, requireAdmin(PERMISSIONS.MANAGE_REPLIES), (req, res) => {
+    const result = botAPI.createAutoResponse(req.body);
+    if (!result.success) {
+        return res.status(400).json({ error: 'Invalid rule', errors: result.errors });
+    }
+    res.json(result.rule);
+});
+
+// Preview which rule answers a message; declared before /:id
+app.post('/api/admin/autoresponses/test', requireAuth, requireAdmin(PERMISSIONS.MANAGE_REPLIES), (req, res) => {
+    const { text, chatId = 'test@s.whatsapp.net' } = req.body;
+    res.json({ rule: botAPI.testAutoResponse(chatId, text) });
+});
+
+app.put('/api/admin/autoresponses/:id', requireAuth, requireAdmin(PERMISSIONS.MANAGE_REPLIES), (req, res) => {
+    const result = botAPI.updateAutoResponse(req.params.id, req.body);
+    if (result.notFound) return res.status(404).json({ error: 'Rule not found' });
+    if (!result.success) {
+        return res.status(400).json({ error: 'Invalid rule', errors: result.errors });
+    }
+    res.json(result.rule);
+});
+
+app.delete('/api/admin/autoresponses/:id', requireAuth, requireAdmin(PERMISSIONS.MANAGE_REPLIES), (req, res) => {
+    if (!botAPI.deleteAutoResponse(req.params.id)) {
+        return res.status(404).json({ error: 'Rule not found' });
+    }
+    res.json({ success: true });
+});
+
+// Message templates (see MESSAGE TEMPLATES in bot/index.js)
+app.get('/api/admin/templates', requireAuth, requireAdmin(PERMISSIONS.SETTINGS), (req, res) => {
+    res.json(botAPI.getTemplates());
+});
+
+// Renders a saved template ({ name }) or a draft ({ text }) for { phone }
+// or sample values; declared before /:name
+app.post('/api/admin/templates/preview', requireAuth, requireAdmin(PERMISSIONS.SETTINGS), (req, res) => {
+    const result = botAPI.previewTemplate(req.body || {});
+    if (result.notFound) return res.status(404).json({ error: 'Template not found' });
+    if (!result.success) {
+        return res.status(400).json({ error: 'Invalid template', errors: result.errors });
+    }
+    res.json(result);
+});
+
+app.get('/api/admin/templates/:name', requireAuth, requireAdmin(PERMISSIONS.SETTINGS), (req, res) => {
+    const template = botAPI.getTemplate(req.params.name);
+    if (!template) return res.status(404).json({ error: 'Template not found' });
+    res.json(template);
+});
+
+// Creates or replaces { description, texts: { id, en } }
+app.put('/api/admin/templates/:name', requireAuth, requireAdmin(PERMISSIONS.SETTINGS), (req, res) => {
+    const result = botAPI.saveTemplate(req.params.name, req.body, req.session.username);
+    if (!result.success) {
+        return res.status(400).json({ error: 'Invalid template', errors: result.errors });
+    }
+    res.json(result.template);
+});
+
+// Built-in templates go back to their default texts
+app.delete('/api/admin/templates/:name', requireAuth, requireAdmin(PERMISSIONS.SETTINGS), (req, res) => {
+    if (!botAPI.deleteTemplate(req.params.name)) {
+        return res.status(404).json({ error: 'No saved template' });
+    }
+    res.json({ success: true, template: botAPI.getTemplate(req.params.name) });
+});
+
+// Admin accounts
+app.get('/api/admin/accounts', requireAuth, requireAdmin(PERMISSIONS.MANAGE_ADMINS), async (req, res) => {
+    try {
+        res.json(await auth.listAdmins());
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+app.post('/api/admin/accounts', requireAuth, requireAdmin(PERMISSIONS.MANAGE_ADMINS), async (req, res) => {
+    try {
+        const { username, name, password, role, phone } = req.body;
+        const admins = await auth.listAdmins();
+        if (admins.some(a => a.username === String(username).toLowerCase())) {
+            return res.status(409).json({ error: 'Username already exists' });
+        }
+        res.json(await auth.saveAdmin({ username, name, password, role, phone }));
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+app.put('/api/admin/accounts/:username', requireAuth, requireAdmin(PERMISSIONS.MANAGE_ADMINS), async (req, res) => {
+    try {
+        const admins = await auth.listAdmins();
+        if (!admins.some(a => a.username === req.params.username.toLowerCase())) {
+            return res.status(404).json({ error: 'Admin not found' });
+        }
+        
+        const userId = `admin:${req.params.username.toLowerCase()}`;
+        const before = (await auth.listSessions(userId)).map(session => session.sessionId);
+        
+        const { name, password, role, phone, disabled } = req.body;
+        const account = await auth.saveAdmin({ username: req.params.username, name, password, role, phone, disabled });
+        
+        // Role/password changes end the admin's sessions
+        const after = new Set((await auth.listSessions(userId)).map(session => session.sessionId));
+        disconnectSessions(before.filter(id => !after.has(id)));
+        
+        res.json(account);
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+app.delete('/api/admin/accounts/:username', requireAuth, requireAdmin(PERMISSIONS.MANAGE_ADMINS), async (req, res) => {
+    try {
+        const revoked = await auth.removeAdmin(req.params.username);
+        disconnectSessions(revoked);
+        res.json({ success: true });
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
 // Socket.io
 io.on('connection', (socket) => {
     console.log('Client connected:', socket.id);
     
-    socket.on('authenticate', (sessionId) => {
-        const session = activeSessions.get(sessionId);
-        if (session) {
+    socket.on('authenticate', async (sessionId) => {
+        try {
+            const session = await auth.getSession(sessionId);
+            if (!session) {
+                socket.emit('session_expired');
+                return;
+            }
+            
             socket.sessionId = sessionId;
             socket.join(session.id);
+            if (session.role === 'admin') socket.join(ADMIN_ROOM);
+        } catch (err) {
+            console.error('Socket authenticate error:', err);
+        }
+    });
+    
+    socket.on('join_chat', async (chatId) => {
+        try {
+            const session = await auth.getSession(socket.sessionId);
+            if (!session || !chatId || !canAccessChat(session, chatId)) return;
+            
+            if (socket.chatId) socket.leave(socket.chatId);
+            socket.chatId = chatId;
+            socket.join(chatId);
+        } catch (err) {
+            console.error('Socket join_chat error:', err);
         }
     });
     
-    socket.on('send_message', async (data) => {
-        // Handle real-time messaging
-        io.to(data.chatId).emit('new_message', data);
+    socket.on('send_message', async (data, callback) => {
+        // Clients may emit without an acknowledgement callback
+        const ack = typeof callback === 'function' ? callback : () => {};
+        
+        try {
+            const session = await auth.getSession(socket.sessionId);
+            if (!session || typeof data?.chatId !== 'string' || !data.chatId || !data.message) {
+                return ack({ success: false, error: 'Unauthorized' });
+            }
+            if (!canAccessChat(session, data.chatId)) {
+                return ack({ success: false, error: 'Forbidden' });
+            }
+            
+            // WhatsApp-backed chat: deliver through the bot, the stored
+            // message comes back via botAPI.events
+            if (isWhatsAppChat(data.chatId)) {
+                if (!hasPermission(session.adminRole, PERMISSIONS.SEND_MESSAGE)) {
+                    return ack({ success: false, error: 'Missing permission: send_message' });
+                }
+                
+                const result = await botAPI.sendChatMessage(data.chatId, data.message, {
+                    sender: session.id,
+                    clientId: data.clientId
+                });
+                return ack({ success: true, queued: !result });
+            }
+            
+            // Persist so the conversation survives a reload
+            const message = botAPI.saveWebMessage(data.chatId, {
+                sender: session.id,
+                senderName: session.name,
+                type: data.type,
+                text: data.message,
+                timestamp: data.timestamp,
+                clientId: data.clientId
+            });
+            
+            socket.to(data.chatId).emit('new_message', message);
+            ack({ success: true, message });
+        } catch (err) {
+            console.error('Socket send_message error:', err);
+            ack({ success: false, error: err.message });
+        }
     });
 });
 
+// Bot -> web bridge
+botAPI.events.on('message', (message) => {
+    io.to(message.chatId).to(ADMIN_ROOM).emit('new_message', message);
+});
+
+// Ticks in the chat and the dashboard
+botAPI.events.on('message_status', (status) => {
+    io.to(status.chatId).to(ADMIN_ROOM).emit('message_status', status);
+});
+
+// Broadcast progress for the dashboard
+botAPI.events.on('campaign', (campaign) => {
+    io.to(ADMIN_ROOM).emit('campaign_update', campaign);
+});
+
 // Helper
-function generateId() {
-    return Math.random().toString(36).substring(2, 15) + Date.now().toString(36);
+function sendError(res, err) {
+    if (err instanceof AuthError) {
+        if (err.details.retryAfter) res.set('Retry-After', String(err.details.retryAfter));
+        return res.status(err.status).json(err.toJSON());
+    }
+    res.status(err.status || 500).json({ error: err.message });
+}
+
+// req.ip follows the 'trust proxy' setting above
+function getDevice(req) {
+    return {
+        userAgent: req.headers['user-agent'] || null,
+        ip: req.ip || null
+    };
+}
+
+function parseTrustProxy(value) {
+    if (!value || value === 'false') return false;
+    if (value === 'true') return true;
+    if (/^\d+$/.test(value)) return parseInt(value);
+    return value.split(',').map(part => part.trim());
+}
+
+// Log out live sockets whose session was ended
+function disconnectSessions(sessionIds) {
+    const ended = new Set(sessionIds);
+    for (const socket of io.sockets.sockets.values()) {
+        if (ended.has(socket.sessionId)) {
+            socket.emit('session_expired');
+            socket.disconnect(true);
+        }
+    }
+}
+
+function isWhatsAppChat(chatId) {
+    return chatId.endsWith('@s.whatsapp.net') || chatId.endsWith('@g.us');
 }
 
 // Start